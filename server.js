@@ -10,14 +10,31 @@
 // 2. Run: npm install
 // 3. Add PostgreSQL database on Render
 // 4. Set DATABASE_URL environment variable
-// 5. Run: node server.js
-// 6. Server will run on PORT from environment or 3001
+// 5. On Render (or behind any one reverse proxy) set TRUST_PROXY_HOPS=1
+// 6. Optional: set GTFS_STATIC_URL (or GTFS_STATIC_PATH) for full stop data;
+//    /api/rtd/nearby needs it because the built-in stop tables have no coordinates
+// 7. Run: node server.js
+// 8. Server will run on PORT from environment or 3001
 
 const express = require('express');
 const cors = require('cors');
 const fetch = require('node-fetch');
 const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
 const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const readline = require('readline');
+const { Readable } = require('stream');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const EventEmitter = require('events');
+const AdmZip = require('adm-zip');
+const { WebSocketServer } = require('ws');
+const promClient = require('prom-client');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -26,7 +43,7 @@ const PORT = process.env.PORT || 3001;
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Device-Id');
 
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -40,6 +57,143 @@ app.use(express.json({ limit: '10mb' })); // Increased limit for task data
 // Explicit OPTIONS handler for all routes
 app.options('*', cors());
 
+// ==================== METRICS ====================
+
+// Prometheus metrics, scraped from GET /metrics. Request metrics are labelled
+// with the Express route pattern (not the raw URL) to keep cardinality down.
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+const metrics = {
+  httpRequests: new promClient.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by route, method and status code',
+    labelNames: ['method', 'route', 'status'],
+    registers: [metricsRegistry]
+  }),
+  httpDuration: new promClient.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by route and method',
+    labelNames: ['method', 'route'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [metricsRegistry]
+  }),
+  upstreamDuration: new promClient.Histogram({
+    name: 'upstream_request_duration_seconds',
+    help: 'Latency of each request to RTD / TransitLand, retries included',
+    labelNames: ['upstream', 'target'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [metricsRegistry]
+  }),
+  upstreamFailures: new promClient.Counter({
+    name: 'upstream_request_failures_total',
+    help: 'Failed upstream requests by error code (TIMEOUT, HTTP_STATUS, CIRCUIT_OPEN, ...)',
+    labelNames: ['upstream', 'target', 'code'],
+    registers: [metricsRegistry]
+  }),
+  feedErrors: new promClient.Counter({
+    name: 'gtfs_rt_feed_errors_total',
+    help: 'GTFS-RT refreshes that failed, by feed and stage (fetch or decode)',
+    labelNames: ['feed', 'type'],
+    registers: [metricsRegistry]
+  }),
+  plannerSyncWrites: new promClient.Counter({
+    name: 'planner_sync_writes_total',
+    help: 'Planner sync write requests by kind',
+    labelNames: ['kind'],
+    registers: [metricsRegistry]
+  }),
+  plannerTasksWritten: new promClient.Counter({
+    name: 'planner_tasks_written_total',
+    help: 'Tasks written by planner sync',
+    registers: [metricsRegistry]
+  })
+};
+
+// Gauges below read current state at scrape time
+new promClient.Gauge({
+  name: 'gtfs_rt_feed_entities',
+  help: 'Entities in the current decoded snapshot',
+  labelNames: ['feed'],
+  registers: [metricsRegistry],
+  collect() {
+    Object.values(feedCache).forEach(state => this.set({ feed: state.name }, state.entityCount));
+  }
+});
+
+new promClient.Gauge({
+  name: 'gtfs_rt_feed_age_seconds',
+  help: 'Seconds since RTD generated the current snapshot (FeedHeader timestamp)',
+  labelNames: ['feed'],
+  registers: [metricsRegistry],
+  collect() {
+    Object.values(feedCache).forEach(state => {
+      const age = feedAge(state);
+      if (age !== null) this.set({ feed: state.name }, age);
+    });
+  }
+});
+
+new promClient.Gauge({
+  name: 'gtfs_rt_feed_stale',
+  help: '1 while a feed is stale or unavailable',
+  labelNames: ['feed'],
+  registers: [metricsRegistry],
+  collect() {
+    Object.values(feedCache).forEach(state => this.set({ feed: state.name }, isFeedStale(state) ? 1 : 0));
+  }
+});
+
+new promClient.Gauge({
+  name: 'upstream_circuit_open',
+  help: '1 while the circuit breaker for an upstream is open or half-open',
+  labelNames: ['upstream'],
+  registers: [metricsRegistry],
+  collect() {
+    circuitBreakers.forEach((breaker, upstream) => this.set({ upstream }, breaker.state === 'closed' ? 0 : 1));
+  }
+});
+
+new promClient.Gauge({
+  name: 'rtd_active_vehicles',
+  help: 'Vehicles in the current VehiclePosition snapshot, per registry route',
+  labelNames: ['route'],
+  registers: [metricsRegistry],
+  collect() {
+    const feed = feedCache.vehiclePositions.feed;
+    if (!feed) return;
+
+    const routeIds = registryRouteIds('vehicles');
+    const vehicles = feed.entity.filter(entity => entity.vehicle).map(vehicleFromEntity);
+    const { routeSummary } = summarizeVehicles(vehicles, routeIds);
+    Object.entries(routeSummary).forEach(([route, count]) => this.set({ route }, count));
+  }
+});
+
+new promClient.Gauge({
+  name: 'pg_pool_clients',
+  help: 'Postgres pool clients by state',
+  labelNames: ['state'],
+  registers: [metricsRegistry],
+  collect() {
+    this.set({ state: 'total' }, pool.totalCount);
+    this.set({ state: 'idle' }, pool.idleCount);
+    this.set({ state: 'waiting' }, pool.waitingCount);
+  }
+});
+
+app.use((req, res, next) => {
+  const stopTimer = metrics.httpDuration.startTimer();
+
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    stopTimer({ method: req.method, route });
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+
+  next();
+});
+
 // ==================== DATABASE SETUP ====================
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -57,6 +211,13 @@ async function initDatabase() {
       );
     `);
 
+    // `token` is the account id; the bearer token itself is only kept hashed
+    await pool.query(`
+      ALTER TABLE planner_users ADD COLUMN IF NOT EXISTS token_hash VARCHAR(64) UNIQUE;
+      ALTER TABLE planner_users ADD COLUMN IF NOT EXISTS legacy_token BOOLEAN NOT NULL DEFAULT false;
+      ALTER TABLE planner_users ADD COLUMN IF NOT EXISTS last_export_at TIMESTAMP;
+    `);
+
     await pool.query(`
       CREATE TABLE IF NOT EXISTS planner_tasks (
         id BIGINT PRIMARY KEY,
@@ -88,6 +249,143 @@ async function initDatabase() {
       CREATE INDEX IF NOT EXISTS idx_tasks_updated ON planner_tasks(updated_at DESC);
     `);
 
+    // Delta sync: per-task versions, a per-account change counter and
+    // tombstones. Task ids come from clients, so they're only unique per account.
+    await pool.query(`
+      ALTER TABLE planner_users ADD COLUMN IF NOT EXISTS task_seq BIGINT NOT NULL DEFAULT 0;
+      ALTER TABLE planner_tasks ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE planner_tasks ADD COLUMN IF NOT EXISTS change_seq BIGINT NOT NULL DEFAULT 0;
+      ALTER TABLE planner_tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      ALTER TABLE planner_users ADD COLUMN IF NOT EXISTS purged_seq BIGINT NOT NULL DEFAULT 0;
+      CREATE INDEX IF NOT EXISTS idx_tasks_user_seq ON planner_tasks(user_token, change_seq);
+      CREATE INDEX IF NOT EXISTS idx_tasks_deleted ON planner_tasks(deleted_at) WHERE deleted_at IS NOT NULL;
+
+      DO $$
+      BEGIN
+        IF (SELECT array_length(indkey::int2[], 1) FROM pg_index
+            WHERE indrelid = 'planner_tasks'::regclass AND indisprimary) = 1 THEN
+          ALTER TABLE planner_tasks ALTER COLUMN user_token SET NOT NULL;
+          ALTER TABLE planner_tasks DROP CONSTRAINT planner_tasks_pkey;
+          ALTER TABLE planner_tasks ADD PRIMARY KEY (user_token, id);
+        END IF;
+      END $$;
+    `);
+
+    // Every version of each task, settings and stats blob (see PLANNER REVISION HISTORY)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS planner_revisions (
+        id BIGSERIAL PRIMARY KEY,
+        user_token VARCHAR(20) NOT NULL REFERENCES planner_users(token) ON DELETE CASCADE,
+        kind VARCHAR(10) NOT NULL,
+        task_id BIGINT,
+        version INTEGER,
+        data JSONB,
+        deleted BOOLEAN NOT NULL DEFAULT false,
+        device_id VARCHAR(100),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_revisions_item ON planner_revisions(user_token, kind, task_id, created_at);
+    `);
+
+    // Vehicle position history (written only when VEHICLE_HISTORY_ENABLED=true)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS vehicle_positions (
+        id BIGSERIAL PRIMARY KEY,
+        vehicle_id VARCHAR(50) NOT NULL,
+        label VARCHAR(50),
+        route_id VARCHAR(50),
+        trip_id VARCHAR(100),
+        direction_id SMALLINT,
+        latitude DOUBLE PRECISION,
+        longitude DOUBLE PRECISION,
+        bearing REAL,
+        speed REAL,
+        current_stop_sequence INTEGER,
+        stop_id VARCHAR(50),
+        current_status SMALLINT,
+        congestion_level SMALLINT,
+        occupancy_status SMALLINT,
+        position_time BIGINT NOT NULL,
+        received_at TIMESTAMP DEFAULT NOW()
+      );
+      ALTER TABLE vehicle_positions ADD COLUMN IF NOT EXISTS feed_time BIGINT;
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_vehicle_positions_vehicle ON vehicle_positions(vehicle_id, position_time);
+      CREATE INDEX IF NOT EXISTS idx_vehicle_positions_time ON vehicle_positions(position_time);
+    `);
+
+    // Observed arrival and departure times per trip and stop (on-time reports)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS observed_arrivals (
+        id BIGSERIAL PRIMARY KEY,
+        service_date VARCHAR(8) NOT NULL,
+        trip_id VARCHAR(100) NOT NULL,
+        route_id VARCHAR(50) NOT NULL,
+        direction_id SMALLINT,
+        stop_id VARCHAR(50) NOT NULL,
+        stop_sequence INTEGER,
+        scheduled_time BIGINT,
+        actual_arrival BIGINT NOT NULL,
+        actual_departure BIGINT,
+        delay_seconds INTEGER,
+        source VARCHAR(20) NOT NULL,
+        recorded_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (service_date, trip_id, stop_id)
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_observed_arrivals_route ON observed_arrivals(route_id, actual_arrival);
+    `);
+
+    // Arrival alert subscriptions and their webhook deliveries
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS arrival_subscriptions (
+        id VARCHAR(32) PRIMARY KEY,
+        stop_ids TEXT[] NOT NULL,
+        stop_name VARCHAR(200),
+        route_id VARCHAR(50) NOT NULL,
+        direction_id SMALLINT,
+        lead_minutes INTEGER NOT NULL,
+        webhook_url TEXT NOT NULL,
+        secret VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    // Hash of the creator's owner key, which lists their subscriptions
+    await pool.query(`
+      ALTER TABLE arrival_subscriptions ADD COLUMN IF NOT EXISTS owner_key_hash VARCHAR(64);
+      CREATE INDEX IF NOT EXISTS idx_arrival_subscriptions_owner ON arrival_subscriptions(owner_key_hash);
+    `);
+
+    // One row per subscription and trip, which is what stops a trip firing twice
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS subscription_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        subscription_id VARCHAR(32) REFERENCES arrival_subscriptions(id) ON DELETE CASCADE,
+        service_date VARCHAR(8) NOT NULL,
+        trip_id VARCHAR(100) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at BIGINT,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        delivered_at TIMESTAMP,
+        UNIQUE (subscription_id, service_date, trip_id)
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_subscription_deliveries_pending ON subscription_deliveries(status, next_attempt_at);
+    `);
+
     // Create sync tokens table for cross-browser sync
     await pool.query(`
       CREATE TABLE IF NOT EXISTS sync_tokens (
@@ -103,20 +401,630 @@ async function initDatabase() {
       CREATE INDEX IF NOT EXISTS idx_sync_tokens_expires ON sync_tokens(expires_at);
     `);
 
+    await migrateLegacyPlannerTokens();
+    await seedRevisionBaseline();
+
     console.log('✅ Database tables initialized');
   } catch (error) {
     console.error('❌ Database initialization error:', error);
   }
 }
 
-// Generate simple memorable token
+// ==================== PLANNER AUTH ====================
+
+// Tokens are bearer secrets: 256 bits from the CSPRNG, stored only as a
+// SHA-256 digest. Rows are keyed by an opaque account id, which is what the
+// task/settings/stats tables reference.
+const PLANNER_TOKEN_PREFIX = 'plan_';
+const LEGACY_TOKEN_PATTERN = /^PLAN-[A-Z0-9]{6}$/i;
+
+const PLANNER_LOGIN_IP_MAX_FAILURES = parseInt(process.env.PLANNER_LOGIN_IP_MAX_FAILURES) || 10;
+const PLANNER_LOGIN_TOKEN_MAX_FAILURES = parseInt(process.env.PLANNER_LOGIN_TOKEN_MAX_FAILURES) || 10;
+const PLANNER_LOGIN_WINDOW_MS = parseInt(process.env.PLANNER_LOGIN_WINDOW_MS) || 15 * 60 * 1000;
+const PLANNER_LOGIN_LOCKOUT_MS = parseInt(process.env.PLANNER_LOGIN_LOCKOUT_MS) || 15 * 60 * 1000;
+
+// Old clients put the token in the URL path, where it ends up in access and
+// proxy logs. Deprecated: only accepted with PLANNER_PATH_TOKENS_ENABLED=true.
+const PLANNER_PATH_TOKENS_ENABLED = process.env.PLANNER_PATH_TOKENS_ENABLED === 'true';
+
+// Behind a reverse proxy req.ip is the proxy, and every visitor would share
+// one rate-limit bucket. Set TRUST_PROXY_HOPS to the number of proxies in
+// front of the app (1 on Render) so X-Forwarded-For is used. Leave it unset
+// when clients connect directly, or they could spoof their address.
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS) || 0;
+if (TRUST_PROXY_HOPS > 0) {
+  app.set('trust proxy', TRUST_PROXY_HOPS);
+}
+
 function generateToken() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Exclude confusing chars
-  let token = 'PLAN-';
-  for (let i = 0; i < 6; i++) {
-    token += chars[Math.floor(Math.random() * chars.length)];
+  return PLANNER_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+function generateAccountId() {
+  return 'ACCT-' + crypto.randomBytes(9).toString('base64url');
+}
+
+// Legacy PLAN-XXXXXX tokens were matched case-insensitively
+function hashToken(token) {
+  const normalized = LEGACY_TOKEN_PATTERN.test(token) ? token.toUpperCase() : token;
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Fixed-window counters with a lockout once a key goes over its limit
+function createAttemptLimiter(max, windowMs, lockoutMs) {
+  const entries = new Map();
+
+  return {
+    // Milliseconds until the key may try again, or 0
+    lockedFor(key) {
+      const entry = entries.get(key);
+      return entry && entry.lockedUntil > Date.now() ? entry.lockedUntil - Date.now() : 0;
+    },
+
+    hit(key) {
+      const now = Date.now();
+      let entry = entries.get(key);
+      if (!entry || (entry.windowStart + windowMs <= now && entry.lockedUntil <= now)) {
+        entry = { windowStart: now, count: 0, lockedUntil: 0 };
+        entries.set(key, entry);
+      }
+
+      entry.count++;
+      if (entry.count >= max) {
+        entry.lockedUntil = now + lockoutMs;
+      }
+    },
+
+    reset(key) {
+      entries.delete(key);
+    },
+
+    prune() {
+      const now = Date.now();
+      entries.forEach((entry, key) => {
+        if (entry.windowStart + windowMs <= now && entry.lockedUntil <= now) entries.delete(key);
+      });
+    }
+  };
+}
+
+// Failed lookups from one address, on login or any planner route
+const ipAuthFailures = createAttemptLimiter(PLANNER_LOGIN_IP_MAX_FAILURES, PLANNER_LOGIN_WINDOW_MS, PLANNER_LOGIN_LOCKOUT_MS);
+// Failed logins presenting one token, from anywhere (keyed by hash)
+const tokenLoginFailures = createAttemptLimiter(PLANNER_LOGIN_TOKEN_MAX_FAILURES, PLANNER_LOGIN_WINDOW_MS, PLANNER_LOGIN_LOCKOUT_MS);
+
+setInterval(() => {
+  ipAuthFailures.prune();
+  tokenLoginFailures.prune();
+}, 60 * 1000).unref();
+
+function sendLockedOut(res, lockedForMs) {
+  const retryAfterSeconds = Math.ceil(lockedForMs / 1000);
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    error: 'Too many failed attempts. Try again later.',
+    retryAfterSeconds
+  });
+}
+
+// Bearer header first; the path segment is a fallback for old clients and
+// may be the placeholder "me" when the header is used
+function presentedToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (match) return match[1];
+
+  const pathToken = req.params.token;
+  if (PLANNER_PATH_TOKENS_ENABLED && pathToken && pathToken !== 'me') return pathToken;
+  return null;
+}
+
+async function findPlannerAccount(token) {
+  const result = await pool.query(
+    'SELECT token AS id, legacy_token, created_at, last_export_at FROM planner_users WHERE token_hash = $1',
+    [hashToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+// Route middleware: resolves req.plannerAccount or answers 401/429
+async function requirePlannerAuth(req, res, next) {
+  try {
+    const lockedFor = ipAuthFailures.lockedFor(req.ip);
+    if (lockedFor) return sendLockedOut(res, lockedFor);
+
+    const token = presentedToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Authorization: Bearer <token> required' });
+    }
+
+    const account = await findPlannerAccount(token);
+    if (!account) {
+      ipAuthFailures.hit(req.ip);
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.plannerAccount = account;
+    next();
+  } catch (error) {
+    console.error('Planner auth error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Existing PLAN-XXXXXX accounts: hash the token and move the data under a
+// fresh account id so the plaintext no longer sits in the database. The old
+// token keeps working until the owner rotates it.
+async function migrateLegacyPlannerTokens() {
+  const legacy = await pool.query('SELECT token, created_at FROM planner_users WHERE token_hash IS NULL');
+  if (legacy.rows.length === 0) return;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (const row of legacy.rows) {
+      const accountId = generateAccountId();
+      await client.query(
+        'INSERT INTO planner_users (token, token_hash, legacy_token, created_at) VALUES ($1, $2, true, $3)',
+        [accountId, hashToken(row.token), row.created_at]
+      );
+      for (const table of ['planner_tasks', 'planner_settings', 'planner_stats', 'planner_revisions']) {
+        await client.query(`UPDATE ${table} SET user_token = $1 WHERE user_token = $2`, [accountId, row.token]);
+      }
+      await client.query('DELETE FROM planner_users WHERE token = $1', [row.token]);
+    }
+
+    await client.query('COMMIT');
+    console.log(`🔐 Migrated ${legacy.rows.length} legacy planner token(s) to hashed storage`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ==================== PLANNER TASK SYNC ====================
+
+// Deleted tasks sit in the trash this long before the tombstone is purged
+const PLANNER_TRASH_RETENTION_DAYS = parseInt(process.env.PLANNER_TRASH_RETENTION_DAYS) || 30;
+
+// Every write to an account's tasks takes the next value of its task_seq;
+// a client's cursor is the last value it has seen. Bumping the counter
+// row-locks the account, so writers are serialised and a cursor never skips
+// a change that commits late.
+async function nextTaskSeq(client, accountId) {
+  const result = await client.query(
+    'UPDATE planner_users SET task_seq = task_seq + 1 WHERE token = $1 RETURNING task_seq',
+    [accountId]
+  );
+  return result.rows[0].task_seq;
+}
+
+// `purgedSeq` is the newest change whose tombstone has been purged; a cursor
+// older than that would miss a delete, so those clients must start over
+async function taskSyncState(accountId) {
+  const result = await pool.query('SELECT task_seq, purged_seq FROM planner_users WHERE token = $1', [accountId]);
+  return {
+    cursor: String(result.rows[0].task_seq),
+    purgedSeq: String(result.rows[0].purged_seq)
+  };
+}
+
+// Sync bookkeeping travels on the task object as _-prefixed fields; none of
+// it belongs in the stored data
+function taskData(task) {
+  const { _version, _syncedAt, _deleted, _deletedAt, ...data } = task;
+  return data;
+}
+
+function taskFromRow(row) {
+  return {
+    ...row.data,
+    id: parseInt(row.id),
+    _version: row.version,
+    _syncedAt: row.updated_at
+  };
+}
+
+function tombstoneFromRow(row) {
+  return {
+    id: parseInt(row.id),
+    _version: row.version,
+    _deleted: true,
+    _deletedAt: row.deleted_at
+  };
+}
+
+// Plain decimal integers only: "1e3" or "0x10" pass Number() but fail the bigint cast
+function isValidTaskId(id) {
+  return /^-?\d+$/.test(String(id)) && Number.isSafeInteger(Number(id));
+}
+
+// Each task write below also logs a planner_revisions row in the same
+// statement (the `logged` CTE)
+
+// Insert or overwrite (and undelete) a task. With `onlyIfChanged`, identical
+// live rows are left alone so their version doesn't move.
+async function upsertTask(client, accountId, seq, task, deviceId, onlyIfChanged = false) {
+  const result = await client.query(
+    `WITH written AS (
+       INSERT INTO planner_tasks (id, user_token, data, version, change_seq, updated_at, deleted_at)
+       VALUES ($1, $2, $3, 1, $4, NOW(), NULL)
+       ON CONFLICT (user_token, id)
+       DO UPDATE SET data = EXCLUDED.data, version = planner_tasks.version + 1,
+         change_seq = EXCLUDED.change_seq, updated_at = NOW(), deleted_at = NULL
+       ${onlyIfChanged ? 'WHERE planner_tasks.data IS DISTINCT FROM EXCLUDED.data OR planner_tasks.deleted_at IS NOT NULL' : ''}
+       RETURNING *
+     ), logged AS (
+       INSERT INTO planner_revisions (user_token, kind, task_id, version, data, deleted, device_id)
+       SELECT user_token, 'task', id, version, data, deleted_at IS NOT NULL, $5 FROM written
+     )
+     SELECT id, version FROM written`,
+    [task.id, accountId, taskData(task), seq, deviceId]
+  );
+  return result.rows[0] || null;
+}
+
+// Deleted tasks stay behind as tombstones so other devices hear about it
+async function tombstoneTasks(client, accountId, seq, taskIds, deviceId) {
+  const result = await client.query(
+    `WITH written AS (
+       UPDATE planner_tasks
+       SET deleted_at = NOW(), updated_at = NOW(), version = version + 1, change_seq = $3
+       WHERE user_token = $1 AND id = ANY($2::bigint[]) AND deleted_at IS NULL
+       RETURNING *
+     ), logged AS (
+       INSERT INTO planner_revisions (user_token, kind, task_id, version, data, deleted, device_id)
+       SELECT user_token, 'task', id, version, data, deleted_at IS NOT NULL, $4 FROM written
+     )
+     SELECT id, version FROM written`,
+    [accountId, taskIds, seq, deviceId]
+  );
+  return result.rows;
+}
+
+async function undeleteTask(client, accountId, seq, taskId, deviceId) {
+  const result = await client.query(
+    `WITH written AS (
+       UPDATE planner_tasks
+       SET deleted_at = NULL, updated_at = NOW(), version = version + 1, change_seq = $3
+       WHERE user_token = $1 AND id = $2 AND deleted_at IS NOT NULL
+       RETURNING *
+     ), logged AS (
+       INSERT INTO planner_revisions (user_token, kind, task_id, version, data, deleted, device_id)
+       SELECT user_token, 'task', id, version, data, deleted_at IS NOT NULL, $4 FROM written
+     )
+     SELECT id, data, version, updated_at FROM written`,
+    [accountId, taskId, seq, deviceId]
+  );
+  return result.rows[0] || null;
+}
+
+function trashedTaskFromRow(row) {
+  return {
+    ...row.data,
+    id: parseInt(row.id),
+    _version: row.version,
+    _deletedAt: row.deleted_at,
+    _purgeAt: new Date(row.deleted_at.getTime() + PLANNER_TRASH_RETENTION_DAYS * 86400 * 1000)
+  };
+}
+
+async function purgeTrash() {
+  const result = await pool.query(
+    `WITH purged AS (
+       DELETE FROM planner_tasks
+       WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - make_interval(days => $1)
+       RETURNING user_token, change_seq
+     ), marked AS (
+       UPDATE planner_users u SET purged_seq = GREATEST(u.purged_seq, p.max_seq)
+       FROM (SELECT user_token, MAX(change_seq) AS max_seq FROM purged GROUP BY user_token) p
+       WHERE u.token = p.user_token
+     )
+     SELECT COUNT(*) AS purged FROM purged`,
+    [PLANNER_TRASH_RETENTION_DAYS]
+  );
+
+  const purged = parseInt(result.rows[0].purged);
+  if (purged > 0) {
+    console.log(`🧹 Purged ${purged} planner tasks deleted more than ${PLANNER_TRASH_RETENTION_DAYS} days ago`);
+  }
+}
+
+function startTrashPurger() {
+  const purge = () => purgeTrash().catch(error => {
+    console.error('❌ Planner trash purge error:', error.message);
+  });
+  purge();
+  setInterval(purge, 6 * 60 * 60 * 1000);
+}
+
+// ==================== PLANNER REVISION HISTORY ====================
+
+// Every task, settings and stats write is kept as a revision (written in the
+// same statement as the change, see upsertTask et al.) so an account can be
+// rolled back. Past the retention window only the newest revision of each
+// item survives, which is what a point-in-time lookup needs.
+const PLANNER_HISTORY_RETENTION_DAYS = parseInt(process.env.PLANNER_HISTORY_RETENTION_DAYS) || 90;
+
+const PLANNER_BLOB_TABLES = { settings: 'planner_settings', stats: 'planner_stats' };
+
+// Clients name themselves with X-Device-Id; it's only a label
+function deviceIdFor(req) {
+  return (req.get('X-Device-Id') || '').slice(0, 100) || null;
+}
+
+// Save settings or stats; a revision is logged only when the value changed
+async function saveAccountBlob(db, kind, accountId, data, deviceId) {
+  const table = PLANNER_BLOB_TABLES[kind];
+
+  await db.query(
+    `WITH previous AS (
+       SELECT data FROM ${table} WHERE user_token = $1
+     ), saved AS (
+       INSERT INTO ${table} (user_token, data, updated_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (user_token)
+       DO UPDATE SET data = $2, updated_at = NOW()
+       RETURNING data
+     )
+     INSERT INTO planner_revisions (user_token, kind, data, device_id)
+     SELECT $1, $3, saved.data, $4 FROM saved
+     WHERE NOT EXISTS (SELECT 1 FROM previous WHERE previous.data = saved.data)`,
+    [accountId, data, kind, deviceId]
+  );
+}
+
+// Accepts an ISO timestamp (or anything Date parses); null if unusable
+function parseRestorePoint(at) {
+  const date = new Date(at);
+  if (!at || isNaN(date.getTime())) return null;
+  return date;
+}
+
+function isBeforeHistoryWindow(date) {
+  return date.getTime() < Date.now() - PLANNER_HISTORY_RETENTION_DAYS * 86400 * 1000;
+}
+
+// Latest revision at or before `at` for each item of one kind (optionally
+// one task). Items with no revision by then didn't exist yet.
+async function revisionsAt(db, accountId, kind, at, taskId = null) {
+  const result = await db.query(
+    `SELECT DISTINCT ON (task_id) task_id, data, deleted
+     FROM planner_revisions
+     WHERE user_token = $1 AND kind = $2 AND created_at <= $3::timestamptz
+       AND ($4::bigint IS NULL OR task_id = $4)
+     ORDER BY task_id, created_at DESC, id DESC`,
+    [accountId, kind, at.toISOString(), taskId]
+  );
+  return result.rows;
+}
+
+// Bring tasks back to how they were at `at`: rewrite those whose data
+// differs, delete those that didn't exist (or were deleted) by then.
+// Restores are ordinary changes, so they bump versions and sync out.
+async function restoreTasksTo(client, accountId, seq, at, deviceId, taskId = null) {
+  const past = await revisionsAt(client, accountId, 'task', at, taskId);
+  const current = await client.query(
+    `SELECT id, data, deleted_at FROM planner_tasks
+     WHERE user_token = $1 AND ($2::bigint IS NULL OR id = $2)`,
+    [accountId, taskId]
+  );
+
+  const pastById = new Map(past.map(row => [parseInt(row.task_id), row]));
+  const currentById = new Map(current.rows.map(row => [parseInt(row.id), row]));
+
+  let restored = 0;
+  for (const [id, revision] of pastById) {
+    if (revision.deleted) continue;
+    const row = currentById.get(id);
+    if (row && !row.deleted_at && JSON.stringify(row.data) === JSON.stringify(revision.data)) continue;
+
+    await upsertTask(client, accountId, seq, { ...revision.data, id }, deviceId);
+    restored++;
+  }
+
+  const toDelete = current.rows
+    .filter(row => !row.deleted_at)
+    .filter(row => {
+      const revision = pastById.get(parseInt(row.id));
+      return !revision || revision.deleted;
+    })
+    .map(row => row.id);
+  const deleted = await tombstoneTasks(client, accountId, seq, toDelete, deviceId);
+
+  return { restored, deleted: deleted.length };
+}
+
+// Settings and stats can't be deleted, so with no revision by `at` they're left alone
+async function restoreBlobsTo(client, accountId, at, deviceId) {
+  const restored = [];
+
+  for (const kind of Object.keys(PLANNER_BLOB_TABLES)) {
+    const [revision] = await revisionsAt(client, accountId, kind, at);
+    if (!revision) continue;
+
+    const current = await client.query(`SELECT data FROM ${PLANNER_BLOB_TABLES[kind]} WHERE user_token = $1`, [accountId]);
+    if (current.rows[0] && JSON.stringify(current.rows[0].data) === JSON.stringify(revision.data)) continue;
+
+    await saveAccountBlob(client, kind, accountId, revision.data, deviceId);
+    restored.push(kind);
+  }
+
+  return restored;
+}
+
+// Rows written before revisions existed get one so they can be restored to
+async function seedRevisionBaseline() {
+  await pool.query(`
+    INSERT INTO planner_revisions (user_token, kind, task_id, version, data, deleted, device_id, created_at)
+    SELECT t.user_token, 'task', t.id, t.version, t.data, t.deleted_at IS NOT NULL, NULL, t.updated_at
+    FROM planner_tasks t
+    WHERE NOT EXISTS (
+      SELECT 1 FROM planner_revisions r WHERE r.user_token = t.user_token AND r.kind = 'task' AND r.task_id = t.id
+    )
+  `);
+
+  for (const [kind, table] of Object.entries(PLANNER_BLOB_TABLES)) {
+    await pool.query(
+      `INSERT INTO planner_revisions (user_token, kind, data, created_at)
+       SELECT b.user_token, $1::varchar, b.data, b.updated_at
+       FROM ${table} b
+       WHERE NOT EXISTS (SELECT 1 FROM planner_revisions r WHERE r.user_token = b.user_token AND r.kind = $1::varchar)`,
+      [kind]
+    );
+  }
+}
+
+// Drop revisions past the window, keeping each item's newest one there;
+// that one goes too once it's a delete and the tombstone has been purged
+async function pruneRevisions() {
+  const result = await pool.query(
+    `DELETE FROM planner_revisions r
+     WHERE r.created_at < NOW() - make_interval(days => $1)
+       AND (
+         EXISTS (
+           SELECT 1 FROM planner_revisions newer
+           WHERE newer.user_token = r.user_token AND newer.kind = r.kind
+             AND newer.task_id IS NOT DISTINCT FROM r.task_id
+             AND newer.created_at < NOW() - make_interval(days => $1)
+             AND (newer.created_at, newer.id) > (r.created_at, r.id)
+         )
+         OR (r.deleted AND NOT EXISTS (
+           SELECT 1 FROM planner_tasks t WHERE t.user_token = r.user_token AND t.id = r.task_id
+         ))
+       )`,
+    [PLANNER_HISTORY_RETENTION_DAYS]
+  );
+
+  if (result.rowCount > 0) {
+    console.log(`🧹 Pruned ${result.rowCount} planner revisions older than ${PLANNER_HISTORY_RETENTION_DAYS} days`);
+  }
+}
+
+function startRevisionPruner() {
+  const prune = () => pruneRevisions().catch(error => {
+    console.error('❌ Planner revision prune error:', error.message);
+  });
+  prune();
+  setInterval(prune, 24 * 60 * 60 * 1000);
+}
+
+// ==================== PLANNER EXPORT & IMPORT ====================
+
+const PLANNER_EXPORT_FORMAT = 'ultimate-planner-export';
+const PLANNER_EXPORT_VERSION = 1;
+
+// Deleting an account needs an export at most this old, or the confirmation value
+const PLANNER_DELETE_EXPORT_WINDOW_MINUTES = parseInt(process.env.PLANNER_DELETE_EXPORT_WINDOW_MINUTES) || 60;
+const ACCOUNT_DELETE_CONFIRMATION = 'DELETE';
+
+// JSON with object keys sorted, for comparing data that went through JSONB
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+async function buildPlannerExport(account) {
+  const [tasks, settings, stats] = await Promise.all([
+    pool.query(
+      'SELECT id, data, version, updated_at FROM planner_tasks WHERE user_token = $1 AND deleted_at IS NULL ORDER BY id',
+      [account.id]
+    ),
+    pool.query('SELECT data FROM planner_settings WHERE user_token = $1', [account.id]),
+    pool.query('SELECT data FROM planner_stats WHERE user_token = $1', [account.id])
+  ]);
+
+  return {
+    format: PLANNER_EXPORT_FORMAT,
+    version: PLANNER_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    account: {
+      createdAt: account.created_at,
+      taskCount: tasks.rows.length
+    },
+    tasks: tasks.rows.map(row => ({ ...row.data, id: parseInt(row.id) })),
+    settings: settings.rows[0] ? settings.rows[0].data : null,
+    stats: stats.rows[0] ? stats.rows[0].data : null
+  };
+}
+
+// Returns an error message, or null if the archive can be imported
+function validatePlannerArchive(archive) {
+  if (!archive || archive.format !== PLANNER_EXPORT_FORMAT) {
+    return `Not a planner export (expected format "${PLANNER_EXPORT_FORMAT}")`;
+  }
+  if (!Number.isInteger(archive.version) || archive.version > PLANNER_EXPORT_VERSION) {
+    return `Unsupported export version ${archive.version}; this server reads up to ${PLANNER_EXPORT_VERSION}`;
+  }
+  if (!Array.isArray(archive.tasks) || !archive.tasks.every(task => task && isValidTaskId(task.id))) {
+    return 'tasks must be an array of tasks with integer ids';
+  }
+  if (new Set(archive.tasks.map(task => Number(task.id))).size !== archive.tasks.length) {
+    return 'tasks contains duplicate ids';
+  }
+  return null;
+}
+
+// Work out what an import would change. `merge` adds the archive's tasks and
+// overwrites same-id ones, and only fills in settings/stats the account
+// lacks; `replace` makes the tasks exactly the archive's (removed ones go to
+// the trash) and takes its settings/stats whenever it has them.
+async function planPlannerImport(client, accountId, archive, mode) {
+  const current = await client.query(
+    'SELECT id, data, deleted_at FROM planner_tasks WHERE user_token = $1',
+    [accountId]
+  );
+  const liveById = new Map(current.rows.filter(row => !row.deleted_at).map(row => [parseInt(row.id), row]));
+  const archivedIds = new Set(archive.tasks.map(task => Number(task.id)));
+
+  const plan = { create: [], update: [], unchanged: 0, delete: [], blobs: {} };
+
+  archive.tasks.forEach(task => {
+    const row = liveById.get(Number(task.id));
+    if (!row) plan.create.push(task);
+    else if (canonicalJson(row.data) !== canonicalJson({ ...taskData(task), id: task.id })) plan.update.push(task);
+    else plan.unchanged++;
+  });
+
+  if (mode === 'replace') {
+    plan.delete = Array.from(liveById.keys()).filter(id => !archivedIds.has(id));
+  }
+
+  for (const [kind, table] of Object.entries(PLANNER_BLOB_TABLES)) {
+    const incoming = archive[kind];
+    const existing = await client.query(`SELECT data FROM ${table} WHERE user_token = $1`, [accountId]);
+    const existingData = existing.rows[0] ? existing.rows[0].data : null;
+
+    if (incoming === null || incoming === undefined) {
+      plan.blobs[kind] = 'kept';
+    } else if (existingData !== null && canonicalJson(existingData) === canonicalJson(incoming)) {
+      plan.blobs[kind] = 'unchanged';
+    } else if (mode === 'merge' && existingData !== null) {
+      plan.blobs[kind] = 'kept';
+    } else {
+      plan.blobs[kind] = 'replaced';
+    }
   }
-  return token;
+
+  return plan;
+}
+
+function summarizeImportPlan(plan) {
+  return {
+    tasks: {
+      created: plan.create.length,
+      updated: plan.update.length,
+      unchanged: plan.unchanged,
+      deleted: plan.delete.length
+    },
+    settings: plan.blobs.settings,
+    stats: plan.blobs.stats
+  };
 }
 
 // ==================== PLANNER API ENDPOINTS ====================
@@ -147,16 +1055,17 @@ app.post('/api/planner/register', async (req, res) => {
       });
     }
 
-    let token;
+    const token = generateToken();
+    let accountId;
     let attempts = 0;
 
-    // Generate unique token
+    // Generate unique account id
     while (attempts < 10) {
-      token = generateToken();
+      accountId = generateAccountId();
       try {
         await pool.query(
-          'INSERT INTO planner_users (token) VALUES ($1)',
-          [token]
+          'INSERT INTO planner_users (token, token_hash) VALUES ($1, $2)',
+          [accountId, hashToken(token)]
         );
         break;
       } catch (error) {
@@ -169,14 +1078,14 @@ app.post('/api/planner/register', async (req, res) => {
     }
 
     if (attempts === 10) {
-      return res.status(500).json({ success: false, error: 'Failed to generate unique token' });
+      return res.status(500).json({ success: false, error: 'Failed to generate unique account' });
     }
 
-    console.log(`✅ New user registered: ${token}`);
+    console.log(`✅ New user registered: ${accountId}`);
     res.json({
       success: true,
       token: token,
-      message: 'Save this token! You\'ll need it to access your data on any device.'
+      message: 'Save this token! You\'ll need it to access your data on any device. It cannot be recovered.'
     });
 
   } catch (error) {
@@ -188,25 +1097,35 @@ app.post('/api/planner/register', async (req, res) => {
 // Verify token exists
 app.post('/api/planner/login', async (req, res) => {
   try {
-    const { token } = req.body;
+    const ipLockedFor = ipAuthFailures.lockedFor(req.ip);
+    if (ipLockedFor) return sendLockedOut(res, ipLockedFor);
 
-    if (!token) {
+    const token = presentedToken(req) || req.body.token;
+
+    if (!token || typeof token !== 'string') {
       return res.status(400).json({ error: 'Token required' });
     }
 
-    const result = await pool.query(
-      'SELECT token, created_at FROM planner_users WHERE token = $1',
-      [token.toUpperCase()]
-    );
+    const tokenKey = hashToken(token);
+    const tokenLockedFor = tokenLoginFailures.lockedFor(tokenKey);
+    if (tokenLockedFor) return sendLockedOut(res, tokenLockedFor);
 
-    if (result.rows.length === 0) {
+    const account = await findPlannerAccount(token);
+
+    if (!account) {
+      ipAuthFailures.hit(req.ip);
+      tokenLoginFailures.hit(tokenKey);
       return res.status(401).json({ error: 'Invalid token' });
     }
 
     res.json({
       success: true,
-      token: result.rows[0].token,
-      createdAt: result.rows[0].created_at
+      token: LEGACY_TOKEN_PATTERN.test(token) ? token.toUpperCase() : token,
+      createdAt: account.created_at,
+      legacyToken: account.legacy_token,
+      ...(account.legacy_token && {
+        message: 'This is an old short token. Rotate it with POST /api/planner/rotate/me and use the new one on every device.'
+      })
     });
 
   } catch (error) {
@@ -215,37 +1134,83 @@ app.post('/api/planner/login', async (req, res) => {
   }
 });
 
-// Get all tasks for user
-app.get('/api/planner/tasks/:token', async (req, res) => {
+// Replace the token (e.g. to move off a legacy PLAN-XXXXXX one)
+app.post('/api/planner/rotate/:token', requirePlannerAuth, async (req, res) => {
   try {
-    const { token } = req.params;
+    const token = generateToken();
 
-    // Verify token
-    const userCheck = await pool.query(
-      'SELECT token FROM planner_users WHERE token = $1',
-      [token.toUpperCase()]
+    await pool.query(
+      'UPDATE planner_users SET token_hash = $1, legacy_token = false WHERE token = $2',
+      [hashToken(token), req.plannerAccount.id]
     );
 
-    if (userCheck.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid token' });
+    console.log(`🔐 Token rotated for ${req.plannerAccount.id}`);
+    res.json({
+      success: true,
+      token: token,
+      message: 'The old token no longer works. Use this one on every device.'
+    });
+
+  } catch (error) {
+    console.error('Rotate token error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all tasks for user, or with ?since=<cursor> only what changed
+app.get('/api/planner/tasks/:token', requirePlannerAuth, async (req, res) => {
+  try {
+    const accountId = req.plannerAccount.id;
+    const { since } = req.query;
+
+    if (since !== undefined && !/^\d+$/.test(since)) {
+      return res.status(400).json({ error: 'since must be a cursor returned by a previous sync' });
+    }
+
+    // Read the cursor first: anything committed after it is left for next time
+    const { cursor, purgedSeq } = await taskSyncState(accountId);
+
+    if (since === undefined) {
+      const result = await pool.query(
+        `SELECT id, data, version, updated_at FROM planner_tasks
+         WHERE user_token = $1 AND deleted_at IS NULL AND change_seq <= $2
+         ORDER BY updated_at DESC`,
+        [accountId, cursor]
+      );
+
+      const tasks = result.rows.map(taskFromRow);
+
+      return res.json({
+        success: true,
+        tasks: tasks,
+        count: tasks.length,
+        cursor: cursor
+      });
+    }
+
+    if (BigInt(since) < BigInt(purgedSeq) || BigInt(since) > BigInt(cursor)) {
+      return res.status(410).json({
+        error: 'Cursor is too old or unknown; fetch the full task list without since',
+        resync: true
+      });
     }
 
-    // Get all tasks
     const result = await pool.query(
-      'SELECT id, data, updated_at FROM planner_tasks WHERE user_token = $1 ORDER BY updated_at DESC',
-      [token.toUpperCase()]
+      `SELECT id, data, version, updated_at, deleted_at FROM planner_tasks
+       WHERE user_token = $1 AND change_seq > $2 AND change_seq <= $3
+       ORDER BY change_seq`,
+      [accountId, since, cursor]
     );
 
-    const tasks = result.rows.map(row => ({
-      ...row.data,
-      id: parseInt(row.id),
-      _syncedAt: row.updated_at
-    }));
+    const tasks = result.rows.filter(row => !row.deleted_at).map(taskFromRow);
+    const deleted = result.rows.filter(row => row.deleted_at).map(tombstoneFromRow);
 
     res.json({
       success: true,
       tasks: tasks,
-      count: tasks.length
+      deleted: deleted,
+      count: tasks.length,
+      cursor: cursor
     });
 
   } catch (error) {
@@ -254,24 +1219,19 @@ app.get('/api/planner/tasks/:token', async (req, res) => {
   }
 });
 
-// Save/update tasks (bulk operation)
-app.post('/api/planner/tasks/:token', async (req, res) => {
+// Save/update tasks (bulk operation). Older clients send the whole list;
+// it replaces the account's tasks, but only rows that differ are written.
+app.post('/api/planner/tasks/:token', requirePlannerAuth, async (req, res) => {
   try {
-    const { token } = req.params;
+    const accountId = req.plannerAccount.id;
     const { tasks } = req.body;
 
     if (!Array.isArray(tasks)) {
       return res.status(400).json({ error: 'Tasks must be an array' });
     }
 
-    // Verify token
-    const userCheck = await pool.query(
-      'SELECT token FROM planner_users WHERE token = $1',
-      [token.toUpperCase()]
-    );
-
-    if (userCheck.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid token' });
+    if (!tasks.every(task => task && isValidTaskId(task.id))) {
+      return res.status(400).json({ error: 'Every task needs an integer id' });
     }
 
     // Use transaction for atomicity
@@ -279,26 +1239,34 @@ app.post('/api/planner/tasks/:token', async (req, res) => {
     try {
       await client.query('BEGIN');
 
-      // Delete all existing tasks for this user
-      await client.query(
-        'DELETE FROM planner_tasks WHERE user_token = $1',
-        [token.toUpperCase()]
-      );
+      const seq = await nextTaskSeq(client, accountId);
 
-      // Insert all tasks
+      let written = 0;
       for (const task of tasks) {
-        await client.query(
-          'INSERT INTO planner_tasks (id, user_token, data, updated_at) VALUES ($1, $2, $3, NOW())',
-          [task.id, token.toUpperCase(), task]
-        );
+        if (await upsertTask(client, accountId, seq, task, deviceIdFor(req), true)) written++;
       }
 
+      // Anything the client no longer has was deleted on that device
+      const keepIds = tasks.map(task => task.id);
+      const removed = await client.query(
+        `SELECT id FROM planner_tasks
+         WHERE user_token = $1 AND deleted_at IS NULL AND NOT (id = ANY($2::bigint[]))`,
+        [accountId, keepIds]
+      );
+      const tombstoned = await tombstoneTasks(client, accountId, seq, removed.rows.map(row => row.id), deviceIdFor(req));
+
       await client.query('COMMIT');
 
-      console.log(`✅ Synced ${tasks.length} tasks for ${token}`);
+      metrics.plannerSyncWrites.inc({ kind: 'tasks' });
+      metrics.plannerTasksWritten.inc(written + tombstoned.length);
+
+      console.log(`✅ Synced ${tasks.length} tasks for ${accountId} (${written} written, ${tombstoned.length} deleted)`);
       res.json({
         success: true,
         count: tasks.length,
+        written: written,
+        deleted: tombstoned.length,
+        cursor: String(seq),
         message: 'Tasks synced successfully'
       });
 
@@ -315,27 +1283,119 @@ app.post('/api/planner/tasks/:token', async (req, res) => {
   }
 });
 
-// Delete single task
-app.delete('/api/planner/tasks/:token/:taskId', async (req, res) => {
+// Push individual task changes. Each task carries the _version it was
+// edited from (omit it for a new task) and `_deleted: true` to delete.
+// Nothing is written if any of them is stale.
+app.post('/api/planner/tasks/:token/push', requirePlannerAuth, async (req, res) => {
   try {
-    const { token, taskId } = req.params;
-
-    // Verify token
-    const userCheck = await pool.query(
-      'SELECT token FROM planner_users WHERE token = $1',
-      [token.toUpperCase()]
-    );
+    const accountId = req.plannerAccount.id;
+    const { tasks } = req.body;
 
-    if (userCheck.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid token' });
+    if (!Array.isArray(tasks)) {
+      return res.status(400).json({ error: 'Tasks must be an array' });
     }
 
-    await pool.query(
-      'DELETE FROM planner_tasks WHERE user_token = $1 AND id = $2',
-      [token.toUpperCase(), taskId]
-    );
+    if (!tasks.every(task => task && isValidTaskId(task.id))) {
+      return res.status(400).json({ error: 'Every task needs an integer id' });
+    }
+
+    if (new Set(tasks.map(task => Number(task.id))).size !== tasks.length) {
+      return res.status(400).json({ error: 'Each task may appear only once per push' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const seq = await nextTaskSeq(client, accountId);
+
+      const current = await client.query(
+        `SELECT id, data, version, updated_at, deleted_at FROM planner_tasks
+         WHERE user_token = $1 AND id = ANY($2::bigint[])`,
+        [accountId, tasks.map(task => task.id)]
+      );
+      const serverRows = new Map(current.rows.map(row => [parseInt(row.id), row]));
+
+      const conflicts = tasks
+        .filter(task => {
+          const row = serverRows.get(Number(task.id));
+          return row && row.version !== (parseInt(task._version) || 0);
+        })
+        .map(task => {
+          const row = serverRows.get(Number(task.id));
+          return { id: Number(task.id), server: row.deleted_at ? tombstoneFromRow(row) : taskFromRow(row) };
+        });
+
+      if (conflicts.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'Stale write: these tasks changed on the server since your copy',
+          conflicts: conflicts
+        });
+      }
+
+      const results = [];
+      for (const task of tasks) {
+        if (task._deleted) {
+          const [row] = await tombstoneTasks(client, accountId, seq, [task.id], deviceIdFor(req));
+          if (row) results.push({ id: parseInt(row.id), _version: row.version, _deleted: true });
+        } else {
+          const row = await upsertTask(client, accountId, seq, task, deviceIdFor(req));
+          results.push({ id: parseInt(row.id), _version: row.version });
+        }
+      }
+
+      await client.query('COMMIT');
+
+      metrics.plannerSyncWrites.inc({ kind: 'task-push' });
+      metrics.plannerTasksWritten.inc(results.length);
+
+      res.json({
+        success: true,
+        tasks: results,
+        cursor: String(seq)
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Push tasks error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete single task
+app.delete('/api/planner/tasks/:token/:taskId', requirePlannerAuth, async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const accountId = req.plannerAccount.id;
+
+    if (!isValidTaskId(taskId)) {
+      return res.status(400).json({ error: 'Invalid task id' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const seq = await nextTaskSeq(client, accountId);
+      await tombstoneTasks(client, accountId, seq, [taskId], deviceIdFor(req));
+      await client.query('COMMIT');
+
+      metrics.plannerSyncWrites.inc({ kind: 'task-delete' });
 
-    res.json({ success: true, message: 'Task deleted' });
+      res.json({ success: true, message: 'Task deleted', cursor: String(seq) });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
   } catch (error) {
     console.error('Delete task error:', error);
@@ -343,14 +1403,189 @@ app.delete('/api/planner/tasks/:token/:taskId', async (req, res) => {
   }
 });
 
+// Deleted tasks that can still be restored
+app.get('/api/planner/trash/:token', requirePlannerAuth, async (req, res) => {
+  try {
+    const accountId = req.plannerAccount.id;
+
+    const result = await pool.query(
+      `SELECT id, data, version, deleted_at FROM planner_tasks
+       WHERE user_token = $1 AND deleted_at IS NOT NULL
+       ORDER BY deleted_at DESC`,
+      [accountId]
+    );
+
+    const tasks = result.rows.map(trashedTaskFromRow);
+
+    res.json({
+      success: true,
+      tasks: tasks,
+      count: tasks.length,
+      retentionDays: PLANNER_TRASH_RETENTION_DAYS
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Undelete a task; it syncs back to other devices as a normal change
+app.post('/api/planner/trash/:token/:taskId/restore', requirePlannerAuth, async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const accountId = req.plannerAccount.id;
+
+    if (!isValidTaskId(taskId)) {
+      return res.status(400).json({ error: 'Invalid task id' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const seq = await nextTaskSeq(client, accountId);
+      const row = await undeleteTask(client, accountId, seq, taskId, deviceIdFor(req));
+
+      if (!row) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Task is not in the trash' });
+      }
+
+      await client.query('COMMIT');
+
+      metrics.plannerSyncWrites.inc({ kind: 'task-restore' });
+
+      res.json({
+        success: true,
+        task: taskFromRow(row),
+        cursor: String(seq)
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Restore task error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revisions of one task, newest first
+app.get('/api/planner/tasks/:token/:taskId/history', requirePlannerAuth, async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const accountId = req.plannerAccount.id;
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 100, 500));
+
+    if (!isValidTaskId(taskId)) {
+      return res.status(400).json({ error: 'Invalid task id' });
+    }
+
+    const result = await pool.query(
+      `SELECT id, version, data, deleted, device_id, created_at FROM planner_revisions
+       WHERE user_token = $1 AND kind = 'task' AND task_id = $2
+       ORDER BY created_at DESC, id DESC
+       LIMIT $3`,
+      [accountId, taskId, limit]
+    );
+
+    const revisions = result.rows.map(row => ({
+      revisionId: row.id,
+      version: row.version,
+      deleted: row.deleted,
+      deviceId: row.device_id,
+      createdAt: row.created_at,
+      task: row.data
+    }));
+
+    res.json({
+      success: true,
+      taskId: Number(taskId),
+      revisions: revisions,
+      count: revisions.length,
+      retentionDays: PLANNER_HISTORY_RETENTION_DAYS
+    });
+
+  } catch (error) {
+    console.error('Task history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Roll back one task ({ taskId } in the path) or the whole account to { at }
+async function restoreToPointInTime(req, res) {
+  try {
+    const { taskId } = req.params;
+    const accountId = req.plannerAccount.id;
+    const at = parseRestorePoint(req.body.at);
+
+    if (taskId !== undefined && !isValidTaskId(taskId)) {
+      return res.status(400).json({ error: 'Invalid task id' });
+    }
+
+    if (!at) {
+      return res.status(400).json({ error: 'at must be a timestamp, e.g. 2024-05-01T12:00:00Z' });
+    }
+
+    if (isBeforeHistoryWindow(at)) {
+      return res.status(400).json({
+        error: `History only goes back ${PLANNER_HISTORY_RETENTION_DAYS} days`,
+        retentionDays: PLANNER_HISTORY_RETENTION_DAYS
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const seq = await nextTaskSeq(client, accountId);
+      const tasks = await restoreTasksTo(client, accountId, seq, at, deviceIdFor(req), taskId === undefined ? null : taskId);
+      const blobs = taskId === undefined ? await restoreBlobsTo(client, accountId, at, deviceIdFor(req)) : [];
+
+      await client.query('COMMIT');
+
+      metrics.plannerSyncWrites.inc({ kind: taskId === undefined ? 'account-rollback' : 'task-rollback' });
+      metrics.plannerTasksWritten.inc(tasks.restored + tasks.deleted);
+
+      console.log(`⏪ Restored ${taskId === undefined ? 'account' : `task ${taskId}`} for ${accountId} to ${at.toISOString()}`);
+      res.json({
+        success: true,
+        at: at,
+        tasksRestored: tasks.restored,
+        tasksDeleted: tasks.deleted,
+        ...(taskId === undefined && { restored: blobs }),
+        cursor: String(seq)
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('Point-in-time restore error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.post('/api/planner/tasks/:token/:taskId/rollback', requirePlannerAuth, restoreToPointInTime);
+app.post('/api/planner/rollback/:token', requirePlannerAuth, restoreToPointInTime);
+
 // Get settings
-app.get('/api/planner/settings/:token', async (req, res) => {
+app.get('/api/planner/settings/:token', requirePlannerAuth, async (req, res) => {
   try {
-    const { token } = req.params;
+    const accountId = req.plannerAccount.id;
 
     const result = await pool.query(
       'SELECT data FROM planner_settings WHERE user_token = $1',
-      [token.toUpperCase()]
+      [accountId]
     );
 
     if (result.rows.length === 0) {
@@ -369,18 +1604,14 @@ app.get('/api/planner/settings/:token', async (req, res) => {
 });
 
 // Save settings
-app.post('/api/planner/settings/:token', async (req, res) => {
+app.post('/api/planner/settings/:token', requirePlannerAuth, async (req, res) => {
   try {
-    const { token } = req.params;
+    const accountId = req.plannerAccount.id;
     const { settings } = req.body;
 
-    await pool.query(
-      `INSERT INTO planner_settings (user_token, data, updated_at)
-       VALUES ($1, $2, NOW())
-       ON CONFLICT (user_token)
-       DO UPDATE SET data = $2, updated_at = NOW()`,
-      [token.toUpperCase(), settings]
-    );
+    await saveAccountBlob(pool, 'settings', accountId, settings, deviceIdFor(req));
+
+    metrics.plannerSyncWrites.inc({ kind: 'settings' });
 
     res.json({ success: true, message: 'Settings saved' });
 
@@ -391,13 +1622,13 @@ app.post('/api/planner/settings/:token', async (req, res) => {
 });
 
 // Get stats
-app.get('/api/planner/stats/:token', async (req, res) => {
+app.get('/api/planner/stats/:token', requirePlannerAuth, async (req, res) => {
   try {
-    const { token } = req.params;
+    const accountId = req.plannerAccount.id;
 
     const result = await pool.query(
       'SELECT data FROM planner_stats WHERE user_token = $1',
-      [token.toUpperCase()]
+      [accountId]
     );
 
     if (result.rows.length === 0) {
@@ -472,18 +1703,14 @@ app.get('/sync/:id', async (req, res) => {
 });
 
 // Save stats
-app.post('/api/planner/stats/:token', async (req, res) => {
+app.post('/api/planner/stats/:token', requirePlannerAuth, async (req, res) => {
   try {
-    const { token } = req.params;
+    const accountId = req.plannerAccount.id;
     const { stats } = req.body;
 
-    await pool.query(
-      `INSERT INTO planner_stats (user_token, data, updated_at)
-       VALUES ($1, $2, NOW())
-       ON CONFLICT (user_token)
-       DO UPDATE SET data = $2, updated_at = NOW()`,
-      [token.toUpperCase(), stats]
-    );
+    await saveAccountBlob(pool, 'stats', accountId, stats, deviceIdFor(req));
+
+    metrics.plannerSyncWrites.inc({ kind: 'stats' });
 
     res.json({ success: true, message: 'Stats saved' });
 
@@ -494,19 +1721,21 @@ app.post('/api/planner/stats/:token', async (req, res) => {
 });
 
 // Check sync status
-app.get('/api/planner/sync/:token', async (req, res) => {
+app.get('/api/planner/sync/:token', requirePlannerAuth, async (req, res) => {
   try {
-    const { token } = req.params;
+    const accountId = req.plannerAccount.id;
 
     const result = await pool.query(
-      'SELECT COUNT(*) as task_count, MAX(updated_at) as last_sync FROM planner_tasks WHERE user_token = $1',
-      [token.toUpperCase()]
+      `SELECT COUNT(*) FILTER (WHERE deleted_at IS NULL) as task_count, MAX(updated_at) as last_sync
+       FROM planner_tasks WHERE user_token = $1`,
+      [accountId]
     );
 
     res.json({
       success: true,
       taskCount: parseInt(result.rows[0].task_count),
-      lastSync: result.rows[0].last_sync
+      lastSync: result.rows[0].last_sync,
+      cursor: (await taskSyncState(accountId)).cursor
     });
 
   } catch (error) {
@@ -515,488 +1744,4464 @@ app.get('/api/planner/sync/:token', async (req, res) => {
   }
 });
 
-// Delete account (for testing/cleanup)
-app.delete('/api/planner/account/:token', async (req, res) => {
+// Whole account as one versioned JSON archive (?gzip=true to compress)
+app.get('/api/planner/export/:token', requirePlannerAuth, async (req, res) => {
   try {
-    const { token } = req.params;
+    const account = req.plannerAccount;
+    const archive = await buildPlannerExport(account);
 
-    await pool.query(
-      'DELETE FROM planner_users WHERE token = $1',
-      [token.toUpperCase()]
-    );
+    await pool.query('UPDATE planner_users SET last_export_at = NOW() WHERE token = $1', [account.id]);
 
-    res.json({ success: true, message: 'Account deleted' });
+    const filename = `planner-export-${archive.exportedAt.slice(0, 10)}.json`;
+    const body = JSON.stringify(archive);
+
+    if (req.query.gzip === 'true' || req.query.gzip === '1') {
+      res.set('Content-Type', 'application/gzip');
+      res.set('Content-Disposition', `attachment; filename="${filename}.gz"`);
+      return res.send(zlib.gzipSync(body));
+    }
+
+    res.set('Content-Type', 'application/json');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
 
   } catch (error) {
-    console.error('Delete account error:', error);
+    console.error('Export error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== RTD TRANSIT API (ORIGINAL CODE) ====================
+// Restore an export. The body is the archive (send a .gz one with
+// Content-Encoding: gzip); ?mode=merge|replace, ?dryRun=true to only report.
+app.post('/api/planner/import/:token', requirePlannerAuth, async (req, res) => {
+  try {
+    const accountId = req.plannerAccount.id;
+    const mode = req.query.mode || 'merge';
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
 
-// Your TransitLand API key
-const TRANSITLAND_API_KEY = 'TXTmQ3It74ub7L4huB6mgBxUJ824DRLG';
+    if (!['merge', 'replace'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be merge or replace' });
+    }
 
-// RTD GTFS-RT feed URLs
-const RTD_TRIP_UPDATES = 'https://www.rtd-denver.com/files/gtfs-rt/TripUpdate.pb';
-const RTD_VEHICLE_POSITIONS = 'https://www.rtd-denver.com/files/gtfs-rt/VehiclePosition.pb';
+    const invalid = validatePlannerArchive(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
 
-// N Line stop IDs (from RTD GTFS data - numeric IDs)
-const N_LINE_STOPS = {
-  '34668': { name: 'Union Station', direction: 'both' },
-  '35247': { name: '38th & Blake', direction: 'northbound' },
-  '35249': { name: '40th & Colorado', direction: 'northbound' },
-  '35251': { name: '61st & Pena', direction: 'northbound' },
-  '35253': { name: 'Commerce City/72nd', direction: 'northbound' },
-  '35255': { name: 'Thornton Crossroads/104th', direction: 'northbound' },
-  '35257': { name: 'Eastlake/124th', direction: 'northbound' },
-  '35365': { name: 'Northglenn/112th', direction: 'southbound' },
-  '35254': { name: 'Thornton Crossroads/104th', direction: 'southbound' },
-  '35252': { name: 'Commerce City/72nd', direction: 'southbound' },
-  '35250': { name: '61st & Pena', direction: 'southbound' },
-  '35248': { name: '40th & Colorado', direction: 'southbound' },
-  '35246': { name: '38th & Blake', direction: 'southbound' },
-  'ustn': { name: 'Union Station', actualId: '34668' },
-};
+    const archive = req.body;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
 
-// 16th Street Mall FreeRide bus stops
-const FREERIDE_STOPS = {
-  '34668': { name: 'Union Station', direction: 'both' },
-  '35367': { name: 'Union Station Bus Gates', direction: 'both' },
-  '22358': { name: '16th St Mall & Wynkoop', direction: 'both' },
-  '22359': { name: '16th St Mall & Wazee', direction: 'both' },
-  '22360': { name: '16th St Mall & Blake', direction: 'both' },
-  '22361': { name: '16th St Mall & Market', direction: 'both' },
-  '22362': { name: '16th St Mall & Larimer', direction: 'both' },
-  '22363': { name: '16th St Mall & Lawrence', direction: 'both' },
-  '22364': { name: '16th St Mall & Arapahoe', direction: 'both' },
-  '22365': { name: '16th St Mall & Curtis', direction: 'both' },
-  '22366': { name: '16th St Mall & Champa', direction: 'both' },
-  '22367': { name: '16th St Mall & Stout', direction: 'both' },
-  '22368': { name: '16th St Mall & California', direction: 'both' },
-  '22369': { name: '16th St Mall & Welton', direction: 'both' },
-  '22370': { name: '16th St Mall & Glenarm', direction: 'both' },
-  '22371': { name: '16th St Mall & Tremont', direction: 'both' },
-  '22372': { name: '16th St Mall & Court', direction: 'both' },
-  '22373': { name: '16th St Mall & Cleveland', direction: 'both' },
-  '35368': { name: 'Civic Center Station', direction: 'both' },
-};
+      const seq = await nextTaskSeq(client, accountId);
+      const plan = await planPlannerImport(client, accountId, archive, mode);
 
-// Free MetroRide bus stops
-const METRORIDE_STOPS = {
-  '34299': { name: '19th St & Stout (Outbound)', direction: 'outbound' },
-  '34304': { name: '18th St & California (Inbound)', direction: 'inbound' },
-  '34300': { name: '19th St & Welton', direction: 'outbound' },
-  '34301': { name: '19th St & California', direction: 'outbound' },
-  '34302': { name: '19th St & Stout', direction: 'outbound' },
-  '34303': { name: '18th St & Stout', direction: 'inbound' },
-  '34305': { name: '18th St & Champa', direction: 'inbound' },
-  '34306': { name: '18th St & Arapahoe', direction: 'inbound' },
-};
+      if (dryRun) {
+        await client.query('ROLLBACK');
+        return res.json({ success: true, dryRun: true, mode: mode, ...summarizeImportPlan(plan) });
+      }
+
+      const deviceId = deviceIdFor(req);
+      for (const task of [...plan.create, ...plan.update]) {
+        await upsertTask(client, accountId, seq, task, deviceId, true);
+      }
+      await tombstoneTasks(client, accountId, seq, plan.delete, deviceId);
+
+      for (const kind of Object.keys(PLANNER_BLOB_TABLES)) {
+        if (plan.blobs[kind] === 'replaced') {
+          await saveAccountBlob(client, kind, accountId, archive[kind], deviceId);
+        }
+      }
+
+      await client.query('COMMIT');
+
+      metrics.plannerSyncWrites.inc({ kind: 'import' });
+      metrics.plannerTasksWritten.inc(plan.create.length + plan.update.length + plan.delete.length);
+
+      console.log(`📦 Imported ${archive.tasks.length} tasks for ${accountId} (${mode})`);
+      res.json({ success: true, dryRun: false, mode: mode, ...summarizeImportPlan(plan), cursor: String(seq) });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
-// TransitLand proxy endpoint
-app.get('/api/transitland/routes', async (req, res) => {
-  try {
-    const url = `https://transit.land/api/v2/rest/routes?feed_onestop_id=f-9xj-rtd&route_short_name=N&apikey=${TRANSITLAND_API_KEY}`;
-    const response = await fetch(url);
-    const data = await response.json();
-    res.json(data);
   } catch (error) {
-    console.error('TransitLand routes error:', error);
+    console.error('Import error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/transitland/stops', async (req, res) => {
+// Delete account. Needs a recent export, or confirm=DELETE (body or query)
+app.delete('/api/planner/account/:token', requirePlannerAuth, async (req, res) => {
   try {
-    const { route_id } = req.query;
-    const url = `https://transit.land/api/v2/rest/stops?served_by_route_id=${route_id}&apikey=${TRANSITLAND_API_KEY}&limit=100`;
-    const response = await fetch(url);
-    const data = await response.json();
-    res.json(data);
-  } catch (error) {
-    console.error('TransitLand stops error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+    const accountId = req.plannerAccount.id;
+    const lastExportAt = req.plannerAccount.last_export_at;
+    const confirm = (req.body && req.body.confirm) || req.query.confirm;
+
+    const recentlyExported = lastExportAt &&
+      Date.now() - new Date(lastExportAt).getTime() <= PLANNER_DELETE_EXPORT_WINDOW_MINUTES * 60 * 1000;
+
+    if (!recentlyExported && confirm !== ACCOUNT_DELETE_CONFIRMATION) {
+      return res.status(409).json({
+        error: `Export your data first (GET /api/planner/export/:token, within ${PLANNER_DELETE_EXPORT_WINDOW_MINUTES} minutes) or confirm with confirm=${ACCOUNT_DELETE_CONFIRMATION}`,
+        lastExportAt: lastExportAt || null
+      });
+    }
+
+    await pool.query(
+      'DELETE FROM planner_users WHERE token = $1',
+      [accountId]
+    );
+
+    res.json({ success: true, message: 'Account deleted' });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== RTD TRANSIT API (ORIGINAL CODE) ====================
+
+// RTD GTFS-RT feed URLs
+const RTD_TRIP_UPDATES = 'https://www.rtd-denver.com/files/gtfs-rt/TripUpdate.pb';
+const RTD_VEHICLE_POSITIONS = 'https://www.rtd-denver.com/files/gtfs-rt/VehiclePosition.pb';
+const RTD_ALERTS = 'https://www.rtd-denver.com/files/gtfs-rt/Alerts.pb';
+
+// ==================== UPSTREAM CLIENT ====================
+
+// Every call to RTD and TransitLand goes through upstreamFetch(): a timeout
+// covering the whole exchange, a few retries with jittered backoff for
+// failures worth retrying, and a circuit breaker per upstream so a dead
+// server is left alone for a while instead of tying up every request.
+const UPSTREAM_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS) || 10000;
+const UPSTREAM_MAX_RETRIES = process.env.UPSTREAM_MAX_RETRIES !== undefined
+  ? parseInt(process.env.UPSTREAM_MAX_RETRIES) || 0
+  : 2;
+const UPSTREAM_RETRY_BASE_MS = 250;
+const UPSTREAM_RETRY_MAX_MS = 2000;
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.UPSTREAM_BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.UPSTREAM_BREAKER_COOLDOWN_MS) || 30000;
+
+// upstream name -> { state: 'closed' | 'open' | 'half-open', failures, openedAt, lastFailure }
+const circuitBreakers = new Map();
+
+function getBreaker(upstream) {
+  if (!circuitBreakers.has(upstream)) {
+    circuitBreakers.set(upstream, { state: 'closed', failures: 0, openedAt: null, lastFailure: null });
+  }
+  return circuitBreakers.get(upstream);
+}
+
+// Errors from upstreamFetch carry `upstream` and `code` so handlers can answer
+// with sendUpstreamError() instead of a generic 500
+function upstreamError(upstream, code, message, fields = {}) {
+  return Object.assign(new Error(message), { upstream, code, retryable: false, ...fields });
+}
+
+function breakerRetryAfter(breaker) {
+  return Math.max(1, Math.ceil((breaker.openedAt + BREAKER_COOLDOWN_MS - Date.now()) / 1000));
+}
+
+// Throws while the breaker is open. After the cooldown one trial request is
+// let through (half-open); its result closes or re-opens the breaker.
+function checkBreaker(upstream) {
+  const breaker = getBreaker(upstream);
+  if (breaker.state === 'closed') return breaker;
+
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= BREAKER_COOLDOWN_MS) {
+    breaker.state = 'half-open';
+    return breaker;
+  }
+
+  throw upstreamError(upstream, 'CIRCUIT_OPEN', `${upstream} is unavailable (circuit open)`, {
+    retryAfterSeconds: breakerRetryAfter(breaker)
+  });
+}
+
+function recordUpstreamSuccess(breaker) {
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.openedAt = null;
+}
+
+function recordUpstreamFailure(upstream, breaker, error) {
+  breaker.failures++;
+  breaker.lastFailure = error.message;
+
+  if (breaker.state === 'half-open' || breaker.failures >= BREAKER_FAILURE_THRESHOLD) {
+    if (breaker.state !== 'open') {
+      console.error(`⛔ Circuit open for ${upstream} after ${breaker.failures} failures: ${error.message}`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+function retryDelay(attempt) {
+  const backoff = Math.min(UPSTREAM_RETRY_BASE_MS * 2 ** attempt, UPSTREAM_RETRY_MAX_MS);
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+async function fetchOnce(upstream, url, headers, timeoutMs, target) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const stopTimer = metrics.upstreamDuration.startTimer({ upstream, target });
+
+  try {
+    const response = await fetch(url, { headers, signal: controller.signal });
+
+    // Read the body inside the timeout too; a server can stall mid-download
+    const body = response.status === 304 ? Buffer.alloc(0) : await response.buffer();
+
+    if (!response.ok && response.status !== 304) {
+      throw upstreamError(upstream, 'HTTP_STATUS', `${upstream} returned ${response.status}`, {
+        status: response.status,
+        retryable: response.status >= 500 || response.status === 429
+      });
+    }
+
+    return { status: response.status, headers: response.headers, body };
+  } catch (error) {
+    if (error.upstream) throw error;
+
+    // Never echo the URL: TransitLand URLs carry the API key
+    if (error.name === 'AbortError') {
+      throw upstreamError(upstream, 'TIMEOUT', `${upstream} timed out after ${timeoutMs}ms`, { retryable: true });
+    }
+    throw upstreamError(upstream, 'NETWORK', `${upstream} request failed (${error.code || error.type || 'network error'})`, {
+      retryable: true
+    });
+  } finally {
+    clearTimeout(timer);
+    stopTimer();
+  }
+}
+
+// GET `url` from `upstream` ('rtd', 'transitland', ...). Resolves to
+// { status, headers, body } for 2xx and 304 responses, rejects with an
+// upstreamError otherwise. `options.target` names the feed or endpoint in metrics.
+async function upstreamFetch(upstream, url, options = {}) {
+  const target = options.target || upstream;
+
+  let breaker;
+  try {
+    breaker = checkBreaker(upstream);
+  } catch (error) {
+    metrics.upstreamFailures.inc({ upstream, target, code: error.code });
+    throw error;
+  }
+
+  const timeoutMs = options.timeoutMs || UPSTREAM_TIMEOUT_MS;
+  const retries = breaker.state === 'half-open' ? 0 : UPSTREAM_MAX_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await fetchOnce(upstream, url, options.headers || {}, timeoutMs, target);
+      recordUpstreamSuccess(breaker);
+      return result;
+    } catch (error) {
+      metrics.upstreamFailures.inc({ upstream, target, code: error.code });
+      if (!error.retryable || attempt >= retries) {
+        // A 4xx answer means the server is up: it counts as a success, which
+        // also settles a half-open trial
+        if (error.retryable) recordUpstreamFailure(upstream, breaker, error);
+        else recordUpstreamSuccess(breaker);
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelay(attempt)));
+    }
+  }
+}
+
+// Breaker state for /health
+function upstreamHealth() {
+  const upstreams = {};
+  circuitBreakers.forEach((breaker, upstream) => {
+    upstreams[upstream] = {
+      circuit: breaker.state,
+      consecutiveFailures: breaker.failures,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+      retryAfterSeconds: breaker.state === 'open' ? breakerRetryAfter(breaker) : null,
+      lastFailure: breaker.lastFailure
+    };
+  });
+  return upstreams;
+}
+
+// One error body for every upstream failure: 503 while the breaker is open,
+// 502 for anything else the upstream did wrong
+function sendUpstreamError(res, error) {
+  const status = error.code === 'CIRCUIT_OPEN' ? 503 : 502;
+  if (error.retryAfterSeconds) res.set('Retry-After', String(error.retryAfterSeconds));
+
+  res.status(status).json({
+    error: status === 503 ? 'Upstream temporarily unavailable' : 'Upstream request failed',
+    upstream: error.upstream,
+    code: error.code,
+    details: error.message,
+    retryAfterSeconds: error.retryAfterSeconds || null
+  });
+}
+
+// ==================== ROUTE REGISTRY ====================
+
+// Every route the proxy serves, keyed by exact GTFS route_id. `include` lists
+// the endpoints the route appears in:
+//   arrivals - /api/rtd/arrivals/:stopId (and /api/rtd/arrivals for rail)
+//   bus      - /api/rtd/bus/:stopId
+//   vehicles - /api/rtd/vehicle-positions
+// Override with ROUTE_REGISTRY_PATH (JSON file) or ROUTE_REGISTRY (JSON string),
+// either an object keyed by route_id or an array of entries with routeId.
+const DEFAULT_ROUTE_REGISTRY = {
+  '117N': {
+    name: 'N Line', shortName: 'N', mode: 'rail', color: '#9F26B5',
+    directions: ['Southbound', 'Northbound'], include: ['arrivals', 'vehicles']
+  },
+  '113G': {
+    name: 'G Line', shortName: 'G', mode: 'rail', color: '#F6B221',
+    directions: ['Eastbound', 'Westbound'], include: ['vehicles']
+  },
+  '113B': {
+    name: 'B Line', shortName: 'B', mode: 'rail', color: '#4E9D2D',
+    directions: ['Southbound', 'Northbound'], include: ['vehicles']
+  },
+  'MALL': {
+    name: '16th St Mall', shortName: 'MALL', mode: 'bus', color: '#0076CE',
+    directions: ['Outbound', 'Inbound'], include: ['arrivals', 'bus']
+  },
+  'MALLRIDE': {
+    name: '16th St Mall', shortName: 'MALL', mode: 'bus', color: '#0076CE',
+    directions: ['Outbound', 'Inbound'], include: ['arrivals', 'bus']
+  },
+  'FREE': {
+    name: '16th St Mall', shortName: 'FREE', mode: 'bus', color: '#0076CE',
+    directions: ['Outbound', 'Inbound'], include: ['arrivals', 'bus']
+  },
+  'METRORIDE': {
+    name: 'MetroRide', shortName: 'METRO', mode: 'bus', color: '#00A3AD',
+    directions: ['Outbound', 'Inbound'], include: ['arrivals', 'bus']
+  },
+  'METRO': {
+    name: 'MetroRide', shortName: 'METRO', mode: 'bus', color: '#00A3AD',
+    directions: ['Outbound', 'Inbound'], include: ['arrivals', 'bus']
+  }
+};
+
+function loadRouteRegistry() {
+  let config = DEFAULT_ROUTE_REGISTRY;
+
+  try {
+    if (process.env.ROUTE_REGISTRY_PATH) {
+      config = JSON.parse(fs.readFileSync(process.env.ROUTE_REGISTRY_PATH, 'utf8'));
+    } else if (process.env.ROUTE_REGISTRY) {
+      config = JSON.parse(process.env.ROUTE_REGISTRY);
+    }
+  } catch (error) {
+    console.error('❌ Route registry config error, using defaults:', error.message);
+    config = DEFAULT_ROUTE_REGISTRY;
+  }
+
+  const entries = Array.isArray(config)
+    ? config
+    : Object.keys(config).map(routeId => ({ routeId, ...config[routeId] }));
+
+  const registry = new Map();
+
+  entries.forEach(entry => {
+    if (!entry.routeId || !entry.name) {
+      console.error('⚠️  Skipping route registry entry without routeId/name:', entry);
+      return;
+    }
+
+    registry.set(String(entry.routeId), {
+      routeId: String(entry.routeId),
+      name: entry.name,
+      shortName: entry.shortName || null,
+      mode: entry.mode || 'bus',
+      color: entry.color || null,
+      textColor: entry.textColor || null,
+      directions: entry.directions || ['Outbound', 'Inbound'],
+      include: entry.include || ['arrivals']
+    });
+  });
+
+  return registry;
+}
+
+const routeRegistry = loadRouteRegistry();
+
+// Registered route, or undefined for routes the proxy doesn't serve
+function getRoute(routeId) {
+  return routeId ? routeRegistry.get(String(routeId)) : undefined;
+}
+
+// Route IDs that appear in an endpoint ('arrivals', 'bus' or 'vehicles')
+function registryRouteIds(include, mode) {
+  return Array.from(routeRegistry.values())
+    .filter(route => route.include.includes(include) && (!mode || route.mode === mode))
+    .map(route => route.routeId);
+}
+
+// Display label for an endpoint's routes, e.g. "16th St Mall / MetroRide"
+function registryRouteLabel(include) {
+  return Array.from(new Set(registryRouteIds(include).map(routeId => getRoute(routeId).name))).join(' / ');
+}
+
+function routeDirectionName(routeId, directionId) {
+  return getRoute(routeId)?.directions[directionId] || null;
+}
+
+app.get('/api/rtd/routes', (req, res) => {
+  res.json({
+    routeCount: routeRegistry.size,
+    routes: Array.from(routeRegistry.values())
+  });
+});
+
+// N Line stop IDs (from RTD GTFS data - numeric IDs)
+const N_LINE_STOPS = {
+  '34668': { name: 'Union Station', direction: 'both' },
+  '35247': { name: '38th & Blake', direction: 'northbound' },
+  '35249': { name: '40th & Colorado', direction: 'northbound' },
+  '35251': { name: '61st & Pena', direction: 'northbound' },
+  '35253': { name: 'Commerce City/72nd', direction: 'northbound' },
+  '35255': { name: 'Thornton Crossroads/104th', direction: 'northbound' },
+  '35257': { name: 'Eastlake/124th', direction: 'northbound' },
+  '35365': { name: 'Northglenn/112th', direction: 'southbound' },
+  '35254': { name: 'Thornton Crossroads/104th', direction: 'southbound' },
+  '35252': { name: 'Commerce City/72nd', direction: 'southbound' },
+  '35250': { name: '61st & Pena', direction: 'southbound' },
+  '35248': { name: '40th & Colorado', direction: 'southbound' },
+  '35246': { name: '38th & Blake', direction: 'southbound' },
+};
+
+// 16th Street Mall FreeRide bus stops
+const FREERIDE_STOPS = {
+  '34668': { name: 'Union Station', direction: 'both' },
+  '35367': { name: 'Union Station Bus Gates', direction: 'both' },
+  '22358': { name: '16th St Mall & Wynkoop', direction: 'both' },
+  '22359': { name: '16th St Mall & Wazee', direction: 'both' },
+  '22360': { name: '16th St Mall & Blake', direction: 'both' },
+  '22361': { name: '16th St Mall & Market', direction: 'both' },
+  '22362': { name: '16th St Mall & Larimer', direction: 'both' },
+  '22363': { name: '16th St Mall & Lawrence', direction: 'both' },
+  '22364': { name: '16th St Mall & Arapahoe', direction: 'both' },
+  '22365': { name: '16th St Mall & Curtis', direction: 'both' },
+  '22366': { name: '16th St Mall & Champa', direction: 'both' },
+  '22367': { name: '16th St Mall & Stout', direction: 'both' },
+  '22368': { name: '16th St Mall & California', direction: 'both' },
+  '22369': { name: '16th St Mall & Welton', direction: 'both' },
+  '22370': { name: '16th St Mall & Glenarm', direction: 'both' },
+  '22371': { name: '16th St Mall & Tremont', direction: 'both' },
+  '22372': { name: '16th St Mall & Court', direction: 'both' },
+  '22373': { name: '16th St Mall & Cleveland', direction: 'both' },
+  '35368': { name: 'Civic Center Station', direction: 'both' },
+};
+
+// Free MetroRide bus stops
+const METRORIDE_STOPS = {
+  '34299': { name: '19th St & Stout (Outbound)', direction: 'outbound' },
+  '34304': { name: '18th St & California (Inbound)', direction: 'inbound' },
+  '34300': { name: '19th St & Welton', direction: 'outbound' },
+  '34301': { name: '19th St & California', direction: 'outbound' },
+  '34302': { name: '19th St & Stout', direction: 'outbound' },
+  '34303': { name: '18th St & Stout', direction: 'inbound' },
+  '34305': { name: '18th St & Champa', direction: 'inbound' },
+  '34306': { name: '18th St & Arapahoe', direction: 'inbound' },
+};
+
+// ==================== STATIC GTFS SCHEDULE ====================
+
+// The stop tables above are only a fallback. When GTFS_STATIC_PATH (local zip)
+// or GTFS_STATIC_URL is set, stop names, directions and route membership come
+// from RTD's published schedule instead.
+const GTFS_STATIC_PATH = process.env.GTFS_STATIC_PATH;
+const GTFS_STATIC_URL = process.env.GTFS_STATIC_URL;
+const GTFS_REFRESH_HOURS = parseInt(process.env.GTFS_REFRESH_HOURS) || 24;
+
+// stop_times.txt is large, so only trips on these routes keep their stop times
+const GTFS_ROUTE_IDS = process.env.GTFS_ROUTE_IDS
+  ? process.env.GTFS_ROUTE_IDS.split(',').map(id => id.trim()).filter(Boolean)
+  : null;
+
+// Built-in stop tables for the default routes
+const BUILT_IN_ROUTE_STOPS = {
+  '117N': N_LINE_STOPS,
+  'MALL': FREERIDE_STOPS,
+  'MALLRIDE': FREERIDE_STOPS,
+  'FREE': FREERIDE_STOPS,
+  'METRORIDE': METRORIDE_STOPS,
+  'METRO': METRORIDE_STOPS
+};
+
+// Membership used until a schedule is loaded: every registered route that
+// has a built-in table
+const FALLBACK_ROUTE_STOPS = {};
+routeRegistry.forEach(route => {
+  if (BUILT_IN_ROUTE_STOPS[route.routeId]) {
+    FALLBACK_ROUTE_STOPS[route.routeId] = BUILT_IN_ROUTE_STOPS[route.routeId];
+  }
+});
+
+let gtfsSchedule = null;
+
+function isScheduleRoute(routeId) {
+  if (GTFS_ROUTE_IDS) {
+    return GTFS_ROUTE_IDS.includes(routeId);
+  }
+  return routeRegistry.has(routeId);
+}
+
+// Split one CSV line, honoring quoted fields and doubled quotes
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+
+    if (inQuotes) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+}
+
+// Zip compression methods adm-zip reports in entry.header.method
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+// Stream one GTFS file out of the zip row by row. Only the compressed bytes
+// sit in memory; zlib inflates them in chunks off the main thread and each
+// line is parsed as it arrives, so big files like stop_times.txt never
+// become one giant buffer and the event loop keeps serving requests.
+async function forEachGtfsRow(zip, fileName, callback) {
+  const entry = zip.getEntry(fileName);
+  if (!entry) {
+    return false;
+  }
+
+  let input;
+  if (entry.header.method === ZIP_STORED) {
+    input = Readable.from([entry.getCompressedData()]);
+  } else if (entry.header.method === ZIP_DEFLATED) {
+    input = zlib.createInflateRaw();
+    input.end(entry.getCompressedData());
+  } else {
+    throw new Error(`${fileName} uses unsupported zip compression method ${entry.header.method}`);
+  }
+
+  const lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+  let header = null;
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    const fields = parseCsvLine(line);
+
+    if (!header) {
+      header = fields.map(name => name.trim().replace(/^\uFEFF/, ''));
+      continue;
+    }
+
+    const row = {};
+    header.forEach((name, i) => {
+      row[name] = (fields[i] || '').trim();
+    });
+    callback(row);
+  }
+
+  return true;
+}
+
+// "25:10:00" -> seconds after midnight of the service day
+function parseGtfsTime(value) {
+  if (!value) return null;
+  const [h, m, s] = value.split(':').map(Number);
+  return h * 3600 + m * 60 + (s || 0);
+}
+
+async function buildGtfsSchedule(zip) {
+  const schedule = {
+    loadedAt: Date.now(),
+    stops: new Map(),
+    routes: new Map(),
+    trips: new Map(),
+    stopTimes: new Map(),
+    calendar: new Map(),
+    calendarDates: new Map(),
+    routePatterns: new Map(),
+    shapes: new Map(),       // shape_id -> [[lon, lat], ...]
+    routeShapes: new Map()   // route_id -> Map(shape_id -> direction_id)
+  };
+
+  for (const file of ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt']) {
+    if (!zip.getEntry(file)) {
+      throw new Error(`GTFS zip is missing ${file}`);
+    }
+  }
+
+  await forEachGtfsRow(zip, 'stops.txt', row => {
+    schedule.stops.set(row.stop_id, {
+      stopId: row.stop_id,
+      code: row.stop_code || null,
+      name: row.stop_name,
+      description: row.stop_desc || null,
+      latitude: row.stop_lat ? parseFloat(row.stop_lat) : null,
+      longitude: row.stop_lon ? parseFloat(row.stop_lon) : null,
+      locationType: parseInt(row.location_type) || 0,
+      parentStation: row.parent_station || null,
+      platformCode: row.platform_code || null,
+      wheelchairBoarding: parseInt(row.wheelchair_boarding) || 0,
+      platforms: [],
+      routes: new Set(),
+      directions: new Map() // routeId -> Set of direction_id
+    });
+  });
+
+  schedule.stops.forEach(stop => {
+    const parent = stop.parentStation && schedule.stops.get(stop.parentStation);
+    if (parent) parent.platforms.push(stop.stopId);
+  });
+
+  await forEachGtfsRow(zip, 'routes.txt', row => {
+    schedule.routes.set(row.route_id, {
+      routeId: row.route_id,
+      agencyId: row.agency_id || null,
+      shortName: row.route_short_name || null,
+      longName: row.route_long_name || null,
+      type: parseInt(row.route_type),
+      color: row.route_color ? `#${row.route_color}` : null,
+      textColor: row.route_text_color ? `#${row.route_text_color}` : null
+    });
+  });
+
+  await forEachGtfsRow(zip, 'trips.txt', row => {
+    schedule.trips.set(row.trip_id, {
+      tripId: row.trip_id,
+      routeId: row.route_id,
+      serviceId: row.service_id,
+      directionId: row.direction_id === '' ? null : parseInt(row.direction_id),
+      headsign: row.trip_headsign || null,
+      shapeId: row.shape_id || null
+    });
+  });
+
+  await forEachGtfsRow(zip, 'stop_times.txt', row => {
+    const trip = schedule.trips.get(row.trip_id);
+    if (!trip || !isScheduleRoute(trip.routeId)) return;
+
+    if (!schedule.stopTimes.has(row.trip_id)) {
+      schedule.stopTimes.set(row.trip_id, []);
+    }
+    schedule.stopTimes.get(row.trip_id).push({
+      stopId: row.stop_id,
+      stopSequence: parseInt(row.stop_sequence),
+      arrival: parseGtfsTime(row.arrival_time),
+      departure: parseGtfsTime(row.departure_time)
+    });
+
+    const stop = schedule.stops.get(row.stop_id);
+    if (stop) {
+      stop.routes.add(trip.routeId);
+      if (!stop.directions.has(trip.routeId)) {
+        stop.directions.set(trip.routeId, new Set());
+      }
+      stop.directions.get(trip.routeId).add(trip.directionId);
+    }
+  });
+
+  schedule.stopTimes.forEach(times => times.sort((a, b) => a.stopSequence - b.stopSequence));
+
+  await forEachGtfsRow(zip, 'calendar.txt', row => {
+    schedule.calendar.set(row.service_id, {
+      days: [row.sunday, row.monday, row.tuesday, row.wednesday, row.thursday, row.friday, row.saturday]
+        .map(flag => flag === '1'),
+      startDate: row.start_date,
+      endDate: row.end_date
+    });
+  });
+
+  await forEachGtfsRow(zip, 'calendar_dates.txt', row => {
+    if (!schedule.calendarDates.has(row.date)) {
+      schedule.calendarDates.set(row.date, new Map());
+    }
+    // exception_type 1 = service added, 2 = service removed
+    schedule.calendarDates.get(row.date).set(row.service_id, row.exception_type === '1');
+  });
+
+  // The longest trip in each route/direction stands in for its stop pattern
+  schedule.stopTimes.forEach((times, tripId) => {
+    const trip = schedule.trips.get(tripId);
+    const key = `${trip.routeId}:${trip.directionId}`;
+    const current = schedule.routePatterns.get(key);
+
+    if (!current || times.length > current.stops.length) {
+      schedule.routePatterns.set(key, {
+        routeId: trip.routeId,
+        directionId: trip.directionId,
+        headsign: trip.headsign,
+        stops: times.map(t => ({ stopId: t.stopId, stopSequence: t.stopSequence }))
+      });
+    }
+  });
+
+  // shapes.txt is optional; keep only shapes used by the routes we load
+  schedule.trips.forEach(trip => {
+    if (!trip.shapeId || !isScheduleRoute(trip.routeId)) return;
+
+    if (!schedule.routeShapes.has(trip.routeId)) {
+      schedule.routeShapes.set(trip.routeId, new Map());
+    }
+    schedule.routeShapes.get(trip.routeId).set(trip.shapeId, trip.directionId);
+  });
+
+  const shapeIds = new Set();
+  schedule.routeShapes.forEach(shapes => shapes.forEach((directionId, shapeId) => shapeIds.add(shapeId)));
+
+  const shapePoints = new Map();
+  await forEachGtfsRow(zip, 'shapes.txt', row => {
+    if (!shapeIds.has(row.shape_id)) return;
+
+    if (!shapePoints.has(row.shape_id)) {
+      shapePoints.set(row.shape_id, []);
+    }
+    shapePoints.get(row.shape_id).push({
+      sequence: parseInt(row.shape_pt_sequence),
+      coordinates: [parseFloat(row.shape_pt_lon), parseFloat(row.shape_pt_lat)]
+    });
+  });
+
+  shapePoints.forEach((points, shapeId) => {
+    points.sort((a, b) => a.sequence - b.sequence);
+    schedule.shapes.set(shapeId, points.map(point => point.coordinates));
+  });
+
+  return schedule;
+}
+
+async function loadGtfsSchedule() {
+  if (!GTFS_STATIC_PATH && !GTFS_STATIC_URL) {
+    console.log('⚠️  No GTFS_STATIC_PATH or GTFS_STATIC_URL - using built-in stop tables');
+    return null;
+  }
+
+  try {
+    let buffer;
+
+    if (GTFS_STATIC_PATH) {
+      buffer = await fs.promises.readFile(GTFS_STATIC_PATH);
+    } else {
+      const response = await upstreamFetch('gtfs-static', GTFS_STATIC_URL, { timeoutMs: 120000, target: 'schedule' });
+      buffer = response.body;
+    }
+
+    gtfsSchedule = await buildGtfsSchedule(new AdmZip(buffer));
+    gtfsSchedule.source = GTFS_STATIC_PATH || GTFS_STATIC_URL;
+
+    console.log(`✅ Static GTFS loaded: ${gtfsSchedule.stops.size} stops, ${gtfsSchedule.routes.size} routes, ${gtfsSchedule.stopTimes.size} scheduled trips`);
+    return gtfsSchedule;
+  } catch (error) {
+    console.error('❌ Static GTFS load error:', error);
+    return null;
+  }
+}
+
+// Is a service_id running on a Denver service date ("YYYYMMDD")?
+function isServiceActive(serviceId, serviceDate) {
+  if (!gtfsSchedule) return false;
+
+  const exceptions = gtfsSchedule.calendarDates.get(serviceDate);
+  if (exceptions && exceptions.has(serviceId)) {
+    return exceptions.get(serviceId);
+  }
+
+  const calendar = gtfsSchedule.calendar.get(serviceId);
+  if (!calendar || serviceDate < calendar.startDate || serviceDate > calendar.endDate) {
+    return false;
+  }
+
+  const year = parseInt(serviceDate.slice(0, 4));
+  const month = parseInt(serviceDate.slice(4, 6)) - 1;
+  const day = parseInt(serviceDate.slice(6, 8));
+  return calendar.days[new Date(Date.UTC(year, month, day)).getUTCDay()];
+}
+
+function directionLabel(routeId, directionIds) {
+  if (directionIds.size !== 1) return 'both';
+  const [directionId] = directionIds;
+  return (routeDirectionName(routeId, directionId) || (directionId === 1 ? 'inbound' : 'outbound')).toLowerCase();
+}
+
+// Stop details from the schedule, falling back to the built-in tables
+function getStopInfo(stopId) {
+  const id = String(stopId).trim();
+  const stop = gtfsSchedule?.stops.get(id);
+
+  if (stop) {
+    const directions = new Set();
+    stop.directions.forEach(ids => ids.forEach(directionId => directions.add(directionId)));
+    const [routeId] = stop.routes;
+
+    return {
+      name: stop.name,
+      direction: stop.routes.size === 1 ? directionLabel(routeId, directions) : 'both'
+    };
+  }
+
+  return N_LINE_STOPS[id] || FREERIDE_STOPS[id] || METRORIDE_STOPS[id] || null;
+}
+
+function stopServesRoute(stopId, routeId) {
+  const id = String(stopId).trim();
+
+  if (gtfsSchedule) {
+    return gtfsSchedule.stops.get(id)?.routes.has(routeId) || false;
+  }
+  return Boolean(FALLBACK_ROUTE_STOPS[routeId]?.[id]);
+}
+
+// Route IDs serving a stop, from the schedule or the built-in tables
+function stopRoutes(stopId) {
+  const id = String(stopId).trim();
+
+  if (gtfsSchedule) {
+    return Array.from(gtfsSchedule.stops.get(id)?.routes || []);
+  }
+  return Object.keys(FALLBACK_ROUTE_STOPS).filter(routeId => FALLBACK_ROUTE_STOPS[routeId][id]);
+}
+
+// Stop IDs served by a route, from the schedule or the built-in tables
+function routeStopIds(routeId) {
+  if (gtfsSchedule) {
+    const ids = [];
+    gtfsSchedule.stops.forEach(stop => {
+      if (stop.routes.has(routeId)) ids.push(stop.stopId);
+    });
+    return ids;
+  }
+  return Object.keys(FALLBACK_ROUTE_STOPS[routeId] || {});
+}
+
+// Platforms of one station share a key: the GTFS parent_station when there is
+// one, otherwise the stop name without its direction or track suffix
+function stationKey(stopId) {
+  const stop = gtfsSchedule?.stops.get(stopId);
+  if (stop?.parentStation) return `station:${stop.parentStation}`;
+  return `name:${stationName(stopId).toLowerCase()}`;
+}
+
+function stationName(stopId) {
+  const stop = gtfsSchedule?.stops.get(stopId);
+  const parent = stop?.parentStation && gtfsSchedule.stops.get(stop.parentStation);
+  if (parent) return parent.name;
+
+  return (getStopInfo(stopId)?.name || stopId)
+    .replace(/\s+((north|south|east|west)bound|nb|sb|eb|wb|(track|platform|gate)\s*\w+)$/i, '');
+}
+
+// Resolve a stop ID or station name to every platform of that station on a route
+function resolveStation(query, routeId) {
+  const value = String(query || '').trim();
+  if (!value) return null;
+
+  const stopIds = routeStopIds(routeId);
+  let matches = stopIds.filter(id => id === value);
+
+  if (matches.length === 0) {
+    const needle = value.toLowerCase();
+    const byName = id => (getStopInfo(id)?.name || '').toLowerCase();
+    matches = stopIds.filter(id => byName(id) === needle);
+    if (matches.length === 0) {
+      matches = stopIds.filter(id => byName(id).includes(needle));
+    }
+  }
+
+  if (matches.length === 0) return null;
+
+  const keys = new Set(matches.map(stationKey));
+  if (keys.size > 1) {
+    return { ambiguous: true, names: Array.from(new Set(matches.map(stationName))) };
+  }
+
+  const [key] = keys;
+  const platforms = stopIds.filter(id => stationKey(id) === key);
+
+  return {
+    name: stationName(platforms[0]),
+    stopIds: platforms
+  };
+}
+
+function formatRoute(route) {
+  return {
+    routeId: route.routeId,
+    shortName: route.shortName,
+    longName: route.longName,
+    type: route.type,
+    color: route.color,
+    textColor: route.textColor
+  };
+}
+
+// ==================== STATIC GTFS LOOKUP API ====================
+
+app.get('/api/gtfs/stops/:stopId', (req, res) => {
+  if (!gtfsSchedule) {
+    return res.status(503).json({ error: 'Static GTFS schedule not loaded' });
+  }
+
+  const stop = gtfsSchedule.stops.get(req.params.stopId.trim());
+  if (!stop) {
+    return res.status(404).json({ error: 'Stop not found' });
+  }
+
+  const routes = Array.from(stop.routes).sort().map(routeId => {
+    const route = gtfsSchedule.routes.get(routeId);
+    const directions = Array.from(stop.directions.get(routeId) || []).map(directionId => {
+      const pattern = gtfsSchedule.routePatterns.get(`${routeId}:${directionId}`);
+      const position = pattern ? pattern.stops.findIndex(s => s.stopId === stop.stopId) : -1;
+
+      return {
+        directionId: directionId,
+        direction: routeDirectionName(routeId, directionId),
+        headsign: pattern?.headsign || null,
+        stopSequence: position >= 0 ? pattern.stops[position].stopSequence : null
+      };
+    });
+
+    return {
+      ...(route ? formatRoute(route) : { routeId }),
+      directions: directions
+    };
+  });
+
+  res.json({
+    stopId: stop.stopId,
+    code: stop.code,
+    name: stop.name,
+    description: stop.description,
+    latitude: stop.latitude,
+    longitude: stop.longitude,
+    locationType: stop.locationType,
+    parentStation: stop.parentStation,
+    platformCode: stop.platformCode,
+    platforms: stop.platforms,
+    wheelchairBoarding: stop.wheelchairBoarding,
+    routes: routes,
+    scheduleLoadedAt: gtfsSchedule.loadedAt
+  });
+});
+
+app.get('/api/gtfs/routes/:routeId', (req, res) => {
+  if (!gtfsSchedule) {
+    return res.status(503).json({ error: 'Static GTFS schedule not loaded' });
+  }
+
+  const route = gtfsSchedule.routes.get(req.params.routeId.trim());
+  if (!route) {
+    return res.status(404).json({ error: 'Route not found' });
+  }
+
+  let tripCount = 0;
+  gtfsSchedule.trips.forEach(trip => {
+    if (trip.routeId === route.routeId) tripCount++;
+  });
+
+  const directions = [];
+  gtfsSchedule.routePatterns.forEach(pattern => {
+    if (pattern.routeId !== route.routeId) return;
+
+    directions.push({
+      directionId: pattern.directionId,
+      direction: routeDirectionName(route.routeId, pattern.directionId),
+      headsign: pattern.headsign,
+      stops: pattern.stops.map(s => ({
+        stopId: s.stopId,
+        stopSequence: s.stopSequence,
+        name: gtfsSchedule.stops.get(s.stopId)?.name || s.stopId
+      }))
+    });
+  });
+  directions.sort((a, b) => (a.directionId || 0) - (b.directionId || 0));
+
+  res.json({
+    ...formatRoute(route),
+    tripCount: tripCount,
+    directions: directions,
+    scheduleLoadedAt: gtfsSchedule.loadedAt
+  });
+});
+
+// ==================== FEED SOURCES (LIVE / RECORD / REPLAY) ====================
+
+// Where the GTFS-RT snapshots come from, set with RTD_FEED_MODE:
+//   live   - fetch from RTD (default)
+//   record - fetch from RTD and also save every new snapshot as
+//            <RTD_FEED_RECORD_DIR>/<feed>/<fetched-at-ms>.pb
+//   replay - serve saved snapshots instead of calling RTD. The replay clock
+//            starts at RTD_REPLAY_START (default: the first recording) and
+//            runs at RTD_REPLAY_SPEED; transitNow() follows it, so every
+//            /api/rtd/* route sees "now" as the moment being replayed.
+// Recordings older than RTD_FEED_RECORD_RETENTION_HOURS, or beyond
+// RTD_FEED_RECORD_MAX_FILES per feed, are deleted while recording.
+const FEED_SOURCE_MODE = ['record', 'replay'].includes(process.env.RTD_FEED_MODE) ? process.env.RTD_FEED_MODE : 'live';
+const FEED_RECORD_DIR = process.env.RTD_FEED_RECORD_DIR || './feed-recordings';
+const FEED_RECORD_RETENTION_HOURS = parseInt(process.env.RTD_FEED_RECORD_RETENTION_HOURS) || 72;
+const FEED_RECORD_MAX_FILES = parseInt(process.env.RTD_FEED_RECORD_MAX_FILES) || 20000;
+const REPLAY_SPEED = parseFloat(process.env.RTD_REPLAY_SPEED) || 1;
+
+// feed name -> recorded fetch times (epoch ms), ascending
+const feedRecordings = new Map();
+
+// Replay clock: `replayMs` was the replayed time at real time `realMs`
+let replayClock = null;
+
+// Current time in ms for anything compared against feed data
+function transitNow() {
+  if (!replayClock) return Date.now();
+  return Math.round(replayClock.replayMs + (Date.now() - replayClock.realMs) * REPLAY_SPEED);
+}
+
+function loadFeedRecordings() {
+  feedRecordings.clear();
+
+  ['tripUpdates', 'vehiclePositions', 'alerts'].forEach(name => {
+    const dir = path.join(FEED_RECORD_DIR, name);
+    const times = fs.existsSync(dir)
+      ? fs.readdirSync(dir)
+        .filter(file => /^\d+\.pb$/.test(file))
+        .map(file => parseInt(file))
+        .sort((a, b) => a - b)
+      : [];
+    feedRecordings.set(name, times);
+  });
+}
+
+function seekReplay(epochMs) {
+  replayClock = { replayMs: epochMs, realMs: Date.now() };
+}
+
+function startReplayClock() {
+  loadFeedRecordings();
+
+  // By default start once every recorded feed has its first snapshot
+  const firsts = Array.from(feedRecordings.values()).filter(times => times.length > 0).map(times => times[0]);
+  const start = parseTimeParam(process.env.RTD_REPLAY_START);
+
+  if (!start && firsts.length === 0) {
+    console.error(`❌ Replay mode: no recordings in ${FEED_RECORD_DIR}`);
+  }
+
+  seekReplay(start ? start * 1000 : (firsts.length > 0 ? Math.max(...firsts) : Date.now()));
+  console.log(`⏪ Replaying recorded feeds from ${new Date(transitNow()).toISOString()} at ${REPLAY_SPEED}x`);
+}
+
+// The recording that was current at the replay clock's "now"
+function currentRecording(name) {
+  const times = feedRecordings.get(name) || [];
+  const now = transitNow();
+
+  let found = null;
+  for (const time of times) {
+    if (time > now) break;
+    found = time;
+  }
+  return found;
+}
+
+const NO_HEADERS = { get: () => null };
+
+// Same contract as upstreamFetch: { status, headers, body }
+async function fetchFeedSource(state, headers) {
+  if (FEED_SOURCE_MODE !== 'replay') {
+    return upstreamFetch('rtd', state.url, { headers, target: state.name });
+  }
+
+  const recording = currentRecording(state.name);
+  if (recording === null) {
+    throw new Error(`No recorded ${state.name} snapshot at or before ${new Date(transitNow()).toISOString()}`);
+  }
+
+  if (state.feed && state.replayRecording === recording) {
+    return { status: 304, headers: NO_HEADERS, body: Buffer.alloc(0) };
+  }
+
+  const body = await fs.promises.readFile(path.join(FEED_RECORD_DIR, state.name, `${recording}.pb`));
+  state.replayRecording = recording;
+  return { status: 200, headers: NO_HEADERS, body };
+}
+
+// Oldest first: anything past the retention window, then the excess over the cap
+async function pruneFeedRecordings() {
+  let removed = 0;
+  const cutoff = Date.now() - FEED_RECORD_RETENTION_HOURS * 60 * 60 * 1000;
+
+  for (const name of ['tripUpdates', 'vehiclePositions', 'alerts']) {
+    const dir = path.join(FEED_RECORD_DIR, name);
+    const times = (await fs.promises.readdir(dir))
+      .filter(file => /^\d+\.pb$/.test(file))
+      .map(file => parseInt(file))
+      .sort((a, b) => a - b);
+
+    const excess = Math.max(0, times.length - FEED_RECORD_MAX_FILES);
+    const expired = times.filter((time, index) => index < excess || time < cutoff);
+
+    for (const time of expired) {
+      await fs.promises.unlink(path.join(dir, `${time}.pb`));
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`🧹 Pruned ${removed} feed recordings (keeping ${FEED_RECORD_RETENTION_HOURS}h, at most ${FEED_RECORD_MAX_FILES} per feed)`);
+  }
+}
+
+function startFeedRecorder() {
+  ['tripUpdates', 'vehiclePositions', 'alerts'].forEach(name => {
+    fs.mkdirSync(path.join(FEED_RECORD_DIR, name), { recursive: true });
+  });
+
+  const prune = () => pruneFeedRecordings().catch(error => {
+    console.error('❌ Feed recording prune error:', error.message);
+  });
+  prune();
+  setInterval(prune, 10 * 60 * 1000);
+
+  feedEvents.on('update', state => {
+    const file = path.join(FEED_RECORD_DIR, state.name, `${state.fetchedAt}.pb`);
+    fs.promises.writeFile(file, state.raw).catch(error => {
+      console.error(`❌ Feed recording write error (${state.name}):`, error.message);
+    });
+  });
+
+  console.log(`⏺️  Recording GTFS-RT snapshots to ${FEED_RECORD_DIR}`);
+}
+
+// Replay status, and POST ?at=<time> (or { at }) to jump the replay clock
+app.get('/api/rtd/replay', (req, res) => {
+  if (FEED_SOURCE_MODE === 'record') loadFeedRecordings();
+
+  const recordings = {};
+  feedRecordings.forEach((times, name) => {
+    recordings[name] = {
+      count: times.length,
+      first: times.length ? new Date(times[0]).toISOString() : null,
+      last: times.length ? new Date(times[times.length - 1]).toISOString() : null,
+      current: currentRecording(name) ? new Date(currentRecording(name)).toISOString() : null
+    };
+  });
+
+  res.json({
+    mode: FEED_SOURCE_MODE,
+    now: new Date(transitNow()).toISOString(),
+    speed: FEED_SOURCE_MODE === 'replay' ? REPLAY_SPEED : null,
+    recordDir: FEED_SOURCE_MODE === 'live' ? null : FEED_RECORD_DIR,
+    recordings: recordings
+  });
+});
+
+app.post('/api/rtd/replay', async (req, res) => {
+  if (FEED_SOURCE_MODE !== 'replay') {
+    return res.status(409).json({ error: 'Not in replay mode (set RTD_FEED_MODE=replay)' });
+  }
+
+  const at = parseTimeParam(req.query.at ?? req.body?.at);
+  if (!at) {
+    return res.status(400).json({ error: 'at must be an epoch timestamp or ISO date' });
+  }
+
+  loadFeedRecordings();
+  seekReplay(at * 1000);
+
+  // Swap the snapshots now rather than on the next poll
+  await Promise.all(Object.keys(feedCache).map(name => refreshFeed(name).catch(() => null)));
+
+  res.json({ success: true, now: new Date(transitNow()).toISOString() });
+});
+
+// ==================== SHARED GTFS-RT FEED CACHE ====================
+
+// One background poller per feed. Routes read the decoded snapshot from here
+// instead of downloading and decoding the .pb on every request.
+const FEED_POLL_INTERVAL_MS = parseInt(process.env.RTD_FEED_POLL_INTERVAL_MS) || 15000;
+const FEED_MAX_AGE_MS = parseInt(process.env.RTD_FEED_MAX_AGE_MS) || FEED_POLL_INTERVAL_MS * 2;
+// A feed whose header timestamp (or last successful fetch) is older than this
+// is stale: arrivals stop being presented as real-time
+const FEED_STALE_SECONDS = parseInt(process.env.RTD_FEED_STALE_SECONDS) || 180;
+
+function createFeedState(name, url) {
+  return {
+    name: name,
+    url: url,
+    feed: null,
+    raw: null,         // undecoded bytes, to spot polls that changed nothing
+    fetchedAt: null,   // when the current snapshot was downloaded and decoded
+    checkedAt: null,   // when RTD last confirmed it (200 or 304)
+    etag: null,
+    lastModified: null,
+    replayRecording: null, // recording currently loaded, in replay mode
+    lastError: null,
+    lastErrorAt: null,
+    headerTimestamp: null, // FeedHeader.timestamp of the current snapshot
+    entityCount: 0,
+    fetchErrors: 0,
+    decodeErrors: 0,
+    inFlight: null
+  };
+}
+
+// Emits 'update' with the feed state whenever a poll decodes new content
+const feedEvents = new EventEmitter();
+feedEvents.setMaxListeners(0);
+
+const feedCache = {
+  tripUpdates: createFeedState('tripUpdates', RTD_TRIP_UPDATES),
+  vehiclePositions: createFeedState('vehiclePositions', RTD_VEHICLE_POSITIONS),
+  alerts: createFeedState('alerts', RTD_ALERTS)
+};
+
+// Fetch and decode a feed. Concurrent callers share one in-flight request,
+// and a 304 keeps the snapshot we already decoded.
+function refreshFeed(name) {
+  const state = feedCache[name];
+
+  if (state.inFlight) {
+    return state.inFlight;
+  }
+
+  state.inFlight = (async () => {
+    let decodeFailed = false;
+    try {
+      const headers = {};
+      if (state.feed && state.etag) headers['If-None-Match'] = state.etag;
+      if (state.feed && state.lastModified) headers['If-Modified-Since'] = state.lastModified;
+
+      const response = await fetchFeedSource(state, headers);
+
+      if (response.status === 304 && state.feed) {
+        state.checkedAt = Date.now();
+        state.lastError = null;
+        return state;
+      }
+
+      // RTD's error pages come back as HTML, sometimes with a 200
+      if ((response.headers.get('content-type') || '').includes('text/html')) {
+        throw upstreamError('rtd', 'BAD_CONTENT', `GTFS-RT ${name} feed returned an HTML page instead of protobuf`);
+      }
+
+      const raw = response.body;
+      const changed = !state.raw || !state.raw.equals(raw);
+
+      if (changed) {
+        let feed;
+        try {
+          feed = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(new Uint8Array(raw));
+        } catch (error) {
+          // Keep serving the last snapshot that did decode
+          state.decodeErrors++;
+          decodeFailed = true;
+          throw upstreamError('rtd', 'DECODE_ERROR', `GTFS-RT ${name} feed could not be decoded: ${error.message}`);
+        }
+
+        state.feed = feed;
+        state.raw = raw;
+        state.fetchedAt = Date.now();
+        state.headerTimestamp = Number(feed.header?.timestamp) || null;
+        state.entityCount = feed.entity.length;
+      }
+
+      state.etag = response.headers.get('etag');
+      state.lastModified = response.headers.get('last-modified');
+      state.checkedAt = Date.now();
+      state.lastError = null;
+
+      if (changed) {
+        feedEvents.emit('update', state);
+      }
+      return state;
+    } catch (error) {
+      state.lastError = error.message;
+      state.lastErrorAt = Date.now();
+      if (!decodeFailed) state.fetchErrors++;
+      metrics.feedErrors.inc({ feed: name, type: decodeFailed ? 'decode' : 'fetch' });
+      throw error;
+    } finally {
+      state.inFlight = null;
+    }
+  })();
+
+  return state.inFlight;
+}
+
+// Get the current snapshot, refreshing first if the poller has fallen behind.
+// If RTD is failing we keep answering from the last good snapshot; callers
+// check isFeedDegraded() and feedUpstream() to tell clients it is frozen.
+async function getFeed(name) {
+  const state = feedCache[name];
+
+  if (state.feed && Date.now() - state.checkedAt < FEED_MAX_AGE_MS) {
+    return state;
+  }
+
+  try {
+    return await refreshFeed(name);
+  } catch (error) {
+    if (state.feed) return state;
+    throw error;
+  }
+}
+
+// Age of a snapshot in seconds, reported on every /api/rtd response
+function snapshotAge(state) {
+  return state.checkedAt ? Math.floor((Date.now() - state.checkedAt) / 1000) : null;
+}
+
+// Seconds since RTD generated the snapshot, per its FeedHeader
+function feedAge(state) {
+  return state.headerTimestamp ? Math.floor(transitNow() / 1000) - state.headerTimestamp : null;
+}
+
+// RTD sometimes keeps serving the same frozen file, so a recent fetch alone
+// doesn't make a feed fresh; the header timestamp has to be recent too
+function isFeedStale(state) {
+  if (!state || !state.feed) return true;
+
+  const age = feedAge(state);
+  return (age !== null && age > FEED_STALE_SECONDS) || snapshotAge(state) > FEED_STALE_SECONDS;
+}
+
+// Circuit breaker state for RTD while the feeds are read live (null in
+// replay). While it isn't closed the snapshots can't be refreshed, so they
+// are frozen even if they aren't stale yet.
+function feedUpstream() {
+  if (FEED_SOURCE_MODE === 'replay') return null;
+
+  const breaker = getBreaker('rtd');
+  return {
+    state: breaker.state,
+    retryAfterSeconds: breaker.state === 'open' ? breakerRetryAfter(breaker) : null
+  };
+}
+
+// Stale, or frozen behind an open breaker: what `degraded` means in payloads
+function isFeedDegraded(state) {
+  const upstream = feedUpstream();
+  return isFeedStale(state) || (upstream !== null && upstream.state !== 'closed');
+}
+
+function formatEpochMs(epochMs) {
+  return epochMs ? new Date(epochMs).toISOString() : null;
+}
+
+// Per-feed status for /health
+function feedHealth(state) {
+  return {
+    status: !state.feed ? 'unavailable' : isFeedStale(state) ? 'stale' : isFeedDegraded(state) ? 'degraded' : 'ok',
+    upstream: feedUpstream(),
+    lastSuccessfulFetch: formatEpochMs(state.checkedAt),
+    lastChanged: formatEpochMs(state.fetchedAt),
+    headerTimestamp: state.headerTimestamp,
+    feedAgeSeconds: feedAge(state),
+    snapshotAgeSeconds: snapshotAge(state),
+    entityCount: state.entityCount,
+    fetchErrors: state.fetchErrors,
+    decodeErrors: state.decodeErrors,
+    lastError: state.lastError,
+    lastErrorAt: formatEpochMs(state.lastErrorAt)
+  };
+}
+
+function startFeedPoller() {
+  Object.keys(feedCache).forEach(name => {
+    const poll = () => refreshFeed(name).catch(error => {
+      console.error(`❌ Feed poll failed (${name}):`, error.message);
+    });
+
+    poll();
+    setInterval(poll, FEED_POLL_INTERVAL_MS);
+  });
+
+  console.log(`🔄 GTFS-RT poller started (every ${FEED_POLL_INTERVAL_MS / 1000}s)`);
+}
+
+// ==================== SCHEDULE ADHERENCE ====================
+
+// Delay thresholds in seconds (positive = late). Anything between the early
+// and late limits counts as on time.
+const ADHERENCE_EARLY_SECONDS = parseInt(process.env.ADHERENCE_EARLY_SECONDS) || 60;
+const ADHERENCE_LATE_SECONDS = parseInt(process.env.ADHERENCE_LATE_SECONDS) || 300;
+const ADHERENCE_VERY_LATE_SECONDS = parseInt(process.env.ADHERENCE_VERY_LATE_SECONDS) || 900;
+
+const AGENCY_TIMEZONE = 'America/Denver';
+
+const agencyDateFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: AGENCY_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+function agencyDateParts(epochMs) {
+  const parts = {};
+  agencyDateFormat.formatToParts(new Date(epochMs)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return parts;
+}
+
+// "YYYYMMDD" in Denver for an epoch in milliseconds
+function agencyServiceDate(epochMs) {
+  const parts = agencyDateParts(epochMs);
+  return `${parts.year}${parts.month}${parts.day}`;
+}
+
+// GTFS times count from "noon minus 12h" of the service date, which keeps
+// them correct across DST changes. Returns epoch seconds.
+function serviceDayStart(serviceDate) {
+  const noonUtc = Date.UTC(
+    parseInt(serviceDate.slice(0, 4)),
+    parseInt(serviceDate.slice(4, 6)) - 1,
+    parseInt(serviceDate.slice(6, 8)),
+    12
+  );
+  const parts = agencyDateParts(noonUtc);
+  const localNoonAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offsetSeconds = Math.round((localNoonAsUtc - noonUtc) / 1000);
+
+  return noonUtc / 1000 - offsetSeconds - 12 * 3600;
+}
+
+// protobufjs leaves unset scalars on the prototype, so this tells "delay: 0"
+// apart from "no delay reported"
+function hasField(message, field) {
+  return Boolean(message) && Object.prototype.hasOwnProperty.call(message, field);
+}
+
+// Scheduled epoch seconds for a StopTimeUpdate, from static stop_times
+function scheduledStopTime(tripDescriptor, update, predictedTime) {
+  const stopTimes = gtfsSchedule?.stopTimes.get(tripDescriptor.tripId);
+  if (!stopTimes) return null;
+
+  const stopId = update.stopId.toString().trim();
+  const stopTime = hasField(update, 'stopSequence')
+    ? stopTimes.find(t => t.stopSequence === update.stopSequence)
+    : stopTimes.find(t => t.stopId === stopId);
+  const offset = stopTime ? (stopTime.arrival ?? stopTime.departure) : null;
+  if (offset === null) return null;
+
+  if (tripDescriptor.startDate) {
+    return serviceDayStart(tripDescriptor.startDate) + offset;
+  }
+
+  // Without a start date, the trip belongs to whichever of today's or
+  // yesterday's service days puts the schedule closest to the prediction
+  const reference = predictedTime || Math.floor(transitNow() / 1000);
+  const candidates = [0, 1].map(daysBack => {
+    const serviceDate = agencyServiceDate((reference - daysBack * 86400) * 1000);
+    return serviceDayStart(serviceDate) + offset;
+  });
+
+  return candidates.reduce((best, time) =>
+    Math.abs(time - reference) < Math.abs(best - reference) ? time : best
+  );
+}
+
+function adherenceStatus(delaySeconds) {
+  if (delaySeconds === null) return 'unknown';
+  if (delaySeconds < -ADHERENCE_EARLY_SECONDS) return 'early';
+  if (delaySeconds <= ADHERENCE_LATE_SECONDS) return 'on-time';
+  if (delaySeconds <= ADHERENCE_VERY_LATE_SECONDS) return 'late';
+  return 'very-late';
+}
+
+// Predicted time, scheduled time and delay for one StopTimeUpdate. The feed's
+// own delay field wins; otherwise we compare against static stop_times.
+function predictStopTime(tripUpdate, update) {
+  const event = update.arrival?.time?.low ? update.arrival
+    : update.departure?.time?.low ? update.departure
+    : hasField(update.arrival, 'delay') ? update.arrival
+    : update.departure;
+
+  let arrivalTime = event?.time?.low || null;
+  let scheduledTime = null;
+  let delaySeconds = null;
+
+  if (hasField(event, 'delay')) {
+    delaySeconds = event.delay;
+    scheduledTime = arrivalTime ? arrivalTime - delaySeconds : scheduledStopTime(tripUpdate.trip, update, null);
+    if (!arrivalTime && scheduledTime) arrivalTime = scheduledTime + delaySeconds;
+  } else if (arrivalTime) {
+    scheduledTime = scheduledStopTime(tripUpdate.trip, update, arrivalTime);
+    if (scheduledTime) delaySeconds = arrivalTime - scheduledTime;
+  }
+
+  return {
+    arrivalTime: arrivalTime,
+    scheduledTime: scheduledTime,
+    delaySeconds: delaySeconds,
+    status: adherenceStatus(delaySeconds)
+  };
+}
+
+// ==================== SCHEDULE RELATIONSHIPS ====================
+
+const TRIP_RELATIONSHIP = GtfsRealtimeBindings.transit_realtime.TripDescriptor.ScheduleRelationship;
+const STOP_RELATIONSHIP = GtfsRealtimeBindings.transit_realtime.TripUpdate.StopTimeUpdate.ScheduleRelationship;
+
+// DELETED (7) is newer than the bundled bindings, so it isn't in the enum;
+// protobuf still decodes it as the bare number
+const TRIP_RELATIONSHIP_DELETED = 7;
+
+// Enum value -> name, e.g. 3 -> 'CANCELED'
+function enumName(values, value) {
+  return Object.keys(values).find(name => values[name] === (value || 0)) || String(value);
+}
+
+function isCanceledTrip(tripDescriptor) {
+  const relationship = tripDescriptor.scheduleRelationship || 0;
+  return relationship === TRIP_RELATIONSHIP.CANCELED || relationship === TRIP_RELATIONSHIP_DELETED;
+}
+
+function isAddedTrip(tripDescriptor) {
+  const relationship = tripDescriptor.scheduleRelationship || 0;
+  return relationship === TRIP_RELATIONSHIP.ADDED ||
+         relationship === TRIP_RELATIONSHIP.UNSCHEDULED ||
+         relationship === TRIP_RELATIONSHIP.DUPLICATED;
+}
+
+// Per-stop predictions for one TripUpdate. SKIPPED stops are dropped, canceled
+// trips keep their stops (at the scheduled time) flagged as canceled, and
+// added/unscheduled trips are tagged as extra service.
+function tripStopPredictions(tripUpdate) {
+  const descriptor = tripUpdate.trip;
+  const canceled = isCanceledTrip(descriptor);
+  const common = {
+    scheduleRelationship: enumName(TRIP_RELATIONSHIP, descriptor.scheduleRelationship),
+    addedService: isAddedTrip(descriptor),
+    canceled: canceled
+  };
+
+  let updates = tripUpdate.stopTimeUpdate || [];
+
+  // Canceled trips often arrive with no stop updates; rebuild them from the schedule
+  if (canceled && updates.length === 0) {
+    updates = (gtfsSchedule?.stopTimes.get(descriptor.tripId) || []).map(stopTime => ({
+      stopId: stopTime.stopId,
+      stopSequence: stopTime.stopSequence
+    }));
+  }
+
+  const predictions = [];
+
+  updates.forEach(update => {
+    if ((update.scheduleRelationship || 0) === STOP_RELATIONSHIP.SKIPPED) {
+      return;
+    }
+
+    const prediction = predictStopTime(tripUpdate, update);
+
+    if (canceled) {
+      prediction.arrivalTime = prediction.arrivalTime ||
+        prediction.scheduledTime ||
+        scheduledStopTime(descriptor, update, null);
+      prediction.delaySeconds = null;
+      prediction.status = 'canceled';
+    }
+
+    if (!prediction.arrivalTime) {
+      return;
+    }
+
+    predictions.push({
+      stopId: update.stopId.toString().trim(),
+      stopSequence: update.stopSequence ?? null,
+      ...prediction,
+      departureTime: update.departure?.time?.low || prediction.arrivalTime,
+      ...common
+    });
+  });
+
+  return predictions;
+}
+
+// ==================== TRANSITLAND PROXY ====================
+
+// General TransitLand v2 REST proxy. Only allowlisted query parameters are
+// forwarded (URL-encoded), the API key travels in the `apikey` header so it
+// never shows up in a URL, log line or `meta.next`, and responses are cached
+// per upstream URL for a TTL that suits how often the resource changes.
+//
+//   /api/transitland/routes                      /api/transitland/routes/:key
+//   /api/transitland/stops                       /api/transitland/stops/:key
+//   /api/transitland/routes/:routeKey/trips      /api/transitland/routes/:routeKey/trips/:tripId
+//   /api/transitland/stops/:stopKey/departures
+//   /api/transitland/agencies                    /api/transitland/agencies/:key
+//
+// List responses get `meta.next` rewritten to point back at this proxy; add
+// ?follow=true to have the proxy walk up to TRANSITLAND_MAX_PAGES pages itself.
+//
+// A bare /api/transitland/routes still returns the N Line, as it always has;
+// pass any filter (e.g. ?feed_onestop_id=f-9xj-rtd for every RTD route) to
+// search more widely.
+const TRANSITLAND_API_KEY = process.env.TRANSITLAND_API_KEY;
+const TRANSITLAND_BASE_URL = 'https://transit.land/api/v2/rest';
+const TRANSITLAND_DEFAULT_FEED = process.env.TRANSITLAND_FEED_ONESTOP_ID || 'f-9xj-rtd';
+const TRANSITLAND_MAX_PAGES = parseInt(process.env.TRANSITLAND_MAX_PAGES) || 10;
+const TRANSITLAND_CACHE_MAX_ENTRIES = 500;
+const TRANSITLAND_MAX_PARAM_LENGTH = 200;
+
+const PAGING_PARAMS = ['limit', 'after'];
+const AREA_PARAMS = ['lat', 'lon', 'radius', 'bbox'];
+
+// path(params) builds the upstream path; `list` is the array key for pagination
+const TRANSITLAND_RESOURCES = {
+  routes: {
+    path: () => '/routes',
+    list: 'routes',
+    ttlSeconds: 60 * 60,
+    params: ['feed_onestop_id', 'feed_version_sha1', 'onestop_id', 'operator_onestop_id', 'agency_id',
+      'route_id', 'route_short_name', 'route_type', 'search', 'include_geometry', ...AREA_PARAMS, ...PAGING_PARAMS],
+    defaults: { feed_onestop_id: TRANSITLAND_DEFAULT_FEED }
+  },
+  route: {
+    path: params => `/routes/${encodeURIComponent(params.key)}`,
+    ttlSeconds: 60 * 60,
+    params: ['include_geometry']
+  },
+  stops: {
+    path: () => '/stops',
+    list: 'stops',
+    ttlSeconds: 60 * 60,
+    params: ['feed_onestop_id', 'feed_version_sha1', 'onestop_id', 'stop_id', 'stop_code', 'served_by_onestop_ids',
+      'served_by_route_type', 'served_by_route_id', 'agency_ids', 'search', ...AREA_PARAMS, ...PAGING_PARAMS],
+    defaults: { feed_onestop_id: TRANSITLAND_DEFAULT_FEED }
+  },
+  stop: {
+    path: params => `/stops/${encodeURIComponent(params.key)}`,
+    ttlSeconds: 60 * 60,
+    params: []
+  },
+  trips: {
+    path: params => `/routes/${encodeURIComponent(params.routeKey)}/trips`,
+    list: 'trips',
+    ttlSeconds: 10 * 60,
+    params: ['service_date', 'relative_date', 'trip_id', 'include_geometry', ...PAGING_PARAMS]
+  },
+  trip: {
+    path: params => `/routes/${encodeURIComponent(params.routeKey)}/trips/${encodeURIComponent(params.tripId)}`,
+    ttlSeconds: 10 * 60,
+    params: ['include_geometry']
+  },
+  departures: {
+    path: params => `/stops/${encodeURIComponent(params.stopKey)}/departures`,
+    ttlSeconds: 30,
+    params: ['next', 'start_time', 'end_time', 'service_date', 'date', 'relative_date', 'use_service_window',
+      'include_geometry', 'limit']
+  },
+  agencies: {
+    path: () => '/agencies',
+    list: 'agencies',
+    ttlSeconds: 24 * 60 * 60,
+    params: ['feed_onestop_id', 'feed_version_sha1', 'onestop_id', 'agency_id', 'agency_name', 'search',
+      ...AREA_PARAMS, ...PAGING_PARAMS]
+  },
+  agency: {
+    path: params => `/agencies/${encodeURIComponent(params.key)}`,
+    ttlSeconds: 24 * 60 * 60,
+    params: []
+  }
+};
+
+// Upstream URL (without the key) -> { data, fetchedAt, expiresAt }. Map order
+// is insertion order, so the first key is the oldest entry to evict.
+const transitLandCache = new Map();
+
+// Build the upstream URL from the allowlisted query parameters. Throws a 400
+// for anything we won't forward.
+function transitLandUrl(resource, req) {
+  const query = new URLSearchParams();
+  const defaults = resource.defaults || {};
+
+  Object.keys(req.query).forEach(name => {
+    if (name === 'follow') return;
+
+    const value = req.query[name];
+    if (!resource.params.includes(name)) {
+      throw Object.assign(new Error(`Unsupported query parameter: ${name}`), { statusCode: 400, allowed: resource.params });
+    }
+    if (typeof value !== 'string' || value.length > TRANSITLAND_MAX_PARAM_LENGTH) {
+      throw Object.assign(new Error(`Invalid value for ${name}`), { statusCode: 400 });
+    }
+    query.set(name, value);
+  });
+
+  // A feed default only applies when the caller hasn't narrowed the search another way
+  Object.entries(defaults).forEach(([name, value]) => {
+    if (!query.has(name) && !query.has('onestop_id') && !query.has('feed_version_sha1')) {
+      query.set(name, value);
+    }
+  });
+
+  query.sort();
+  const search = query.toString();
+  return `${TRANSITLAND_BASE_URL}${resource.path(req.params)}${search ? '?' + search : ''}`;
+}
+
+async function fetchTransitLand(url, target, ttlSeconds) {
+  const cached = transitLandCache.get(url);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { data: cached.data, cache: 'HIT' };
+  }
+
+  try {
+    const response = await upstreamFetch('transitland', url, {
+      target,
+      headers: { apikey: TRANSITLAND_API_KEY, Accept: 'application/json' }
+    });
+    const data = JSON.parse(response.body.toString('utf8'));
+
+    transitLandCache.delete(url);
+    transitLandCache.set(url, { data, fetchedAt: Date.now(), expiresAt: Date.now() + ttlSeconds * 1000 });
+    if (transitLandCache.size > TRANSITLAND_CACHE_MAX_ENTRIES) {
+      transitLandCache.delete(transitLandCache.keys().next().value);
+    }
+
+    return { data, cache: 'MISS' };
+  } catch (error) {
+    // TransitLand is down: an expired copy beats an error
+    if (!error.upstream || !cached) throw error;
+
+    return {
+      data: {
+        ...cached.data,
+        degraded: true,
+        cachedAt: new Date(cached.fetchedAt).toISOString(),
+        upstreamError: error.code
+      },
+      cache: 'STALE'
+    };
+  }
+}
+
+// TransitLand's `meta.next` is an upstream URL; hand out the proxy's own
+// (relative) equivalent so clients page through us
+function proxyNextUrl(req, next) {
+  if (!next) return null;
+
+  const after = new URL(next).searchParams.get('after');
+  if (after === null) return null;
+
+  const query = new URLSearchParams(req.query);
+  query.delete('follow');
+  query.set('after', after);
+
+  return `${req.baseUrl}${req.path}?${query.toString()}`;
+}
+
+function transitLandHandler(resourceName) {
+  const resource = TRANSITLAND_RESOURCES[resourceName];
+
+  return async (req, res) => {
+    try {
+      if (!TRANSITLAND_API_KEY) {
+        return res.status(503).json({ error: 'TransitLand proxy requires TRANSITLAND_API_KEY' });
+      }
+
+      // Old clients got the N Line from a bare /routes
+      const unfiltered = ['limit', 'after', 'follow', 'include_geometry'];
+      if (resourceName === 'routes' && Object.keys(req.query).every(name => unfiltered.includes(name))) {
+        req.query.route_short_name = 'N';
+      }
+
+      // Old clients ask for stops with ?route_id= (and got 100 back)
+      if (resourceName === 'stops' && req.query.route_id) {
+        req.query.served_by_route_id = req.query.route_id;
+        req.query.limit = req.query.limit || '100';
+        delete req.query.route_id;
+      }
+
+      const url = transitLandUrl(resource, req);
+      let { data, cache } = await fetchTransitLand(url, resourceName, resource.ttlSeconds);
+
+      if (resource.list && req.query.follow === 'true') {
+        const items = [...(data[resource.list] || [])];
+        let next = data.meta?.next;
+        let pages = 1;
+
+        while (next && pages < TRANSITLAND_MAX_PAGES) {
+          const after = new URL(next).searchParams.get('after');
+          const pageUrl = new URL(url);
+          pageUrl.searchParams.set('after', after);
+          pageUrl.searchParams.sort();
+
+          const page = await fetchTransitLand(pageUrl.toString(), resourceName, resource.ttlSeconds);
+          items.push(...(page.data[resource.list] || []));
+          next = page.data.meta?.next;
+          pages++;
+        }
+
+        data = { ...data, [resource.list]: items, meta: { ...data.meta, pages: pages, next: proxyNextUrl(req, next) } };
+      } else if (data.meta?.next) {
+        data = { ...data, meta: { ...data.meta, next: proxyNextUrl(req, data.meta.next) } };
+      }
+
+      res.set('X-Cache', cache);
+      res.json(data);
+
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message, allowed: error.allowed });
+      }
+
+      console.error(`TransitLand ${resourceName} error:`, error.message);
+      if (error.upstream) return sendUpstreamError(res, error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+app.get('/api/transitland/routes', transitLandHandler('routes'));
+app.get('/api/transitland/routes/:routeKey/trips', transitLandHandler('trips'));
+app.get('/api/transitland/routes/:routeKey/trips/:tripId', transitLandHandler('trip'));
+app.get('/api/transitland/routes/:key', transitLandHandler('route'));
+app.get('/api/transitland/stops', transitLandHandler('stops'));
+app.get('/api/transitland/stops/:stopKey/departures', transitLandHandler('departures'));
+app.get('/api/transitland/stops/:key', transitLandHandler('stop'));
+app.get('/api/transitland/agencies', transitLandHandler('agencies'));
+app.get('/api/transitland/agencies/:key', transitLandHandler('agency'));
 
 // RTD real-time trip updates endpoint
 app.get('/api/rtd/arrivals', async (req, res) => {
   try {
-    console.log('Fetching RTD trip updates...');
+    console.log('Fetching RTD trip updates...');
+
+    const snapshot = await getFeed('tripUpdates');
+    const feed = snapshot.feed;
+    const stale = isFeedStale(snapshot);
+
+    const nLineArrivals = [];
+    const railRouteIds = registryRouteIds('arrivals', 'rail');
+    const vehicles = await currentVehicleIndex();
+
+    feed.entity.forEach(entity => {
+      if (entity.tripUpdate && railRouteIds.includes(entity.tripUpdate.trip.routeId)) {
+        const trip = entity.tripUpdate;
+        const routeId = trip.trip.routeId;
+
+        tripStopPredictions(trip).forEach(prediction => {
+          const stopId = prediction.stopId;
+
+          if (stopServesRoute(stopId, routeId)) {
+            const arrivalTime = prediction.arrivalTime;
+
+            nLineArrivals.push({
+              stopId: stopId,
+              stopName: getStopInfo(stopId)?.name || stopId,
+              routeId: routeId,
+              route: getRoute(routeId).name,
+              tripId: trip.trip.tripId,
+              directionId: trip.trip.directionId,
+              arrivalTime: arrivalTime,
+              arrivalTimeFormatted: new Date(arrivalTime * 1000).toLocaleTimeString(),
+              minutesUntil: Math.round((arrivalTime - transitNow() / 1000) / 60),
+              scheduledTime: prediction.scheduledTime,
+              delaySeconds: prediction.delaySeconds,
+              status: prediction.status,
+              canceled: prediction.canceled,
+              addedService: prediction.addedService,
+              scheduleRelationship: prediction.scheduleRelationship,
+              vehicleId: trip.vehicle?.id || 'Unknown',
+              vehicle: matchArrivalVehicle(vehicles, trip, prediction),
+              realtime: !stale
+            });
+          }
+        });
+      }
+    });
+
+    nLineArrivals.sort((a, b) => a.arrivalTime - b.arrivalTime);
+
+    console.log(`Found ${nLineArrivals.length} rail arrivals`);
+    res.json({
+      timestamp: transitNow(),
+      realtime: !stale,
+      degraded: isFeedDegraded(snapshot),
+      upstream: feedUpstream(),
+      feedAgeSeconds: feedAge(snapshot),
+      snapshotAgeSeconds: snapshotAge(snapshot),
+      arrivals: nLineArrivals
+    });
+
+  } catch (error) {
+    console.error('RTD arrivals error:', error);
+    if (error.upstream) return sendUpstreamError(res, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Arrivals at a stop from static stop_times alone, for when the live feed
+// can't be trusted. Same shape as the real-time arrivals, minus the delay.
+function scheduledStopArrivals(stopId, minMinutes, maxMinutes) {
+  if (!gtfsSchedule) return [];
+
+  const now = Math.floor(transitNow() / 1000);
+  const arrivals = [];
+
+  // Trips running past midnight belong to yesterday's service day
+  [1, 0].forEach(daysBack => {
+    const serviceDate = agencyServiceDate(transitNow() - daysBack * 86400 * 1000);
+    const dayStart = serviceDayStart(serviceDate);
+
+    gtfsSchedule.trips.forEach(trip => {
+      const route = getRoute(trip.routeId);
+      if (!route || !route.include.includes('arrivals') || !isServiceActive(trip.serviceId, serviceDate)) {
+        return;
+      }
+
+      const stopTime = gtfsSchedule.stopTimes.get(trip.tripId)?.find(t => t.stopId === stopId);
+      const offset = stopTime ? (stopTime.arrival ?? stopTime.departure) : null;
+      if (offset === null) return;
+
+      const arrivalTime = dayStart + offset;
+      const minutesUntil = Math.round((arrivalTime - now) / 60);
+      if (minutesUntil < minMinutes || minutesUntil > maxMinutes) return;
+
+      arrivals.push({
+        tripId: trip.tripId,
+        routeId: trip.routeId,
+        route: route.name,
+        directionId: trip.directionId,
+        direction: routeDirectionName(trip.routeId, trip.directionId),
+        arrivalTime: arrivalTime,
+        arrivalTimeFormatted: new Date(arrivalTime * 1000).toLocaleTimeString('en-US', {
+          hour: 'numeric',
+          minute: '2-digit'
+        }),
+        minutesUntil: minutesUntil,
+        scheduledTime: arrivalTime,
+        delaySeconds: null,
+        status: 'scheduled',
+        canceled: false,
+        addedService: false,
+        scheduleRelationship: 'SCHEDULED',
+        vehicleId: 'Unknown',
+        vehicle: null,
+        realtime: false
+      });
+    });
+  });
+
+  return arrivals;
+}
+
+// Build the /api/rtd/arrivals/:stopId payload (the arrival streams send the same one).
+// When the trip updates feed is stale (or down) we answer from the static
+// schedule if it is loaded, otherwise from the frozen predictions flagged
+// `realtime: false`.
+async function buildStopArrivals(stopId) {
+  let snapshot = null;
+  try {
+    snapshot = await getFeed('tripUpdates');
+  } catch (error) {
+    if (!gtfsSchedule) throw error;
+  }
+
+  const stale = isFeedStale(snapshot);
+  const source = stale && gtfsSchedule ? 'schedule' : 'realtime';
+  const feed = source === 'realtime' ? snapshot.feed : { entity: [] };
+  const vehicles = source === 'realtime' ? await currentVehicleIndex() : null;
+
+  const arrivals = source === 'schedule' ? scheduledStopArrivals(stopId.toString().trim(), -5, 120) : [];
+
+  feed.entity.forEach(entity => {
+    if (entity.tripUpdate) {
+      const trip = entity.tripUpdate;
+      const routeId = trip.trip.routeId;
+
+      const route = getRoute(routeId);
+
+      if (route && route.include.includes('arrivals')) {
+        tripStopPredictions(trip).forEach(prediction => {
+          if (prediction.stopId === stopId.toString().trim()) {
+            const arrivalTime = prediction.arrivalTime;
+
+            const minutesUntil = Math.round((arrivalTime - transitNow() / 1000) / 60);
+
+            if (minutesUntil >= -5 && minutesUntil <= 120) {
+              arrivals.push({
+                tripId: trip.trip.tripId,
+                routeId: routeId,
+                route: route.name,
+                directionId: trip.trip.directionId,
+                direction: routeDirectionName(routeId, trip.trip.directionId),
+                arrivalTime: arrivalTime,
+                arrivalTimeFormatted: new Date(arrivalTime * 1000).toLocaleTimeString('en-US', {
+                  hour: 'numeric',
+                  minute: '2-digit'
+                }),
+                minutesUntil: minutesUntil,
+                scheduledTime: prediction.scheduledTime,
+                delaySeconds: prediction.delaySeconds,
+                status: prediction.status,
+                canceled: prediction.canceled,
+                addedService: prediction.addedService,
+                scheduleRelationship: prediction.scheduleRelationship,
+                vehicleId: trip.vehicle?.id || 'Unknown',
+                vehicle: matchArrivalVehicle(vehicles, trip, prediction),
+                realtime: !stale
+              });
+            }
+          }
+        });
+      }
+    }
+  });
+
+  arrivals.sort((a, b) => a.arrivalTime - b.arrivalTime);
+
+  const feedTimestamp = snapshot?.feed.header?.timestamp?.low || null;
+  const feedAgeMinutes = feedTimestamp ? Math.floor((transitNow() / 1000 - feedTimestamp) / 60) : null;
+
+  const stopName = getStopInfo(stopId)?.name || stopId;
+
+  const stopRouteIds = new Set(arrivals.map(arrival => arrival.routeId));
+  stopRoutes(stopId).forEach(routeId => stopRouteIds.add(routeId));
+  const alerts = await alertsForStop(stopId, Array.from(stopRouteIds));
+
+  return {
+    stopId,
+    stopName: stopName,
+    timestamp: transitNow(),
+    feedTimestamp: feedTimestamp,
+    feedAgeMinutes: feedAgeMinutes,
+    snapshotAgeSeconds: snapshot ? snapshotAge(snapshot) : null,
+    realtime: !stale,
+    degraded: isFeedDegraded(snapshot),
+    upstream: feedUpstream(),
+    arrivalSource: source,
+    arrivals: arrivals.slice(0, 10),
+    alerts: alerts
+  };
+}
+
+// Get arrivals for a specific stop (supports BOTH trains and buses)
+app.get('/api/rtd/arrivals/:stopId', async (req, res) => {
+  try {
+    const { stopId } = req.params;
+    console.log(`Fetching arrivals for stop: ${stopId}`);
+
+    res.json(await buildStopArrivals(stopId));
+
+  } catch (error) {
+    console.error('Stop arrivals error:', error);
+    if (error.upstream) return sendUpstreamError(res, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== NEW: VEHICLE POSITIONS (GPS TRACKING) ====================
+
+// Shape one vehicle for the API. `referenceSeconds` is "now" for the live feed,
+// or the requested instant when replaying history.
+function formatVehicle(vehicle, referenceSeconds) {
+  const routeId = vehicle.routeId;
+  const timestamp = vehicle.timestamp;
+
+  return {
+    id: vehicle.id,
+    label: vehicle.label || 'Unknown',
+    routeId: routeId,
+    route: getRoute(routeId)?.name || routeId,
+    routeColor: getRoute(routeId)?.color || null,
+    tripId: vehicle.tripId,
+    directionId: vehicle.directionId ?? 0,
+    direction: routeDirectionName(routeId, vehicle.directionId ?? 0),
+    latitude: vehicle.latitude,
+    longitude: vehicle.longitude,
+    bearing: vehicle.bearing,
+    speed: vehicle.speed,
+    currentStopSequence: vehicle.currentStopSequence,
+    currentStopId: vehicle.currentStopId,
+    currentStatus: vehicle.currentStatus, // INCOMING_AT, STOPPED_AT, IN_TRANSIT_TO
+    timestamp: timestamp,
+    timestampFormatted: timestamp ? new Date(timestamp * 1000).toLocaleTimeString('en-US', {
+      timeZone: 'America/Denver',
+      hour: 'numeric',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: true
+    }) : null,
+    congestionLevel: vehicle.congestionLevel,
+    occupancyStatus: vehicle.occupancyStatus,
+    age: timestamp ? referenceSeconds - timestamp : null // Age of position data in seconds
+  };
+}
+
+// Sort by route and direction, and count vehicles per route
+function summarizeVehicles(vehicles, routeIds) {
+  vehicles.sort((a, b) => {
+    if (a.routeId !== b.routeId) {
+      return a.routeId.localeCompare(b.routeId);
+    }
+    return (a.directionId || 0) - (b.directionId || 0);
+  });
+
+  const routeSummary = {};
+  routeIds.forEach(id => {
+    routeSummary[id] = vehicles.filter(v => v.routeId === id).length;
+  });
+
+  return {
+    vehicleCount: vehicles.length,
+    vehicles: vehicles,
+    routeSummary: routeSummary
+  };
+}
+
+// Flat vehicle fields from a VehiclePosition entity
+function vehicleFromEntity(entity) {
+  const vehicle = entity.vehicle;
+  const trip = vehicle.trip;
+  const position = vehicle.position;
+
+  return {
+    id: vehicle.vehicle?.id || entity.id,
+    label: vehicle.vehicle?.label,
+    routeId: trip?.routeId,
+    tripId: trip?.tripId,
+    directionId: trip?.directionId ?? 0,
+    latitude: position?.latitude,
+    longitude: position?.longitude,
+    bearing: position?.bearing,
+    speed: position?.speed,
+    currentStopSequence: vehicle.currentStopSequence,
+    currentStopId: vehicle.stopId,
+    currentStatus: vehicle.currentStatus,
+    timestamp: Number(vehicle.timestamp),
+    // Unset enums decode as 0 (UNKNOWN / EMPTY), so report them as null instead
+    congestionLevel: hasField(vehicle, 'congestionLevel') ? vehicle.congestionLevel : null,
+    occupancyStatus: hasField(vehicle, 'occupancyStatus') ? vehicle.occupancyStatus : null
+  };
+}
+
+// Build the /api/rtd/vehicle-positions payload for a set of routes
+async function buildVehiclePositions(routeIds = registryRouteIds('vehicles')) {
+  // Read the latest decoded VehiclePosition snapshot
+  const snapshot = await getFeed('vehiclePositions');
+  const feed = snapshot.feed;
+  const now = Math.floor(transitNow() / 1000);
+
+  // Filter for the requested routes (registry 'vehicles' routes by default)
+  const vehicles = feed.entity
+    .filter(entity => entity.vehicle && routeIds.includes(entity.vehicle.trip?.routeId))
+    .map(entity => formatVehicle(vehicleFromEntity(entity), now));
+
+  return {
+    timestamp: transitNow(),
+    feedTimestamp: Number(feed.header.timestamp) * 1000,
+    feedAgeSeconds: now - Number(feed.header.timestamp),
+    degraded: isFeedDegraded(snapshot),
+    upstream: feedUpstream(),
+    snapshotAgeSeconds: snapshotAge(snapshot),
+    ...summarizeVehicles(vehicles, routeIds)
+  };
+}
+
+// ==================== ARRIVAL VEHICLE MATCHING ====================
+
+// Vehicle positions indexed by vehicle ID and trip ID, rebuilt once per snapshot
+let vehicleIndexCache = { fetchedAt: null, index: null };
+
+async function currentVehicleIndex() {
+  let state;
+  try {
+    state = await getFeed('vehiclePositions');
+  } catch (error) {
+    // Arrivals still work without positions; they just lose the vehicle details
+    return null;
+  }
+
+  if (vehicleIndexCache.fetchedAt !== state.fetchedAt) {
+    const index = { byVehicleId: new Map(), byTripId: new Map() };
+
+    state.feed.entity.forEach(entity => {
+      if (!entity.vehicle) return;
+      const vehicle = vehicleFromEntity(entity);
+      if (vehicle.id) index.byVehicleId.set(vehicle.id, vehicle);
+      if (vehicle.tripId) index.byTripId.set(vehicle.tripId, vehicle);
+    });
+
+    vehicleIndexCache = { fetchedAt: state.fetchedAt, index };
+  }
+
+  return vehicleIndexCache.index;
+}
+
+// Stops between a vehicle and the target stop on its trip, or null if the
+// vehicle has already passed it or we can't tell
+function stopsAway(tripUpdate, vehicle, targetSequence) {
+  if (targetSequence === null || targetSequence === undefined) return null;
+
+  const staticTimes = gtfsSchedule?.stopTimes.get(tripUpdate.trip.tripId);
+  const sequences = staticTimes
+    ? staticTimes.map(t => t.stopSequence)
+    : (tripUpdate.stopTimeUpdate || []).filter(u => hasField(u, 'stopSequence')).map(u => u.stopSequence);
+
+  let vehicleSequence = vehicle.currentStopSequence || null;
+  if (!vehicleSequence && vehicle.currentStopId && staticTimes) {
+    vehicleSequence = staticTimes.find(t => t.stopId === vehicle.currentStopId)?.stopSequence || null;
+  }
+  if (!vehicleSequence || vehicleSequence > targetSequence) return null;
+
+  // Count the stops still to be reached, target included: a train stopped at
+  // the previous station is 1 stop away, one stopped at the target is 0
+  const stopped = vehicle.currentStatus === VEHICLE_STOP_STATUS.STOPPED_AT;
+
+  if (sequences.length === 0) {
+    return targetSequence - vehicleSequence + (stopped ? 0 : 1);
+  }
+  return sequences.filter(sequence =>
+    (stopped ? sequence > vehicleSequence : sequence >= vehicleSequence) && sequence <= targetSequence
+  ).length;
+}
+
+// Live position, crowding and distance for the vehicle serving an arrival
+function matchArrivalVehicle(index, tripUpdate, prediction) {
+  if (!index) return null;
+
+  const vehicle = (tripUpdate.vehicle?.id && index.byVehicleId.get(tripUpdate.vehicle.id)) ||
+                  index.byTripId.get(tripUpdate.trip.tripId);
+  if (!vehicle) return null;
+
+  let targetSequence = prediction.stopSequence;
+  if (!targetSequence) {
+    targetSequence = gtfsSchedule?.stopTimes.get(tripUpdate.trip.tripId)
+      ?.find(t => t.stopId === prediction.stopId)?.stopSequence ?? null;
+  }
+
+  return {
+    id: vehicle.id,
+    label: vehicle.label || null,
+    latitude: vehicle.latitude,
+    longitude: vehicle.longitude,
+    bearing: vehicle.bearing,
+    speed: vehicle.speed,
+    currentStopId: vehicle.currentStopId || null,
+    currentStatus: enumName(VEHICLE_STOP_STATUS, vehicle.currentStatus),
+    stopsAway: stopsAway(tripUpdate, vehicle, targetSequence),
+    occupancyStatus: vehicle.occupancyStatus === null ? null : enumName(OCCUPANCY_STATUS, vehicle.occupancyStatus),
+    congestionLevel: vehicle.congestionLevel === null ? null : enumName(CONGESTION_LEVEL, vehicle.congestionLevel),
+    positionAgeSeconds: vehicle.timestamp ? Math.floor(transitNow() / 1000) - vehicle.timestamp : null
+  };
+}
+
+// RTD Vehicle Positions API - Real-time GPS tracking
+// Add ?format=geojson (or use /api/rtd/vehicle-positions.geojson) for map clients.
+// congestionLevel and occupancyStatus are null when the feed leaves them unset
+// rather than the decoded default of 0, which would read as UNKNOWN / EMPTY.
+async function sendVehiclePositions(req, res, geojson) {
+  try {
+    console.log('🚆 Fetching RTD Vehicle Positions from GTFS-RT');
+
+    const result = await buildVehiclePositions();
+
+    console.log(`✅ Found ${result.vehicleCount} active vehicles:`, result.routeSummary);
+
+    if (geojson || req.query.format === 'geojson') {
+      return sendGeoJson(res, vehiclesToGeoJson(result));
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ GTFS-RT Vehicle Positions error:', error);
+    if (error.upstream) return sendUpstreamError(res, error);
+    res.status(500).json({ error: 'Failed to fetch vehicle positions', details: error.message });
+  }
+}
+
+app.get('/api/rtd/vehicle-positions', (req, res) => sendVehiclePositions(req, res, false));
+app.get('/api/rtd/vehicle-positions.geojson', (req, res) => sendVehiclePositions(req, res, true));
+
+// ==================== GEOJSON MAP OUTPUT ====================
+
+// FeatureCollections that Leaflet / MapLibre can load directly.
+// Coordinates are [longitude, latitude] per RFC 7946.
+const OCCUPANCY_STATUS = GtfsRealtimeBindings.transit_realtime.VehiclePosition.OccupancyStatus;
+const VEHICLE_STOP_STATUS = GtfsRealtimeBindings.transit_realtime.VehiclePosition.VehicleStopStatus;
+const CONGESTION_LEVEL = GtfsRealtimeBindings.transit_realtime.VehiclePosition.CongestionLevel;
+
+function sendGeoJson(res, featureCollection) {
+  res.type('application/geo+json').send(JSON.stringify(featureCollection));
+}
+
+// Enum name, or null when the feed didn't set the field
+function optionalEnumName(values, value) {
+  return value === null || value === undefined ? null : enumName(values, value);
+}
+
+function vehiclesToGeoJson(payload) {
+  const features = payload.vehicles
+    .filter(vehicle => vehicle.latitude && vehicle.longitude)
+    .map(vehicle => ({
+      type: 'Feature',
+      id: vehicle.id,
+      geometry: {
+        type: 'Point',
+        coordinates: [vehicle.longitude, vehicle.latitude]
+      },
+      properties: {
+        id: vehicle.id,
+        label: vehicle.label,
+        routeId: vehicle.routeId,
+        route: vehicle.route,
+        routeColor: vehicle.routeColor,
+        tripId: vehicle.tripId,
+        directionId: vehicle.directionId,
+        direction: vehicle.direction,
+        bearing: vehicle.bearing,
+        speed: vehicle.speed,
+        currentStopId: vehicle.currentStopId,
+        currentStatus: enumName(VEHICLE_STOP_STATUS, vehicle.currentStatus),
+        occupancyStatus: optionalEnumName(OCCUPANCY_STATUS, vehicle.occupancyStatus),
+        timestamp: vehicle.timestamp,
+        age: vehicle.age
+      }
+    }));
+
+  return {
+    type: 'FeatureCollection',
+    features: features,
+    metadata: {
+      timestamp: payload.timestamp,
+      vehicleCount: features.length,
+      routeSummary: payload.routeSummary
+    }
+  };
+}
+
+// Every stop the proxy knows about that has coordinates (needs static GTFS)
+app.get('/api/rtd/stops.geojson', (req, res) => {
+  const routeIds = req.query.routes ? parseIdList(req.query.routes) : Array.from(routeRegistry.keys());
+  const stopIds = new Set();
+
+  routeIds.forEach(routeId => routeStopIds(routeId).forEach(id => stopIds.add(id)));
+  [N_LINE_STOPS, FREERIDE_STOPS, METRORIDE_STOPS].forEach(table => {
+    if (!req.query.routes) Object.keys(table).forEach(id => stopIds.add(id));
+  });
+
+  const features = [];
+
+  stopIds.forEach(stopId => {
+    const stop = gtfsSchedule?.stops.get(stopId);
+    if (!stop || stop.latitude === null || stop.longitude === null) return;
+
+    features.push({
+      type: 'Feature',
+      id: stopId,
+      geometry: {
+        type: 'Point',
+        coordinates: [stop.longitude, stop.latitude]
+      },
+      properties: {
+        stopId: stopId,
+        name: stop.name,
+        direction: getStopInfo(stopId)?.direction || null,
+        platformCode: stop.platformCode,
+        parentStation: stop.parentStation,
+        routes: stopRoutes(stopId).filter(routeId => routeRegistry.has(routeId))
+      }
+    });
+  });
+
+  sendGeoJson(res, {
+    type: 'FeatureCollection',
+    features: features,
+    metadata: {
+      stopCount: features.length,
+      missingCoordinates: stopIds.size - features.length,
+      scheduleLoaded: Boolean(gtfsSchedule)
+    }
+  });
+});
+
+// LineString geometry for each shape a registered route uses (needs shapes.txt)
+app.get('/api/rtd/routes.geojson', (req, res) => {
+  if (!gtfsSchedule) {
+    return res.status(503).json({ error: 'Static GTFS schedule not loaded' });
+  }
+
+  const routeIds = req.query.routes ? parseIdList(req.query.routes) : Array.from(routeRegistry.keys());
+  const features = [];
+
+  routeIds.forEach(routeId => {
+    const route = getRoute(routeId);
+    const gtfsRoute = gtfsSchedule.routes.get(routeId);
+
+    (gtfsSchedule.routeShapes.get(routeId) || new Map()).forEach((directionId, shapeId) => {
+      const coordinates = gtfsSchedule.shapes.get(shapeId);
+      if (!coordinates || coordinates.length < 2) return;
+
+      features.push({
+        type: 'Feature',
+        id: `${routeId}:${shapeId}`,
+        geometry: {
+          type: 'LineString',
+          coordinates: coordinates
+        },
+        properties: {
+          routeId: routeId,
+          shapeId: shapeId,
+          name: route?.name || gtfsRoute?.longName || routeId,
+          color: route?.color || gtfsRoute?.color || null,
+          directionId: directionId,
+          direction: routeDirectionName(routeId, directionId)
+        }
+      });
+    });
+  });
+
+  sendGeoJson(res, {
+    type: 'FeatureCollection',
+    features: features,
+    metadata: {
+      shapeCount: features.length
+    }
+  });
+});
+
+// ==================== GTFS-RT PASSTHROUGH FEEDS ====================
+
+// Standard GTFS-RT for off-the-shelf consumers, cut down to the routes and
+// stops we care about:
+//   /api/rtd/feeds/trip-updates.pb?routes=117N,MALL&stops=34668
+//   /api/rtd/feeds/vehicle-positions.json?routes=117N
+// `routes` defaults to every route in the registry; `stops` keeps trips that
+// call at (or vehicles stopped at / heading through) any listed stop.
+//
+// .pb is cut from RTD's bytes, so the header and kept entities arrive exactly
+// as sent, unknown fields and extensions included. .json is the decoded
+// message in protobuf JSON form (64-bit values as strings, enums by name),
+// which can only hold the standard GTFS-RT fields.
+const FEED_MESSAGE = GtfsRealtimeBindings.transit_realtime.FeedMessage;
+
+const PASSTHROUGH_FEEDS = {
+  'trip-updates': 'tripUpdates',
+  'vehicle-positions': 'vehiclePositions'
+};
+
+function tripServesStops(tripUpdate, stops) {
+  if ((tripUpdate.stopTimeUpdate || []).some(update => stops.includes(String(update.stopId).trim()))) {
+    return true;
+  }
+  // Canceled trips can arrive without stop updates; fall back to the schedule
+  return (gtfsSchedule?.stopTimes.get(tripUpdate.trip.tripId) || []).some(t => stops.includes(t.stopId));
+}
+
+function filterFeedEntities(feedName, feed, routeIds, stops, tripUpdatesFeed) {
+  // Trips that call at the requested stops, for matching vehicles to them
+  let stopTripIds = null;
+  if (stops && feedName === 'vehiclePositions') {
+    stopTripIds = new Set();
+    (tripUpdatesFeed?.entity || []).forEach(entity => {
+      if (entity.tripUpdate && tripServesStops(entity.tripUpdate, stops)) {
+        stopTripIds.add(entity.tripUpdate.trip.tripId);
+      }
+    });
+  }
+
+  return feed.entity.filter(entity => {
+    if (feedName === 'tripUpdates') {
+      const tripUpdate = entity.tripUpdate;
+      if (!tripUpdate || !routeIds.includes(tripUpdate.trip.routeId)) return false;
+      return !stops || tripServesStops(tripUpdate, stops);
+    }
+
+    const vehicle = entity.vehicle;
+    if (!vehicle || !routeIds.includes(vehicle.trip?.routeId)) return false;
+    return !stops || stops.includes(vehicle.stopId) || stopTripIds.has(vehicle.trip.tripId);
+  });
+}
+
+// Byte ranges of a message's top-level fields, read off the wire format
+function protobufFields(raw) {
+  const fields = [];
+  let offset = 0;
+
+  const readVarint = () => {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (offset >= raw.length) throw new Error('Truncated protobuf message');
+      byte = raw[offset++];
+      value += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return value;
+  };
+
+  while (offset < raw.length) {
+    const start = offset;
+    const key = readVarint();
+    const wireType = key % 8;
+
+    if (wireType === 0) {
+      readVarint();
+    } else if (wireType === 1) {
+      offset += 8;
+    } else if (wireType === 2) {
+      const length = readVarint();
+      offset += length;
+    } else if (wireType === 5) {
+      offset += 4;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+
+    if (offset > raw.length) throw new Error('Truncated protobuf message');
+    fields.push({ fieldNumber: Math.floor(key / 8), start, end: offset });
+  }
+  return fields;
+}
+
+// The snapshot's raw FeedMessage with only the kept entities (field 2, in the
+// same order as feed.entity); every other field is copied as is
+function filterRawFeed(snapshot, entities) {
+  const kept = new Set(entities);
+  let index = 0;
+
+  const parts = protobufFields(snapshot.raw)
+    .filter(field => field.fieldNumber !== 2 || kept.has(snapshot.feed.entity[index++]))
+    .map(field => snapshot.raw.subarray(field.start, field.end));
+  return Buffer.concat(parts);
+}
+
+async function sendPassthroughFeed(req, res) {
+  try {
+    const { feed: feedPath, format } = req.params;
+    const feedName = PASSTHROUGH_FEEDS[feedPath];
+
+    if (!feedName || (format !== 'pb' && format !== 'json')) {
+      return res.status(404).json({
+        error: 'Unknown feed',
+        feeds: Object.keys(PASSTHROUGH_FEEDS).flatMap(name => [`${name}.pb`, `${name}.json`])
+      });
+    }
+
+    const routeIds = req.query.routes ? parseIdList(req.query.routes) : Array.from(routeRegistry.keys());
+    const stops = req.query.stops ? parseIdList(req.query.stops) : null;
+
+    const snapshot = await getFeed(feedName);
+    const tripUpdatesFeed = stops && feedName === 'vehiclePositions'
+      ? (await getFeed('tripUpdates')).feed
+      : null;
+
+    const entities = filterFeedEntities(feedName, snapshot.feed, routeIds, stops, tripUpdatesFeed);
+
+    res.set('X-Feed-Age-Seconds', String(feedAge(snapshot)));
+    if (snapshot.headerTimestamp) {
+      res.set('Last-Modified', new Date(snapshot.headerTimestamp * 1000).toUTCString());
+    }
+
+    if (format === 'json') {
+      const message = FEED_MESSAGE.create({ header: snapshot.feed.header, entity: entities });
+      return res.json(FEED_MESSAGE.toObject(message, { longs: String, enums: String, bytes: String, json: true }));
+    }
+
+    res.type('application/x-protobuf').send(filterRawFeed(snapshot, entities));
+
+  } catch (error) {
+    console.error('GTFS-RT passthrough error:', error);
+    if (error.upstream) return sendUpstreamError(res, error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.get('/api/rtd/feeds/:feed.:format', sendPassthroughFeed);
+
+// ==================== VEHICLE POSITION HISTORY ====================
+
+// Opt-in recorder: every changed VehiclePosition snapshot is written to
+// Postgres, and rows older than the retention window are pruned hourly.
+const VEHICLE_HISTORY_ENABLED = process.env.VEHICLE_HISTORY_ENABLED === 'true';
+const VEHICLE_HISTORY_RETENTION_HOURS = parseInt(process.env.VEHICLE_HISTORY_RETENTION_HOURS) || 72;
+const VEHICLE_HISTORY_MAX_ROWS = 5000;
+const VEHICLE_REPLAY_WINDOW_SECONDS = parseInt(process.env.VEHICLE_REPLAY_WINDOW_SECONDS) || 300;
+
+// Last position_time written per vehicle, so unchanged reports aren't stored twice
+const lastRecordedPosition = new Map();
+
+// Accepts epoch seconds, epoch milliseconds or an ISO date. Returns epoch seconds.
+function parseTimeParam(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (/^\d+$/.test(String(value))) {
+    const number = Number(value);
+    return number > 1e12 ? Math.floor(number / 1000) : number;
+  }
+
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+function vehicleFromRow(row) {
+  return {
+    id: row.vehicle_id,
+    label: row.label,
+    routeId: row.route_id,
+    tripId: row.trip_id,
+    directionId: row.direction_id,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    bearing: row.bearing,
+    speed: row.speed,
+    currentStopSequence: row.current_stop_sequence,
+    currentStopId: row.stop_id,
+    currentStatus: row.current_status,
+    timestamp: Number(row.position_time),
+    congestionLevel: row.congestion_level,
+    occupancyStatus: row.occupancy_status
+  };
+}
+
+// FeedHeader time (seconds) of the snapshot a row was recorded from, if known
+function rowFeedTime(row) {
+  return row.feed_time === null || row.feed_time === undefined ? null : Number(row.feed_time);
+}
+
+async function recordVehiclePositions(state) {
+  const routeIds = registryRouteIds('vehicles');
+  const vehicles = state.feed.entity
+    .filter(entity => entity.vehicle && routeIds.includes(entity.vehicle.trip?.routeId))
+    .map(vehicleFromEntity)
+    .filter(vehicle => vehicle.timestamp && lastRecordedPosition.get(vehicle.id) !== vehicle.timestamp);
+
+  if (vehicles.length === 0) return;
+
+  const columns = [
+    'vehicle_id', 'label', 'route_id', 'trip_id', 'direction_id', 'latitude', 'longitude',
+    'bearing', 'speed', 'current_stop_sequence', 'stop_id', 'current_status',
+    'congestion_level', 'occupancy_status', 'position_time', 'feed_time'
+  ];
+  const values = [];
+  const rows = vehicles.map(vehicle => {
+    const fields = [
+      vehicle.id, vehicle.label || null, vehicle.routeId, vehicle.tripId || null, vehicle.directionId,
+      vehicle.latitude, vehicle.longitude, vehicle.bearing, vehicle.speed,
+      vehicle.currentStopSequence, vehicle.currentStopId || null, vehicle.currentStatus,
+      vehicle.congestionLevel, vehicle.occupancyStatus, vehicle.timestamp, state.headerTimestamp || null
+    ];
+    const placeholders = fields.map(field => {
+      values.push(field);
+      return `$${values.length}`;
+    });
+    return `(${placeholders.join(', ')})`;
+  });
+
+  await pool.query(
+    `INSERT INTO vehicle_positions (${columns.join(', ')}) VALUES ${rows.join(', ')}`,
+    values
+  );
+
+  vehicles.forEach(vehicle => lastRecordedPosition.set(vehicle.id, vehicle.timestamp));
+}
+
+async function pruneVehicleHistory() {
+  const cutoff = Math.floor(Date.now() / 1000) - VEHICLE_HISTORY_RETENTION_HOURS * 3600;
+  const result = await pool.query('DELETE FROM vehicle_positions WHERE position_time < $1', [cutoff]);
+
+  if (result.rowCount > 0) {
+    console.log(`🧹 Pruned ${result.rowCount} vehicle positions older than ${VEHICLE_HISTORY_RETENTION_HOURS}h`);
+  }
+}
+
+function startVehicleHistoryRecorder() {
+  feedEvents.on('update', state => {
+    if (state.name !== 'vehiclePositions') return;
+
+    recordVehiclePositions(state).catch(error => {
+      console.error('❌ Vehicle history write error:', error.message);
+    });
+  });
+
+  const prune = () => pruneVehicleHistory().catch(error => {
+    console.error('❌ Vehicle history prune error:', error.message);
+  });
+  prune();
+  setInterval(prune, 60 * 60 * 1000);
+
+  console.log(`📼 Vehicle history recorder on (keeping ${VEHICLE_HISTORY_RETENTION_HOURS}h)`);
+}
+
+// Positions of one vehicle between ?from and ?to (default: the last hour).
+// Each position is shaped like a live vehicle, with `age` measured from now,
+// plus the feedTimestamp of the snapshot it was recorded from.
+app.get('/api/rtd/vehicles/:vehicleId/history', async (req, res) => {
+  try {
+    if (!process.env.DATABASE_URL) {
+      return res.status(503).json({ error: 'Vehicle history requires DATABASE_URL' });
+    }
+
+    const { vehicleId } = req.params;
+    const to = parseTimeParam(req.query.to) || Math.floor(transitNow() / 1000);
+    const from = parseTimeParam(req.query.from) || to - 3600;
+
+    if (from > to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM vehicle_positions
+       WHERE vehicle_id = $1 AND position_time BETWEEN $2 AND $3
+       ORDER BY position_time ASC
+       LIMIT $4`,
+      [vehicleId, from, to, VEHICLE_HISTORY_MAX_ROWS]
+    );
+
+    const now = Math.floor(transitNow() / 1000);
+
+    res.json({
+      vehicleId: vehicleId,
+      timestamp: transitNow(),
+      from: from,
+      to: to,
+      count: result.rows.length,
+      truncated: result.rows.length === VEHICLE_HISTORY_MAX_ROWS,
+      positions: result.rows.map(row => {
+        const feedTime = rowFeedTime(row);
+        return {
+          ...formatVehicle(vehicleFromRow(row), now),
+          feedTimestamp: feedTime === null ? null : feedTime * 1000
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Vehicle history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fleet state nearest ?at, in the same shape as /api/rtd/vehicle-positions
+app.get('/api/rtd/vehicles/replay', async (req, res) => {
+  try {
+    if (!process.env.DATABASE_URL) {
+      return res.status(503).json({ error: 'Vehicle history requires DATABASE_URL' });
+    }
+
+    const at = parseTimeParam(req.query.at);
+    if (!at) {
+      return res.status(400).json({ error: 'at must be an epoch timestamp or ISO date' });
+    }
+
+    const routeIds = req.query.routes ? parseIdList(req.query.routes) : registryRouteIds('vehicles');
+
+    // Closest report per vehicle within the replay window around `at`
+    const result = await pool.query(
+      `SELECT DISTINCT ON (vehicle_id) *
+       FROM vehicle_positions
+       WHERE position_time BETWEEN $1 AND $2 AND route_id = ANY($3)
+       ORDER BY vehicle_id, ABS(position_time - $4) ASC`,
+      [at - VEHICLE_REPLAY_WINDOW_SECONDS, at + VEHICLE_REPLAY_WINDOW_SECONDS, routeIds, at]
+    );
+
+    const vehicles = result.rows.map(row => formatVehicle(vehicleFromRow(row), at));
+
+    // Stand-in for the live FeedHeader: the recorded snapshot closest to `at`
+    // (rows from before feed_time was recorded have none)
+    const feedTime = result.rows
+      .map(rowFeedTime)
+      .filter(time => time !== null)
+      .reduce((best, time) => best === null || Math.abs(time - at) < Math.abs(best - at) ? time : best, null);
+    const feedAgeSeconds = feedTime === null ? null : at - feedTime;
+
+    const replay = {
+      timestamp: at * 1000,
+      feedTimestamp: feedTime === null ? null : feedTime * 1000,
+      feedAgeSeconds: feedAgeSeconds,
+      degraded: feedAgeSeconds !== null && feedAgeSeconds > FEED_STALE_SECONDS,
+      upstream: null,
+      snapshotAgeSeconds: null,
+      replay: true,
+      replayWindowSeconds: VEHICLE_REPLAY_WINDOW_SECONDS,
+      ...summarizeVehicles(vehicles, routeIds)
+    };
+
+    if (req.query.format === 'geojson') {
+      return sendGeoJson(res, vehiclesToGeoJson(replay));
+    }
+
+    res.json(replay);
+
+  } catch (error) {
+    console.error('Vehicle replay error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== OBSERVED ARRIVALS & ON-TIME REPORTS ====================
+
+// Works out when trains actually reached and left each stop from successive
+// feed snapshots and logs one row per trip and stop. A vehicle reported
+// STOPPED_AT a stop is the best evidence; stops no position covered fall back
+// to their last prediction once that time has passed. Opt-in, like vehicle
+// history: set ARRIVAL_LOG_ENABLED=true.
+const ARRIVAL_LOG_ENABLED = process.env.ARRIVAL_LOG_ENABLED === 'true';
+const ARRIVAL_LOG_RETENTION_DAYS = parseInt(process.env.ARRIVAL_LOG_RETENTION_DAYS) || 180;
+const ARRIVAL_LOG_ROUTE_IDS = process.env.ARRIVAL_LOG_ROUTE_IDS
+  ? parseIdList(process.env.ARRIVAL_LOG_ROUTE_IDS)
+  : null;
+const ARRIVAL_SETTLE_TOLERANCE_SECONDS = 120; // a stop that drops out this close to its prediction was served
+const TRACKED_TRIP_TTL_SECONDS = 30 * 60;     // forget trips missing from both feeds this long
+
+// tripId -> { tripId, startDate, routeId, directionId, serviceDate, lastSeen, stops: Map(stopId -> observation) }
+const trackedTrips = new Map();
+
+// vehicleId -> { tripId, stopId } for the stop the vehicle was last seen standing at
+const vehicleStops = new Map();
+
+function arrivalLogRouteIds() {
+  return ARRIVAL_LOG_ROUTE_IDS || registryRouteIds('arrivals');
+}
+
+function trackTrip(descriptor, nowSeconds) {
+  let trip = trackedTrips.get(descriptor.tripId);
+  if (!trip) {
+    trip = {
+      tripId: descriptor.tripId,
+      startDate: descriptor.startDate || null,
+      routeId: descriptor.routeId,
+      directionId: descriptor.directionId ?? 0,
+      serviceDate: descriptor.startDate || agencyServiceDate(nowSeconds * 1000),
+      stops: new Map()
+    };
+    trackedTrips.set(descriptor.tripId, trip);
+  }
+  trip.lastSeen = nowSeconds;
+  return trip;
+}
+
+function trackedStop(trip, stopId, stopSequence) {
+  let stop = trip.stops.get(stopId);
+  if (!stop) {
+    stop = {
+      stopId: stopId,
+      stopSequence: null,
+      scheduledTime: null,
+      predictedArrival: null,
+      predictedDeparture: null,
+      actualArrival: null,
+      actualDeparture: null,
+      source: null,
+      departed: false,
+      saved: null
+    };
+    trip.stops.set(stopId, stop);
+  }
+  if (stopSequence !== null && stopSequence !== undefined) stop.stopSequence = stopSequence;
+  return stop;
+}
+
+// Take the last prediction as the actual time once it is in the past
+function settleFromPrediction(stop, nowSeconds) {
+  if (stop.source === 'vehicle' || !stop.predictedArrival || stop.predictedArrival > nowSeconds) return;
+
+  stop.actualArrival = stop.predictedArrival;
+  stop.actualDeparture = Math.max(stop.predictedDeparture || stop.predictedArrival, stop.predictedArrival);
+  stop.source = 'prediction';
+  stop.departed = stop.actualDeparture <= nowSeconds;
+}
+
+function observeTripUpdates(state) {
+  const now = Number(state.feed.header.timestamp) || Math.floor(transitNow() / 1000);
+  const routeIds = arrivalLogRouteIds();
+
+  state.feed.entity.forEach(entity => {
+    const tripUpdate = entity.tripUpdate;
+    if (!tripUpdate || !routeIds.includes(tripUpdate.trip.routeId) || isCanceledTrip(tripUpdate.trip)) {
+      return;
+    }
+
+    const trip = trackTrip(tripUpdate.trip, now);
+    const listed = new Set();
+
+    tripStopPredictions(tripUpdate).forEach(prediction => {
+      const stop = trackedStop(trip, prediction.stopId, prediction.stopSequence);
+      listed.add(stop.stopId);
+
+      if (prediction.scheduledTime) stop.scheduledTime = prediction.scheduledTime;
+      stop.predictedArrival = prediction.arrivalTime;
+      stop.predictedDeparture = prediction.departureTime;
+      settleFromPrediction(stop, now);
+    });
+
+    // Stops the feed no longer lists have been served, if they were due
+    trip.stops.forEach(stop => {
+      if (listed.has(stop.stopId) || stop.actualArrival) return;
+      settleFromPrediction(stop, now + ARRIVAL_SETTLE_TOLERANCE_SECONDS);
+      if (stop.actualArrival) stop.departed = true;
+    });
+  });
+}
+
+function observeVehiclePositions(state) {
+  const now = Number(state.feed.header.timestamp) || Math.floor(transitNow() / 1000);
+  const routeIds = arrivalLogRouteIds();
+
+  state.feed.entity.forEach(entity => {
+    if (!entity.vehicle || !routeIds.includes(entity.vehicle.trip?.routeId)) return;
+
+    const vehicle = vehicleFromEntity(entity);
+    if (!vehicle.tripId || !vehicle.timestamp) return;
+
+    const trip = trackTrip(entity.vehicle.trip, now);
+    const atStopId = vehicle.currentStatus === VEHICLE_STOP_STATUS.STOPPED_AT ? vehicle.currentStopId : null;
+    const previous = vehicleStops.get(vehicle.id);
+
+    // Moved off the stop it was standing at: the last report there is the departure
+    if (previous && (previous.tripId !== vehicle.tripId || previous.stopId !== atStopId)) {
+      const stop = trackedTrips.get(previous.tripId)?.stops.get(previous.stopId);
+      if (stop) stop.departed = true;
+    }
+
+    if (!atStopId) {
+      vehicleStops.delete(vehicle.id);
+      return;
+    }
+
+    const stop = trackedStop(trip, atStopId, vehicle.currentStopSequence || null);
+    if (stop.source !== 'vehicle') {
+      stop.actualArrival = vehicle.timestamp;
+      stop.source = 'vehicle';
+      stop.departed = false;
+    }
+    stop.actualDeparture = Math.max(vehicle.timestamp, stop.actualArrival);
+    vehicleStops.set(vehicle.id, { tripId: vehicle.tripId, stopId: atStopId });
+  });
+}
+
+// Write observations that are complete and changed since the last write
+async function flushObservedArrivals(nowSeconds) {
+  const rows = [];
+
+  trackedTrips.forEach((trip, tripId) => {
+    const expired = trip.lastSeen < nowSeconds - TRACKED_TRIP_TTL_SECONDS;
+
+    trip.stops.forEach(stop => {
+      if (!stop.actualArrival || !(stop.departed || expired)) return;
+
+      const signature = `${stop.actualArrival}:${stop.actualDeparture}:${stop.source}`;
+      if (stop.saved === signature) return;
+
+      if (!stop.scheduledTime) {
+        const update = stop.stopSequence !== null
+          ? { stopId: stop.stopId, stopSequence: stop.stopSequence }
+          : { stopId: stop.stopId };
+        stop.scheduledTime = scheduledStopTime(trip, update, stop.actualArrival);
+      }
+
+      rows.push({ trip, stop, signature });
+    });
+
+    if (expired) trackedTrips.delete(tripId);
+  });
+
+  if (rows.length === 0) return;
+
+  const columns = [
+    'service_date', 'trip_id', 'route_id', 'direction_id', 'stop_id', 'stop_sequence',
+    'scheduled_time', 'actual_arrival', 'actual_departure', 'delay_seconds', 'source'
+  ];
+  const values = [];
+  const placeholders = rows.map(({ trip, stop }) => {
+    const fields = [
+      trip.serviceDate, trip.tripId, trip.routeId, trip.directionId, stop.stopId, stop.stopSequence,
+      stop.scheduledTime, stop.actualArrival, stop.actualDeparture,
+      stop.scheduledTime ? stop.actualArrival - stop.scheduledTime : null, stop.source
+    ];
+    return `(${fields.map(field => {
+      values.push(field);
+      return `$${values.length}`;
+    }).join(', ')})`;
+  });
+
+  // A vehicle observation is never replaced by a prediction-based one
+  await pool.query(
+    `INSERT INTO observed_arrivals (${columns.join(', ')}) VALUES ${placeholders.join(', ')}
+     ON CONFLICT (service_date, trip_id, stop_id) DO UPDATE SET
+       stop_sequence = EXCLUDED.stop_sequence,
+       scheduled_time = EXCLUDED.scheduled_time,
+       actual_arrival = EXCLUDED.actual_arrival,
+       actual_departure = EXCLUDED.actual_departure,
+       delay_seconds = EXCLUDED.delay_seconds,
+       source = EXCLUDED.source,
+       recorded_at = NOW()
+     WHERE observed_arrivals.source <> 'vehicle' OR EXCLUDED.source = 'vehicle'`,
+    values
+  );
+
+  rows.forEach(({ stop, signature }) => { stop.saved = signature; });
+}
+
+async function pruneObservedArrivals() {
+  const cutoff = Math.floor(Date.now() / 1000) - ARRIVAL_LOG_RETENTION_DAYS * 86400;
+  const result = await pool.query('DELETE FROM observed_arrivals WHERE actual_arrival < $1', [cutoff]);
+
+  if (result.rowCount > 0) {
+    console.log(`🧹 Pruned ${result.rowCount} observed arrivals older than ${ARRIVAL_LOG_RETENTION_DAYS} days`);
+  }
+}
+
+function startArrivalRecorder() {
+  feedEvents.on('update', state => {
+    if (state.name === 'tripUpdates') observeTripUpdates(state);
+    else if (state.name === 'vehiclePositions') observeVehiclePositions(state);
+    else return;
+
+    flushObservedArrivals(Math.floor(transitNow() / 1000)).catch(error => {
+      console.error('❌ Observed arrival write error:', error.message);
+    });
+  });
+
+  const prune = () => pruneObservedArrivals().catch(error => {
+    console.error('❌ Observed arrival prune error:', error.message);
+  });
+  prune();
+  setInterval(prune, 24 * 60 * 60 * 1000);
+
+  console.log(`⏱️  Arrival recorder on for ${arrivalLogRouteIds().join(', ')} (keeping ${ARRIVAL_LOG_RETENTION_DAYS} days)`);
+}
+
+// Minimal RFC 4180 writer: quote fields containing commas, quotes or newlines
+function toCsv(columns, rows) {
+  const escape = value => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(fields => fields.map(escape).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+function roundOrNull(value) {
+  return value === null || value === undefined ? null : Math.round(Number(value));
+}
+
+// On-time percentage, average delay and observed headways per stop and hour
+// of day (Denver time). Add ?format=csv (or use /api/rtd/reports/on-time.csv)
+// for a spreadsheet-friendly export.
+async function sendOnTimeReport(req, res, csv) {
+  try {
+    if (!process.env.DATABASE_URL) {
+      return res.status(503).json({ error: 'On-time reports require DATABASE_URL' });
+    }
+
+    const route = req.query.route || '117N';
+    const stops = req.query.stop ? parseIdList(req.query.stop) : null;
+    const to = parseTimeParam(req.query.to) || Math.floor(transitNow() / 1000);
+    const from = parseTimeParam(req.query.from) || to - 7 * 86400;
+
+    if (from > to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const result = await pool.query(
+      `WITH observations AS (
+         SELECT stop_id, delay_seconds,
+           EXTRACT(HOUR FROM to_timestamp(actual_arrival) AT TIME ZONE $7)::int AS hour,
+           actual_arrival - LAG(actual_arrival) OVER (
+             PARTITION BY stop_id, direction_id, service_date ORDER BY actual_arrival
+           ) AS headway
+         FROM observed_arrivals
+         WHERE route_id = $1 AND actual_arrival BETWEEN $2 AND $3
+           AND ($4::text[] IS NULL OR stop_id = ANY($4))
+       )
+       SELECT stop_id, hour,
+         COUNT(*)::int AS observations,
+         COUNT(delay_seconds)::int AS scheduled,
+         COUNT(*) FILTER (WHERE delay_seconds BETWEEN -$5::int AND $6::int)::int AS on_time,
+         AVG(delay_seconds) AS average_delay,
+         AVG(headway) AS average_headway,
+         MIN(headway) AS min_headway,
+         MAX(headway) AS max_headway
+       FROM observations
+       GROUP BY stop_id, hour
+       ORDER BY stop_id, hour`,
+      [route, from, to, stops, ADHERENCE_EARLY_SECONDS, ADHERENCE_LATE_SECONDS, AGENCY_TIMEZONE]
+    );
+
+    const rows = result.rows.map(row => ({
+      stopId: row.stop_id,
+      stopName: getStopInfo(row.stop_id)?.name || row.stop_id,
+      hour: row.hour,
+      observations: row.observations,
+      onTimePercent: percent(row.on_time, row.scheduled),
+      averageDelaySeconds: roundOrNull(row.average_delay),
+      averageHeadwaySeconds: roundOrNull(row.average_headway),
+      minHeadwaySeconds: roundOrNull(row.min_headway),
+      maxHeadwaySeconds: roundOrNull(row.max_headway)
+    }));
+
+    if (csv || req.query.format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="on-time-${route}.csv"`);
+      return res.type('text/csv').send(toCsv([
+        'stopId', 'stopName', 'hour', 'observations', 'onTimePercent', 'averageDelaySeconds',
+        'averageHeadwaySeconds', 'minHeadwaySeconds', 'maxHeadwaySeconds'
+      ], rows));
+    }
+
+    const byStop = new Map();
+    rows.forEach(row => {
+      if (!byStop.has(row.stopId)) {
+        byStop.set(row.stopId, { stopId: row.stopId, stopName: row.stopName, hours: [] });
+      }
+      const { stopId, stopName, ...hour } = row;
+      byStop.get(stopId).hours.push(hour);
+    });
+
+    const totals = result.rows.reduce((sum, row) => ({
+      observations: sum.observations + row.observations,
+      scheduled: sum.scheduled + row.scheduled,
+      onTime: sum.onTime + row.on_time,
+      delay: sum.delay + (row.average_delay === null ? 0 : Number(row.average_delay) * row.scheduled)
+    }), { observations: 0, scheduled: 0, onTime: 0, delay: 0 });
+
+    res.json({
+      route: route,
+      stops: stops,
+      from: from,
+      to: to,
+      timezone: AGENCY_TIMEZONE,
+      onTimeWindow: { earlySeconds: ADHERENCE_EARLY_SECONDS, lateSeconds: ADHERENCE_LATE_SECONDS },
+      summary: {
+        observations: totals.observations,
+        onTimePercent: percent(totals.onTime, totals.scheduled),
+        averageDelaySeconds: totals.scheduled > 0 ? Math.round(totals.delay / totals.scheduled) : null
+      },
+      byStop: Array.from(byStop.values())
+    });
+
+  } catch (error) {
+    console.error('On-time report error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.get('/api/rtd/reports/on-time', (req, res) => sendOnTimeReport(req, res, false));
+app.get('/api/rtd/reports/on-time.csv', (req, res) => sendOnTimeReport(req, res, true));
+
+// ==================== ORIGINAL BUS/DEBUG ENDPOINTS ====================
+
+// Dedicated bus endpoint for 16th Street Mall FreeRide
+app.get('/api/rtd/bus/:stopId', async (req, res) => {
+  try {
+    const { stopId } = req.params;
+    console.log(`Fetching bus arrivals for stop: ${stopId}`);
+
+    const snapshot = await getFeed('tripUpdates');
+    const feed = snapshot.feed;
+
+    const busArrivals = [];
+
+    feed.entity.forEach(entity => {
+      if (entity.tripUpdate) {
+        const trip = entity.tripUpdate;
+        const routeId = trip.trip.routeId;
+
+        const route = getRoute(routeId);
+
+        if (route && route.include.includes('bus')) {
+          tripStopPredictions(trip).forEach(prediction => {
+            if (prediction.stopId === stopId.toString().trim()) {
+              const arrivalTime = prediction.arrivalTime;
+
+              const minutesUntil = Math.round((arrivalTime - transitNow() / 1000) / 60);
+
+              if (minutesUntil >= -2 && minutesUntil <= 60) {
+                busArrivals.push({
+                  tripId: trip.trip.tripId,
+                  routeId: routeId,
+                  route: route.name,
+                  arrivalTime: arrivalTime,
+                  arrivalTimeFormatted: new Date(arrivalTime * 1000).toLocaleTimeString('en-US', {
+                    hour: 'numeric',
+                    minute: '2-digit'
+                  }),
+                  minutesUntil: minutesUntil,
+                  scheduledTime: prediction.scheduledTime,
+                  delaySeconds: prediction.delaySeconds,
+                  status: prediction.status,
+                  canceled: prediction.canceled,
+                  addedService: prediction.addedService,
+                  scheduleRelationship: prediction.scheduleRelationship,
+                  vehicleId: trip.vehicle?.id || 'Unknown'
+                });
+              }
+            }
+          });
+        }
+      }
+    });
+
+    busArrivals.sort((a, b) => a.arrivalTime - b.arrivalTime);
+
+    res.json({
+      stopId,
+      stopName: getStopInfo(stopId)?.name || '16th Street Mall',
+      route: registryRouteLabel('bus'),
+      timestamp: transitNow(),
+      realtime: !isFeedStale(snapshot),
+      degraded: isFeedDegraded(snapshot),
+      upstream: feedUpstream(),
+      feedAgeSeconds: feedAge(snapshot),
+      snapshotAgeSeconds: snapshotAge(snapshot),
+      arrivals: busArrivals.slice(0, 5)
+    });
+
+  } catch (error) {
+    console.error('Bus arrivals error:', error);
+    if (error.upstream) return sendUpstreamError(res, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Debug endpoint
+app.get('/api/rtd/debug', async (req, res) => {
+  try {
+    console.log('Fetching ALL RTD trip updates for debugging...');
+    const snapshot = await getFeed('tripUpdates');
+    const feed = snapshot.feed;
 
-    const response = await fetch(`${RTD_TRIP_UPDATES}?t=${Date.now()}`, {
-      headers: {
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
+    const debugData = {
+      timestamp: transitNow(),
+      feedHealth: feedHealth(snapshot),
+      snapshotAgeSeconds: snapshotAge(snapshot),
+      totalEntities: feed.entity.length,
+      nLineTrips: [],
+      busTrips: [],
+      scheduleRelationships: {
+        trips: {},
+        stopTimeUpdates: {}
+      },
+      allRoutes: new Set(),
+      allStopIds: new Set()
+    };
+
+    const countRelationship = (counts, name) => {
+      counts[name] = (counts[name] || 0) + 1;
+    };
+
+    feed.entity.forEach(entity => {
+      if (entity.tripUpdate) {
+        const routeId = entity.tripUpdate.trip.routeId;
+        debugData.allRoutes.add(routeId);
+
+        const trip = entity.tripUpdate;
+        const tripRelationship = enumName(TRIP_RELATIONSHIP, trip.trip.scheduleRelationship);
+        countRelationship(debugData.scheduleRelationships.trips, tripRelationship);
+
+        const tripData = {
+          tripId: trip.trip.tripId,
+          routeId: trip.trip.routeId,
+          route: getRoute(routeId)?.name || null,
+          directionId: trip.trip.directionId,
+          scheduleRelationship: tripRelationship,
+          stops: []
+        };
+
+        (trip.stopTimeUpdate || []).forEach(update => {
+          const stopRelationship = enumName(STOP_RELATIONSHIP, update.scheduleRelationship);
+          countRelationship(debugData.scheduleRelationships.stopTimeUpdates, stopRelationship);
+
+          debugData.allStopIds.add(update.stopId);
+          tripData.stops.push({
+            stopId: update.stopId,
+            arrivalTime: update.arrival?.time?.low,
+            departureTime: update.departure?.time?.low,
+            scheduleRelationship: stopRelationship
+          });
+        });
+
+        const route = getRoute(routeId);
+
+        if (route?.mode === 'rail') {
+          debugData.nLineTrips.push(tripData);
+        } else if (route?.mode === 'bus') {
+          debugData.busTrips.push(tripData);
+        }
+      }
+    });
+
+    debugData.allRoutes = Array.from(debugData.allRoutes).sort();
+    debugData.allStopIds = Array.from(debugData.allStopIds).sort();
+
+    res.json(debugData);
+
+  } catch (error) {
+    console.error('Debug error:', error);
+    if (error.upstream) return sendUpstreamError(res, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== SERVICE ALERTS ====================
+
+const ALERT_CAUSE = GtfsRealtimeBindings.transit_realtime.Alert.Cause;
+const ALERT_EFFECT = GtfsRealtimeBindings.transit_realtime.Alert.Effect;
+
+function isKnownRoute(routeId) {
+  return Boolean(getRoute(routeId));
+}
+
+function isKnownStop(stopId) {
+  const id = String(stopId).trim();
+  if (N_LINE_STOPS[id] || FREERIDE_STOPS[id] || METRORIDE_STOPS[id]) return true;
+  return (gtfsSchedule?.stops.get(id)?.routes.size || 0) > 0;
+}
+
+// Pick the English translation, or the first one offered
+function translatedText(translatedString) {
+  const translations = translatedString?.translation || [];
+  const match = translations.find(t => !t.language || t.language.toLowerCase().startsWith('en')) || translations[0];
+  return match ? match.text : null;
+}
+
+function isAlertActive(alert, nowSeconds) {
+  const periods = alert.activePeriod || [];
+  if (periods.length === 0) return true;
+
+  return periods.some(period => {
+    const start = Number(period.start) || 0;
+    const end = Number(period.end) || Infinity;
+    return nowSeconds >= start && nowSeconds <= end;
+  });
+}
+
+function formatAlert(entity, nowSeconds) {
+  const alert = entity.alert;
+
+  return {
+    id: entity.id,
+    header: translatedText(alert.headerText),
+    description: translatedText(alert.descriptionText),
+    url: translatedText(alert.url),
+    cause: enumName(ALERT_CAUSE, alert.cause || ALERT_CAUSE.UNKNOWN_CAUSE),
+    effect: enumName(ALERT_EFFECT, alert.effect || ALERT_EFFECT.UNKNOWN_EFFECT),
+    active: isAlertActive(alert, nowSeconds),
+    activePeriods: (alert.activePeriod || []).map(period => ({
+      start: Number(period.start) || null,
+      end: Number(period.end) || null
+    })),
+    // A trip-scoped entity counts for the trip's route
+    informedEntities: (alert.informedEntity || []).map(informed => ({
+      routeId: informed.routeId || informed.trip?.routeId || null,
+      stopId: informed.stopId || null,
+      tripId: informed.trip?.tripId || null,
+      directionId: hasField(informed, 'directionId') ? informed.directionId : null
+    }))
+  };
+}
+
+// Alerts whose informed entities touch a route or stop we serve
+function knownAlerts(feed) {
+  const nowSeconds = Math.floor(transitNow() / 1000);
+
+  return feed.entity
+    .filter(entity => entity.alert && (entity.alert.informedEntity || []).some(informed =>
+      isKnownRoute(informed.routeId) || isKnownRoute(informed.trip?.routeId) ||
+      (informed.stopId && isKnownStop(informed.stopId))
+    ))
+    .map(entity => formatAlert(entity, nowSeconds));
+}
+
+// An entity naming a stop only applies there (and only on its route, if it
+// names one too); an entity naming just a route applies to all its stops
+function alertAppliesToStop(alert, stopId, routeIds) {
+  return alert.informedEntities.some(informed => {
+    if (informed.stopId) {
+      return informed.stopId === stopId && (!informed.routeId || routeIds.includes(informed.routeId));
+    }
+    return Boolean(informed.routeId) && routeIds.includes(informed.routeId);
+  });
+}
+
+// Active alerts for one stop. Never fails the caller if the alerts feed is down.
+async function alertsForStop(stopId, routeIds) {
+  try {
+    const snapshot = await getFeed('alerts');
+    return knownAlerts(snapshot.feed)
+      .filter(alert => alert.active && alertAppliesToStop(alert, stopId, routeIds));
+  } catch (error) {
+    console.error('Stop alerts error:', error.message);
+    return [];
+  }
+}
+
+app.get('/api/rtd/alerts', async (req, res) => {
+  try {
+    const { route, stop } = req.query;
+    console.log('Fetching RTD service alerts...');
+
+    const snapshot = await getFeed('alerts');
+    let alerts = knownAlerts(snapshot.feed);
+
+    if (route) {
+      alerts = alerts.filter(alert => alert.informedEntities.some(informed => informed.routeId === route));
+    }
+    if (stop) {
+      const routeIds = stopRoutes(stop);
+      alerts = alerts.filter(alert => alertAppliesToStop(alert, stop, routeIds));
+    }
+    if (req.query.active === 'true') {
+      alerts = alerts.filter(alert => alert.active);
+    }
+
+    res.json({
+      timestamp: transitNow(),
+      degraded: isFeedDegraded(snapshot),
+      upstream: feedUpstream(),
+      feedAgeSeconds: feedAge(snapshot),
+      snapshotAgeSeconds: snapshotAge(snapshot),
+      alertCount: alerts.length,
+      alerts: alerts
+    });
+
+  } catch (error) {
+    console.error('RTD alerts error:', error);
+    if (error.upstream) return sendUpstreamError(res, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== N LINE TRIP FINDER ====================
+
+function formatClockTime(epochSeconds) {
+  return new Date(epochSeconds * 1000).toLocaleTimeString('en-US', {
+    timeZone: AGENCY_TIMEZONE,
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+// Next trains from one station to another: /api/rtd/trips?from=<stop|name>&to=<stop|name>
+// Either platform ID of a station, or its name, works for both ends.
+app.get('/api/rtd/trips', async (req, res) => {
+  try {
+    const routeId = req.query.route || '117N';
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 10, 50));
+
+    if (!req.query.from || !req.query.to) {
+      return res.status(400).json({ error: 'from and to are required' });
+    }
+    if (!getRoute(routeId)) {
+      return res.status(404).json({ error: `Unknown route: ${routeId}` });
+    }
+
+    const from = resolveStation(req.query.from, routeId);
+    const to = resolveStation(req.query.to, routeId);
+
+    for (const [label, station] of [['from', from], ['to', to]]) {
+      if (!station) {
+        return res.status(404).json({ error: `Unknown stop or station for ${label}: ${req.query[label]}` });
+      }
+      if (station.ambiguous) {
+        return res.status(400).json({ error: `Ambiguous ${label}: ${req.query[label]}`, matches: station.names });
+      }
+    }
+
+    if (from.stopIds.some(id => to.stopIds.includes(id))) {
+      return res.status(400).json({ error: 'from and to are the same station' });
+    }
+
+    console.log(`Finding ${routeId} trips: ${from.name} → ${to.name}`);
+
+    const snapshot = await getFeed('tripUpdates');
+    const now = Math.floor(transitNow() / 1000);
+    const trips = [];
+
+    snapshot.feed.entity.forEach(entity => {
+      if (!entity.tripUpdate || entity.tripUpdate.trip.routeId !== routeId) return;
+
+      const trip = entity.tripUpdate;
+      const predictions = tripStopPredictions(trip)
+        .sort((a, b) => (a.stopSequence ?? 0) - (b.stopSequence ?? 0) || a.arrivalTime - b.arrivalTime);
+
+      const boardIndex = predictions.findIndex(p => from.stopIds.includes(p.stopId));
+      if (boardIndex === -1) return;
+
+      const alight = predictions.slice(boardIndex + 1).find(p => to.stopIds.includes(p.stopId));
+      if (!alight) return;
+
+      const board = predictions[boardIndex];
+      if (board.departureTime < now - 60) return;
+
+      trips.push({
+        tripId: trip.trip.tripId,
+        routeId: routeId,
+        directionId: trip.trip.directionId,
+        direction: routeDirectionName(routeId, trip.trip.directionId),
+        vehicleId: trip.vehicle?.id || 'Unknown',
+        fromStopId: board.stopId,
+        toStopId: alight.stopId,
+        departureTime: board.departureTime,
+        departureTimeFormatted: formatClockTime(board.departureTime),
+        arrivalTime: alight.arrivalTime,
+        arrivalTimeFormatted: formatClockTime(alight.arrivalTime),
+        durationMinutes: Math.round((alight.arrivalTime - board.departureTime) / 60),
+        minutesUntilDeparture: Math.round((board.departureTime - now) / 60),
+        departureDelaySeconds: board.delaySeconds,
+        arrivalDelaySeconds: alight.delaySeconds,
+        status: board.canceled ? 'canceled' : adherenceStatus(alight.delaySeconds ?? board.delaySeconds),
+        canceled: board.canceled,
+        addedService: board.addedService
+      });
+    });
+
+    trips.sort((a, b) => a.departureTime - b.departureTime);
+
+    res.json({
+      routeId: routeId,
+      from: { query: req.query.from, name: from.name, stopIds: from.stopIds },
+      to: { query: req.query.to, name: to.name, stopIds: to.stopIds },
+      timestamp: transitNow(),
+      realtime: !isFeedStale(snapshot),
+      degraded: isFeedDegraded(snapshot),
+      upstream: feedUpstream(),
+      feedAgeSeconds: feedAge(snapshot),
+      snapshotAgeSeconds: snapshotAge(snapshot),
+      trips: trips.slice(0, limit)
+    });
+
+  } catch (error) {
+    console.error('Trip finder error:', error);
+    if (error.upstream) return sendUpstreamError(res, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== NEARBY STOPS ====================
+
+const NEARBY_DEFAULT_RADIUS_METERS = 800;
+const NEARBY_MAX_RADIUS_METERS = 5000;
+
+// Great-circle distance in meters
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Closest known stops to ?lat/?lon within ?radius meters, with both platforms
+// of a station merged into one entry. ?arrivals=N adds the next N arrivals.
+// Coordinates come from the static GTFS schedule only, so without
+// GTFS_STATIC_URL / GTFS_STATIC_PATH this answers 503.
+app.get('/api/rtd/nearby', async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    const radius = Math.max(1, Math.min(parseFloat(req.query.radius) || NEARBY_DEFAULT_RADIUS_METERS, NEARBY_MAX_RADIUS_METERS));
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 10, 50));
+    const arrivalCount = Math.max(0, Math.min(parseInt(req.query.arrivals) || 0, 10));
+
+    if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return res.status(400).json({ error: 'lat and lon are required' });
+    }
+    if (!gtfsSchedule) {
+      return res.status(503).json({ error: 'Nearby search needs stop coordinates from the static GTFS schedule (set GTFS_STATIC_URL or GTFS_STATIC_PATH)' });
+    }
+
+    // Every stop on a registered route, plus the built-in tables
+    const stopIds = new Set();
+    routeRegistry.forEach(route => routeStopIds(route.routeId).forEach(id => stopIds.add(id)));
+    [N_LINE_STOPS, FREERIDE_STOPS, METRORIDE_STOPS].forEach(table => {
+      Object.keys(table).forEach(id => stopIds.add(id));
+    });
+
+    const stations = new Map();
+
+    stopIds.forEach(stopId => {
+      const stop = gtfsSchedule.stops.get(stopId);
+      if (!stop || stop.latitude === null || stop.longitude === null) return;
+
+      const distance = distanceMeters(lat, lon, stop.latitude, stop.longitude);
+      if (distance > radius) return;
+
+      const key = stationKey(stopId);
+      if (!stations.has(key)) {
+        stations.set(key, {
+          name: stationName(stopId),
+          stopIds: [],
+          platforms: [],
+          routes: new Set(),
+          distanceMeters: Infinity
+        });
+      }
+
+      const station = stations.get(key);
+      station.stopIds.push(stopId);
+      station.platforms.push({
+        stopId: stopId,
+        name: stop.name,
+        direction: getStopInfo(stopId)?.direction || null,
+        latitude: stop.latitude,
+        longitude: stop.longitude,
+        distanceMeters: Math.round(distance)
+      });
+      stopRoutes(stopId).filter(routeId => routeRegistry.has(routeId)).forEach(routeId => station.routes.add(routeId));
+      station.distanceMeters = Math.min(station.distanceMeters, Math.round(distance));
+    });
+
+    const nearby = Array.from(stations.values())
+      .sort((a, b) => a.distanceMeters - b.distanceMeters)
+      .slice(0, limit)
+      .map(station => {
+        const routes = Array.from(station.routes).sort();
+        return {
+          ...station,
+          routes: routes,
+          modes: Array.from(new Set(routes.map(routeId => getRoute(routeId).mode))).sort()
+        };
+      });
+
+    if (arrivalCount > 0) {
+      await Promise.all(nearby.map(async station => {
+        const payloads = await Promise.all(station.stopIds.map(stopId => buildStopArrivals(stopId)));
+        const arrivals = [];
+        payloads.forEach((payload, index) => {
+          payload.arrivals.forEach(arrival => arrivals.push({ stopId: station.stopIds[index], ...arrival }));
+        });
+        station.arrivals = arrivals
+          .sort((a, b) => a.arrivalTime - b.arrivalTime)
+          .slice(0, arrivalCount);
+      }));
+    }
+
+    res.json({
+      latitude: lat,
+      longitude: lon,
+      radiusMeters: radius,
+      timestamp: transitNow(),
+      count: nearby.length,
+      stops: nearby
+    });
+
+  } catch (error) {
+    console.error('Nearby stops error:', error);
+    if (error.upstream) return sendUpstreamError(res, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== LIVE STREAMS (SSE + WEBSOCKET) ====================
+
+// Streams push the same payloads as /api/rtd/arrivals/:stopId and
+// /api/rtd/vehicle-positions, but only when a poll decodes a changed feed.
+const STREAM_HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS) || 15000;
+const STREAM_RETRY_MS = parseInt(process.env.STREAM_RETRY_MS) || 5000;
+
+const streamSubscribers = new Set();
+
+function parseIdList(value) {
+  return String(value || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+function subscribedFeeds(subscription) {
+  const feeds = [];
+  if (subscription.stops.length) feeds.push('tripUpdates');
+  if (subscription.routes.length) feeds.push('vehiclePositions');
+  return feeds;
+}
+
+// Event ids record which snapshot of each feed the client has seen, e.g.
+// "tripUpdates:1700000000000;vehiclePositions:1700000005000"
+function streamEventId(subscription) {
+  return subscribedFeeds(subscription)
+    .map(name => `${name}:${feedCache[name].fetchedAt || 0}`)
+    .join(';');
+}
+
+function parseStreamEventId(eventId) {
+  const seen = {};
+  String(eventId || '').split(';').forEach(part => {
+    const [name, fetchedAt] = part.split(':');
+    if (name && fetchedAt) seen[name] = Number(fetchedAt);
+  });
+  return seen;
+}
+
+// Send one feed's payloads to a subscriber. `build` memoizes payloads so
+// subscribers watching the same stop share one build per update.
+async function pushFeedUpdate(subscription, feedName, build) {
+  if (feedName === 'tripUpdates') {
+    for (const stopId of subscription.stops) {
+      const payload = await build(`stop:${stopId}`, () => buildStopArrivals(stopId));
+      subscription.send('arrivals', streamEventId(subscription), payload);
+    }
+  }
+
+  if (feedName === 'vehiclePositions' && subscription.routes.length) {
+    const key = `routes:${subscription.routes.slice().sort().join(',')}`;
+    const payload = await build(key, () => buildVehiclePositions(subscription.routes));
+    subscription.send('vehicles', streamEventId(subscription), payload);
+  }
+}
+
+function createPayloadCache() {
+  const payloads = new Map();
+  return (key, builder) => {
+    if (!payloads.has(key)) payloads.set(key, builder());
+    return payloads.get(key);
+  };
+}
+
+// Initial state for a new (or reconnecting) subscriber. Feeds whose snapshot
+// the client already saw, per its last event id, are not sent again.
+async function sendInitialState(subscription, lastEventId) {
+  const seen = parseStreamEventId(lastEventId);
+  const build = createPayloadCache();
+
+  for (const feedName of subscribedFeeds(subscription)) {
+    try {
+      const state = await getFeed(feedName);
+      if (seen[feedName] && seen[feedName] === state.fetchedAt) continue;
+      await pushFeedUpdate(subscription, feedName, build);
+    } catch (error) {
+      subscription.send('stream-error', null, { feed: feedName, error: error.message });
+    }
+  }
+}
+
+feedEvents.on('update', async state => {
+  if (streamSubscribers.size === 0) return;
+
+  const build = createPayloadCache();
+
+  for (const subscription of streamSubscribers) {
+    if (!subscribedFeeds(subscription).includes(state.name)) continue;
+
+    try {
+      await pushFeedUpdate(subscription, state.name, build);
+    } catch (error) {
+      console.error('Stream update error:', error.message);
+    }
+  }
+});
+
+function openEventStream(req, res, stops, routes) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  const subscription = {
+    stops: stops,
+    routes: routes,
+    send: (event, id, data) => {
+      if (id) res.write(`id: ${id}\n`);
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  streamSubscribers.add(subscription);
+
+  const heartbeat = setInterval(() => {
+    res.write(`: heartbeat ${Date.now()}\n\n`);
+  }, STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    streamSubscribers.delete(subscription);
+  });
+
+  sendInitialState(subscription, req.get('Last-Event-ID') || req.query.lastEventId);
+}
+
+// SSE arrivals for one or more stops (comma separated), plus optional
+// vehicle positions with ?routes=117N,113G
+app.get('/api/rtd/stream/arrivals/:stopId', (req, res) => {
+  const stops = parseIdList(req.params.stopId).concat(parseIdList(req.query.stops));
+  console.log(`📡 SSE arrivals stream opened for: ${stops.join(', ')}`);
+
+  openEventStream(req, res, stops, parseIdList(req.query.routes));
+});
+
+// SSE vehicle positions for the chosen routes
+app.get('/api/rtd/stream/vehicles', (req, res) => {
+  const routes = req.query.routes ? parseIdList(req.query.routes) : registryRouteIds('vehicles');
+  console.log(`📡 SSE vehicle stream opened for: ${routes.join(', ')}`);
+
+  openEventStream(req, res, parseIdList(req.query.stops), routes);
+});
+
+// WebSocket equivalent at /api/rtd/stream/ws?stops=...&routes=...&lastEventId=...
+// Messages are { type, id, data }. Clients may change what they watch by
+// sending { "type": "subscribe", "stops": [...], "routes": [...] }.
+function attachWebSocketStreams(server) {
+  const wss = new WebSocketServer({ server, path: '/api/rtd/stream/ws' });
+
+  wss.on('connection', (socket, req) => {
+    const query = new URL(req.url, 'http://localhost').searchParams;
+
+    const subscription = {
+      stops: parseIdList(query.get('stops')),
+      routes: parseIdList(query.get('routes')),
+      send: (type, id, data) => {
+        if (socket.readyState === socket.OPEN) {
+          socket.send(JSON.stringify({ type, id, data }));
+        }
+      }
+    };
+
+    streamSubscribers.add(subscription);
+    socket.isAlive = true;
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('message', message => {
+      let request;
+      try {
+        request = JSON.parse(message.toString());
+      } catch (error) {
+        return subscription.send('stream-error', null, { error: 'Messages must be JSON' });
+      }
+
+      // null, numbers and strings are valid JSON too
+      if (!request || typeof request !== 'object') {
+        return subscription.send('stream-error', null, { error: 'Messages must be JSON objects' });
+      }
+
+      if (request.type === 'subscribe') {
+        subscription.stops = Array.isArray(request.stops) ? request.stops.map(String) : [];
+        subscription.routes = Array.isArray(request.routes) ? request.routes.map(String) : [];
+        sendInitialState(subscription, request.lastEventId);
       }
     });
 
-    const buffer = await response.arrayBuffer();
+    socket.on('close', () => {
+      streamSubscribers.delete(subscription);
+    });
+
+    // Bad frames from a client surface here; unhandled, they'd crash the process
+    socket.on('error', error => {
+      console.error('WebSocket client error:', error.message);
+    });
+
+    sendInitialState(subscription, query.get('lastEventId'));
+  });
+
+  // Ping for dead connections and send an app-level heartbeat clients can see
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        return socket.terminate();
+      }
+      socket.isAlive = false;
+      socket.ping();
+      socket.send(JSON.stringify({ type: 'heartbeat', data: { time: Date.now() } }));
+    });
+  }, STREAM_HEARTBEAT_MS);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  console.log('📡 WebSocket streams ready at /api/rtd/stream/ws');
+  return wss;
+}
+
+// ==================== ARRIVAL ALERT SUBSCRIPTIONS ====================
+
+// "Ping me when the northbound train is 10 minutes from 72nd": each new
+// TripUpdate snapshot is checked against the stored subscriptions, and a
+// signed JSON payload is POSTed to the subscriber's webhook once per trip.
+//
+// Payloads carry `X-RTD-Timestamp` and `X-RTD-Signature: sha256=<hex>`, an
+// HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret returned when
+// the subscription was created.
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_RETRY_BASE_SECONDS = 30;
+const WEBHOOK_RETRY_MAX_SECONDS = 30 * 60;
+const SUBSCRIPTION_MAX_LEAD_MINUTES = 120;
+
+// Webhooks may only point at the public internet; set this for local testing
+const WEBHOOK_ALLOW_PRIVATE_ADDRESSES = process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES === 'true';
+
+// Loopback, private, link-local (incl. cloud metadata), CGNAT, multicast and
+// other non-routable ranges
+const nonPublicAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => nonPublicAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => nonPublicAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Active subscriptions, reloaded from Postgres whenever one is added or removed
+let activeSubscriptions = [];
+
+// "subscriptionId:serviceDate:tripId" already queued, so each snapshot doesn't
+// hit the database for trips that have fired; the unique index is the real guard
+const firedSubscriptionTrips = new Set();
+
+function formatSubscription(row) {
+  return {
+    id: row.id,
+    stopIds: row.stop_ids,
+    stopName: row.stop_name,
+    routeId: row.route_id,
+    route: getRoute(row.route_id)?.name || row.route_id,
+    directionId: row.direction_id,
+    direction: row.direction_id === null ? null : routeDirectionName(row.route_id, row.direction_id),
+    leadMinutes: row.lead_minutes,
+    webhookUrl: row.webhook_url,
+    createdAt: row.created_at
+  };
+}
+
+async function loadSubscriptions() {
+  const result = await pool.query('SELECT * FROM arrival_subscriptions ORDER BY created_at');
+  activeSubscriptions = result.rows;
+}
 
-    const feed = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(
-      new Uint8Array(buffer)
-    );
+// Accepts 0 / 1 or the registry's direction name ("Northbound")
+function parseDirection(routeId, value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^[01]$/.test(String(value))) return parseInt(value);
 
-    const nLineArrivals = [];
+  const index = (getRoute(routeId)?.directions || [])
+    .findIndex(name => name.toLowerCase() === String(value).trim().toLowerCase());
+  return index === -1 ? undefined : index;
+}
 
-    feed.entity.forEach(entity => {
-      if (entity.tripUpdate && entity.tripUpdate.trip.routeId === '117N') {
-        const trip = entity.tripUpdate;
-        const stopTimeUpdates = trip.stopTimeUpdate || [];
+// The eight 16-bit groups of a valid IPv6 address
+function ipv6Groups(address) {
+  let text = address.toLowerCase().replace(/%.*$/, '');
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = text.slice(0, dotted.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
 
-        stopTimeUpdates.forEach(update => {
-          const stopId = update.stopId.toString().trim();
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const [head, tail] = text.split('::');
+  const headGroups = parse(head);
+  const tailGroups = parse(tail);
+  return [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+}
 
-          if (N_LINE_STOPS[stopId]) {
-            const arrivalTime = update.arrival?.time?.low || update.departure?.time?.low;
+// IPv4 address carried inside an IPv4-mapped (::ffff:0:0/96), NAT64
+// (64:ff9b::/96, 64:ff9b:1::/48) or 6to4 (2002::/16) address, or null
+function embeddedIPv4(address) {
+  const groups = ipv6Groups(address);
+  const toIPv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  const zeros = (from, to) => groups.slice(from, to).every(group => group === 0);
+
+  if (zeros(0, 5) && groups[5] === 0xffff) return toIPv4(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) return toIPv4(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups[2] === 1) return toIPv4(groups[6], groups[7]);
+  if (groups[0] === 0x2002) return toIPv4(groups[1], groups[2]);
+  return null;
+}
 
-            if (arrivalTime) {
-              nLineArrivals.push({
-                stopId: stopId,
-                stopName: N_LINE_STOPS[stopId].name,
-                tripId: trip.trip.tripId,
-                directionId: trip.trip.directionId,
-                arrivalTime: arrivalTime,
-                arrivalTimeFormatted: new Date(arrivalTime * 1000).toLocaleTimeString(),
-                minutesUntil: Math.round((arrivalTime - Date.now() / 1000) / 60),
-                vehicleId: trip.vehicle?.id || 'Unknown'
-              });
-            }
-          }
-        });
-      }
-    });
+function isPublicAddress(address) {
+  if (WEBHOOK_ALLOW_PRIVATE_ADDRESSES) return true;
 
-    nLineArrivals.sort((a, b) => a.arrivalTime - b.arrivalTime);
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  if (family === 4) return !nonPublicAddresses.check(address, 'ipv4');
 
-    console.log(`Found ${nLineArrivals.length} N Line arrivals`);
-    res.json({
-      timestamp: Date.now(),
-      arrivals: nLineArrivals
-    });
+  // Translated addresses are judged by the IPv4 host they reach
+  const ipv4 = embeddedIPv4(address);
+  if (ipv4) return isPublicAddress(ipv4);
+  return !nonPublicAddresses.check(address, 'ipv6');
+}
 
+// Resolves the host so a DNS name can't stand in for an internal address.
+// Returns an error message, or null if the URL may be used.
+async function checkWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
   } catch (error) {
-    console.error('RTD arrivals error:', error);
-    res.status(500).json({ error: error.message, stack: error.stack });
+    return 'webhookUrl must be an http(s) URL';
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return 'webhookUrl must be an http(s) URL';
   }
-});
 
-// Get arrivals for a specific stop (supports BOTH trains and buses)
-app.get('/api/rtd/arrivals/:stopId', async (req, res) => {
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
   try {
-    const { stopId } = req.params;
-    console.log(`Fetching arrivals for stop: ${stopId}`);
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    return `webhookUrl host ${host} does not resolve`;
+  }
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    return 'webhookUrl must resolve to a public address';
+  }
+  return null;
+}
+
+// Re-checks the address at connect time, so a record that changes after
+// validation (DNS rebinding) still can't reach an internal host
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (!addresses.every(isPublicAddress)) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a non-public address`), { code: 'EADDRNOTPUBLIC' }));
+    }
+    callback(null, address, family);
+  });
+}
+
+const webhookAgents = {
+  'http:': new http.Agent({ lookup: publicOnlyLookup }),
+  'https:': new https.Agent({ lookup: publicOnlyLookup })
+};
+
+// What subscribers get to see about a failed attempt; the details stay in our log
+function describeWebhookError(error) {
+  if (error.name === 'AbortError') return `Timed out after ${WEBHOOK_TIMEOUT_MS}ms`;
+  if (error.code === 'EADDRNOTPUBLIC') return 'Webhook host is not a public address';
+  return 'Connection failed';
+}
+
+// Bearer token from the Authorization header, or null
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+// Subscription secrets double as the credential for reading or deleting one
+function hasSubscriptionSecret(req, subscription) {
+  const token = bearerToken(req);
+  if (!token) return false;
 
-    const response = await fetch(`${RTD_TRIP_UPDATES}?t=${Date.now()}`, {
+  const given = crypto.createHash('sha256').update(token).digest();
+  const expected = crypto.createHash('sha256').update(subscription.secret).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+function signWebhook(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function webhookRetryDelay(attempts) {
+  return Math.min(WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_SECONDS);
+}
+
+// POST one queued delivery and record the outcome. Failures are retried with
+// exponential backoff until WEBHOOK_MAX_ATTEMPTS, then marked failed.
+async function deliverWebhook(delivery) {
+  const subscription = activeSubscriptions.find(s => s.id === delivery.subscription_id);
+  if (!subscription) return;
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+
+  let error = null;
+  try {
+    const urlError = await checkWebhookUrl(subscription.webhook_url);
+    if (urlError) throw Object.assign(new Error(urlError), { code: 'EADDRNOTPUBLIC' });
+
+    const response = await fetch(subscription.webhook_url, {
+      method: 'POST',
       headers: {
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
-      }
+        'Content-Type': 'application/json',
+        'User-Agent': 'rtd-n-line-api webhooks',
+        'X-RTD-Delivery': String(delivery.id),
+        'X-RTD-Timestamp': String(timestamp),
+        'X-RTD-Signature': signWebhook(subscription.secret, timestamp, body)
+      },
+      body: body,
+      signal: controller.signal,
+      agent: url => webhookAgents[url.protocol],
+      // A redirect could point anywhere; treat it as a failed delivery
+      redirect: 'manual'
     });
+    if (!response.ok) error = `Webhook returned HTTP ${response.status}`;
+  } catch (fetchError) {
+    console.error(`❌ Webhook delivery ${delivery.id} error: ${fetchError.message}`);
+    error = describeWebhookError(fetchError);
+  } finally {
+    clearTimeout(timer);
+  }
 
-    const buffer = await response.arrayBuffer();
-
-    const feed = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(
-      new Uint8Array(buffer)
+  if (!error) {
+    await pool.query(
+      `UPDATE subscription_deliveries
+       SET status = 'delivered', attempts = $2, delivered_at = NOW(), last_error = NULL
+       WHERE id = $1`,
+      [delivery.id, attempts]
     );
+    return;
+  }
 
-    const arrivals = [];
+  const failed = attempts >= WEBHOOK_MAX_ATTEMPTS;
+  await pool.query(
+    `UPDATE subscription_deliveries
+     SET status = $2, attempts = $3, last_error = $4, next_attempt_at = $5
+     WHERE id = $1`,
+    [delivery.id, failed ? 'failed' : 'pending', attempts, error, failed ? null : timestamp + webhookRetryDelay(attempts)]
+  );
 
-    feed.entity.forEach(entity => {
-      if (entity.tripUpdate) {
-        const trip = entity.tripUpdate;
-        const routeId = trip.trip.routeId;
-        const stopTimeUpdates = trip.stopTimeUpdate || [];
-
-        const isNLine = routeId === '117N';
-        const isFreeRide = routeId === 'MALL' || routeId === 'FREE' || routeId === 'MALLRIDE' || routeId.includes('MALL');
-        const isMetroRide = routeId === 'METRO' || routeId === 'METRORIDE' || routeId.includes('METRO');
-
-        if (isNLine || isFreeRide || isMetroRide) {
-          stopTimeUpdates.forEach(update => {
-            if (update.stopId.toString().trim() === stopId.toString().trim()) {
-              const arrivalTime = update.arrival?.time?.low || update.departure?.time?.low;
-
-              if (arrivalTime) {
-                const minutesUntil = Math.round((arrivalTime - Date.now() / 1000) / 60);
-
-                if (minutesUntil >= -5 && minutesUntil <= 120) {
-                  arrivals.push({
-                    tripId: trip.trip.tripId,
-                    routeId: routeId,
-                    route: isNLine ? 'N Line' : isMetroRide ? 'MetroRide' : '16th St Mall',
-                    directionId: trip.trip.directionId,
-                    direction: trip.trip.directionId === 0 ? 'Southbound' : 'Northbound',
-                    arrivalTime: arrivalTime,
-                    arrivalTimeFormatted: new Date(arrivalTime * 1000).toLocaleTimeString('en-US', {
-                      hour: 'numeric',
-                      minute: '2-digit'
-                    }),
-                    minutesUntil: minutesUntil,
-                    status: minutesUntil <= 1 ? 'Arriving' : minutesUntil <= 5 ? 'Due' : 'On Time',
-                    vehicleId: trip.vehicle?.id || 'Unknown'
-                  });
-                }
-              }
-            }
-          });
-        }
-      }
-    });
+  console.error(`❌ Webhook delivery ${delivery.id} attempt ${attempts} failed: ${error}${failed ? ' (giving up)' : ''}`);
+}
+
+function alertPayload(subscription, tripUpdate, prediction) {
+  const routeId = tripUpdate.trip.routeId;
+
+  return {
+    event: 'arrival.approaching',
+    subscriptionId: subscription.id,
+    stop: { stopId: prediction.stopId, stopName: getStopInfo(prediction.stopId)?.name || prediction.stopId },
+    trip: {
+      tripId: tripUpdate.trip.tripId,
+      routeId: routeId,
+      route: getRoute(routeId)?.name || routeId,
+      directionId: tripUpdate.trip.directionId,
+      direction: routeDirectionName(routeId, tripUpdate.trip.directionId),
+      vehicleId: tripUpdate.vehicle?.id || null
+    },
+    arrivalTime: prediction.arrivalTime,
+    arrivalTimeFormatted: formatClockTime(prediction.arrivalTime),
+    minutesUntil: Math.round((prediction.arrivalTime - transitNow() / 1000) / 60),
+    leadMinutes: subscription.lead_minutes,
+    scheduledTime: prediction.scheduledTime,
+    delaySeconds: prediction.delaySeconds,
+    status: prediction.status
+  };
+}
 
-    arrivals.sort((a, b) => a.arrivalTime - b.arrivalTime);
+// Queue (and send) a delivery for every subscription whose trip is now inside
+// its lead time
+async function evaluateSubscriptions(state) {
+  if (activeSubscriptions.length === 0) return;
 
-    const feedTimestamp = feed.header?.timestamp?.low || Math.floor(Date.now() / 1000);
-    const feedAge = Math.floor((Date.now() / 1000 - feedTimestamp) / 60);
+  const now = Math.floor(transitNow() / 1000);
+  const due = [];
 
-    const stopName = N_LINE_STOPS[stopId.toLowerCase()]?.name ||
-                     FREERIDE_STOPS[stopId]?.name ||
-                     METRORIDE_STOPS[stopId]?.name ||
-                     stopId;
+  state.feed.entity.forEach(entity => {
+    const tripUpdate = entity.tripUpdate;
+    if (!tripUpdate || isCanceledTrip(tripUpdate.trip)) return;
 
-    res.json({
-      stopId,
-      stopName: stopName,
-      timestamp: Date.now(),
-      feedTimestamp: feedTimestamp,
-      feedAgeMinutes: feedAge,
-      arrivals: arrivals.slice(0, 10)
+    const routeSubscriptions = activeSubscriptions.filter(subscription =>
+      subscription.route_id === tripUpdate.trip.routeId &&
+      (subscription.direction_id === null || subscription.direction_id === (tripUpdate.trip.directionId || 0))
+    );
+    if (routeSubscriptions.length === 0) return;
+
+    const predictions = tripStopPredictions(tripUpdate);
+    const serviceDate = tripUpdate.trip.startDate || agencyServiceDate(transitNow());
+
+    routeSubscriptions.forEach(subscription => {
+      const prediction = predictions.find(p => subscription.stop_ids.includes(p.stopId));
+      if (!prediction) return;
+
+      const secondsUntil = prediction.arrivalTime - now;
+      if (secondsUntil < 0 || secondsUntil > subscription.lead_minutes * 60) return;
+
+      const key = `${subscription.id}:${serviceDate}:${tripUpdate.trip.tripId}`;
+      if (firedSubscriptionTrips.has(key)) return;
+      firedSubscriptionTrips.add(key);
+
+      due.push({ subscription, serviceDate, tripId: tripUpdate.trip.tripId, payload: alertPayload(subscription, tripUpdate, prediction) });
     });
+  });
 
-  } catch (error) {
-    console.error('Stop arrivals error:', error);
-    res.status(500).json({ error: error.message });
+  for (const item of due) {
+    const result = await pool.query(
+      `INSERT INTO subscription_deliveries (subscription_id, service_date, trip_id, payload, next_attempt_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (subscription_id, service_date, trip_id) DO NOTHING
+       RETURNING *`,
+      // The retry loop only picks this up if the first attempt never records an outcome
+      [item.subscription.id, item.serviceDate, item.tripId, item.payload, now + WEBHOOK_RETRY_BASE_SECONDS]
+    );
+
+    if (result.rows.length > 0) {
+      await deliverWebhook(result.rows[0]);
+    }
   }
-});
+}
 
-// ==================== NEW: VEHICLE POSITIONS (GPS TRACKING) ====================
+let retryingDeliveries = false;
+
+async function retryWebhookDeliveries() {
+  if (retryingDeliveries) return;
+  retryingDeliveries = true;
 
-// RTD Vehicle Positions API - Real-time GPS tracking
-app.get('/api/rtd/vehicle-positions', async (req, res) => {
   try {
-    console.log('🚆 Fetching RTD Vehicle Positions from GTFS-RT');
+    await sendDueDeliveries();
+  } finally {
+    retryingDeliveries = false;
+  }
+}
 
-    // Fetch RTD's GTFS-RT VehiclePosition feed
-    const response = await fetch(RTD_VEHICLE_POSITIONS);
-
-    if (!response.ok) {
-      throw new Error(`GTFS-RT Vehicle Positions feed returned ${response.status}`);
-    }
-
-    const buffer = await response.arrayBuffer();
-    const feed = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(new Uint8Array(buffer));
-
-    console.log(`📊 GTFS-RT feed has ${feed.entity.length} vehicle entities`);
-
-    // Parse vehicle positions
-    const vehicles = [];
-    const now = Math.floor(Date.now() / 1000);
-
-    for (const entity of feed.entity) {
-      if (entity.vehicle) {
-        const vehicle = entity.vehicle;
-        const trip = vehicle.trip;
-        const position = vehicle.position;
-
-        // Filter for N Line, G Line, and B Line only
-        const routeId = trip?.routeId;
-        if (routeId === '117N' || routeId === '113G' || routeId === '113B') {
-          const timestamp = Number(vehicle.timestamp);
-
-          vehicles.push({
-            id: vehicle.vehicle?.id || entity.id,
-            label: vehicle.vehicle?.label || 'Unknown',
-            routeId: routeId,
-            tripId: trip?.tripId,
-            directionId: trip?.directionId ?? 0,
-            latitude: position?.latitude,
-            longitude: position?.longitude,
-            bearing: position?.bearing,
-            speed: position?.speed,
-            currentStopSequence: vehicle.currentStopSequence,
-            currentStopId: vehicle.stopId,
-            currentStatus: vehicle.currentStatus, // INCOMING_AT, STOPPED_AT, IN_TRANSIT_TO
-            timestamp: timestamp,
-            timestampFormatted: timestamp ? new Date(timestamp * 1000).toLocaleTimeString('en-US', {
-              timeZone: 'America/Denver',
-              hour: 'numeric',
-              minute: '2-digit',
-              second: '2-digit',
-              hour12: true
-            }) : null,
-            congestionLevel: vehicle.congestionLevel,
-            occupancyStatus: vehicle.occupancyStatus,
-            age: timestamp ? now - timestamp : null // Age of position data in seconds
-          });
-        }
-      }
-    }
+async function sendDueDeliveries() {
+  const result = await pool.query(
+    `SELECT * FROM subscription_deliveries
+     WHERE status = 'pending' AND next_attempt_at <= $1
+     ORDER BY next_attempt_at
+     LIMIT 50`,
+    [Math.floor(Date.now() / 1000)]
+  );
+
+  for (const delivery of result.rows) {
+    await deliverWebhook(delivery);
+  }
+}
 
-    // Sort by route and direction
-    vehicles.sort((a, b) => {
-      if (a.routeId !== b.routeId) {
-        return a.routeId.localeCompare(b.routeId);
-      }
-      return (a.directionId || 0) - (b.directionId || 0);
-    });
+async function startSubscriptionEvaluator() {
+  await loadSubscriptions();
 
-    const result = {
-      timestamp: Date.now(),
-      feedTimestamp: Number(feed.header.timestamp) * 1000,
-      feedAgeSeconds: now - Number(feed.header.timestamp),
-      vehicleCount: vehicles.length,
-      vehicles: vehicles,
-      routeSummary: {
-        '117N': vehicles.filter(v => v.routeId === '117N').length,
-        '113G': vehicles.filter(v => v.routeId === '113G').length,
-        '113B': vehicles.filter(v => v.routeId === '113B').length
-      }
-    };
+  feedEvents.on('update', state => {
+    if (state.name !== 'tripUpdates') return;
+
+    evaluateSubscriptions(state).catch(error => {
+      console.error('❌ Subscription evaluation error:', error.message);
+    });
+  });
 
-    console.log(`✅ Found ${vehicles.length} active vehicles:`, result.routeSummary);
+  setInterval(() => {
+    retryWebhookDeliveries().catch(error => {
+      console.error('❌ Webhook retry error:', error.message);
+    });
+  }, 15 * 1000);
 
-    res.json(result);
-  } catch (error) {
-    console.error('❌ GTFS-RT Vehicle Positions error:', error);
-    res.status(500).json({ error: 'Failed to fetch vehicle positions', details: error.message });
-  }
-});
+  // Yesterday's fired-trip keys can't match again
+  setInterval(() => firedSubscriptionTrips.clear(), 24 * 60 * 60 * 1000);
 
-// ==================== ORIGINAL BUS/DEBUG ENDPOINTS ====================
+  console.log(`🔔 Arrival alert evaluator on (${activeSubscriptions.length} subscriptions)`);
+}
 
-// Dedicated bus endpoint for 16th Street Mall FreeRide
-app.get('/api/rtd/bus/:stopId', async (req, res) => {
+// Create a subscription. Body: { stop, route, direction, leadMinutes, webhookUrl }.
+// `stop` is a stop ID or station name; `direction` is 0 / 1 or e.g. "Northbound"
+// (omit for both). The signing secret is only ever returned here.
+//
+// The first subscription also returns an `ownerKey`; send it as
+// `Authorization: Bearer <ownerKey>` when creating more to group them, and to
+// GET /api/rtd/subscriptions to list them.
+app.post('/api/rtd/subscriptions', async (req, res) => {
   try {
-    const { stopId } = req.params;
-    console.log(`Fetching bus arrivals for stop: ${stopId}`);
+    if (!process.env.DATABASE_URL) {
+      return res.status(503).json({ error: 'Subscriptions require DATABASE_URL' });
+    }
 
-    const response = await fetch(`${RTD_TRIP_UPDATES}?t=${Date.now()}`, {
-      headers: {
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
+    // Only keys this server handed out are accepted, so nobody can pick a guessable one
+    let ownerKey = bearerToken(req);
+    if (req.get('Authorization')) {
+      const owned = ownerKey && await pool.query(
+        'SELECT 1 FROM arrival_subscriptions WHERE owner_key_hash = $1 LIMIT 1',
+        [hashToken(ownerKey)]
+      );
+      if (!owned || owned.rows.length === 0) {
+        return res.status(401).json({ error: 'Unknown owner key' });
       }
-    });
+    } else {
+      ownerKey = crypto.randomBytes(32).toString('base64url');
+    }
 
-    const buffer = await response.arrayBuffer();
-    const feed = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(
-      new Uint8Array(buffer)
-    );
+    const { stop, route = '117N', direction, webhookUrl } = req.body || {};
+    const leadMinutes = parseInt(req.body?.leadMinutes ?? req.body?.leadTime);
 
-    const busArrivals = [];
+    if (!isKnownRoute(route)) {
+      return res.status(400).json({ error: `Unknown route: ${route}` });
+    }
 
-    feed.entity.forEach(entity => {
-      if (entity.tripUpdate) {
-        const trip = entity.tripUpdate;
-        const routeId = trip.trip.routeId;
+    const station = resolveStation(stop, route);
+    if (!station) {
+      return res.status(400).json({ error: `No ${getRoute(route).name} stop matches "${stop || ''}"` });
+    }
+    if (station.ambiguous) {
+      return res.status(400).json({ error: `"${stop}" matches more than one station`, matches: station.names });
+    }
 
-        if (routeId === 'MALL' || routeId === 'FREE' || routeId === 'MALLRIDE' || routeId.includes('MALL') ||
-            routeId === 'METRO' || routeId === 'METRORIDE' || routeId.includes('METRO')) {
-          const stopTimeUpdates = trip.stopTimeUpdate || [];
-
-          stopTimeUpdates.forEach(update => {
-            if (update.stopId.toString().trim() === stopId.toString().trim()) {
-              const arrivalTime = update.arrival?.time?.low || update.departure?.time?.low;
-
-              if (arrivalTime) {
-                const minutesUntil = Math.round((arrivalTime - Date.now() / 1000) / 60);
-
-                if (minutesUntil >= -2 && minutesUntil <= 60) {
-                  busArrivals.push({
-                    tripId: trip.trip.tripId,
-                    routeId: routeId,
-                    route: routeId.includes('METRO') ? 'MetroRide' : '16th St Mall',
-                    arrivalTime: arrivalTime,
-                    arrivalTimeFormatted: new Date(arrivalTime * 1000).toLocaleTimeString('en-US', {
-                      hour: 'numeric',
-                      minute: '2-digit'
-                    }),
-                    minutesUntil: minutesUntil,
-                    status: minutesUntil <= 1 ? 'Arriving' : 'On Time',
-                    vehicleId: trip.vehicle?.id || 'Unknown'
-                  });
-                }
-              }
-            }
-          });
-        }
-      }
-    });
+    const directionId = parseDirection(route, direction);
+    if (directionId === undefined) {
+      return res.status(400).json({
+        error: `Unknown direction: ${direction}`,
+        directions: getRoute(route).directions
+      });
+    }
 
-    busArrivals.sort((a, b) => a.arrivalTime - b.arrivalTime);
+    if (!leadMinutes || leadMinutes < 1 || leadMinutes > SUBSCRIPTION_MAX_LEAD_MINUTES) {
+      return res.status(400).json({ error: `leadMinutes must be between 1 and ${SUBSCRIPTION_MAX_LEAD_MINUTES}` });
+    }
 
-    res.json({
-      stopId,
-      stopName: FREERIDE_STOPS[stopId]?.name || METRORIDE_STOPS[stopId]?.name || '16th Street Mall',
-      route: '16th St Mall FreeRide / MetroRide',
-      timestamp: Date.now(),
-      arrivals: busArrivals.slice(0, 5)
+    const webhookError = await checkWebhookUrl(webhookUrl);
+    if (webhookError) {
+      return res.status(400).json({ error: webhookError });
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    const result = await pool.query(
+      `INSERT INTO arrival_subscriptions (id, stop_ids, stop_name, route_id, direction_id, lead_minutes, webhook_url, secret, owner_key_hash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [id, station.stopIds, station.name, route, directionId, leadMinutes, webhookUrl, secret, hashToken(ownerKey)]
+    );
+    await loadSubscriptions();
+
+    res.status(201).json({
+      success: true,
+      subscription: formatSubscription(result.rows[0]),
+      secret: secret,
+      ownerKey: ownerKey
     });
 
   } catch (error) {
-    console.error('Bus arrivals error:', error);
+    console.error('Create subscription error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Debug endpoint
-app.get('/api/rtd/debug', async (req, res) => {
+// The caller's own subscriptions (Authorization: Bearer <ownerKey>). An
+// unknown key gets an empty list, same as a key with nothing left.
+app.get('/api/rtd/subscriptions', async (req, res) => {
   try {
-    console.log('Fetching ALL RTD trip updates for debugging...');
-    const response = await fetch(RTD_TRIP_UPDATES);
-    const buffer = await response.arrayBuffer();
+    if (!process.env.DATABASE_URL) {
+      return res.status(503).json({ error: 'Subscriptions require DATABASE_URL' });
+    }
+
+    const ownerKey = bearerToken(req);
+    if (!ownerKey) {
+      return res.status(401).json({ error: 'Authorization: Bearer <owner key> required' });
+    }
 
-    const feed = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(
-      new Uint8Array(buffer)
+    const result = await pool.query(
+      'SELECT * FROM arrival_subscriptions WHERE owner_key_hash = $1 ORDER BY created_at',
+      [hashToken(ownerKey)]
     );
 
-    const debugData = {
-      timestamp: Date.now(),
-      totalEntities: feed.entity.length,
-      nLineTrips: [],
-      busTrips: [],
-      allRoutes: new Set(),
-      allStopIds: new Set()
-    };
+    res.json({
+      count: result.rows.length,
+      subscriptions: result.rows.map(formatSubscription)
+    });
 
-    feed.entity.forEach(entity => {
-      if (entity.tripUpdate) {
-        const routeId = entity.tripUpdate.trip.routeId;
-        debugData.allRoutes.add(routeId);
+  } catch (error) {
+    console.error('List subscriptions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        const trip = entity.tripUpdate;
-        const tripData = {
-          tripId: trip.trip.tripId,
-          routeId: trip.trip.routeId,
-          directionId: trip.trip.directionId,
-          stops: []
-        };
+// Look up a subscription for its owner (Authorization: Bearer <secret>).
+// Unknown ids and wrong secrets get the same 404.
+async function findOwnedSubscription(req, res) {
+  if (!process.env.DATABASE_URL) {
+    res.status(503).json({ error: 'Subscriptions require DATABASE_URL' });
+    return null;
+  }
 
-        (trip.stopTimeUpdate || []).forEach(update => {
-          debugData.allStopIds.add(update.stopId);
-          tripData.stops.push({
-            stopId: update.stopId,
-            arrivalTime: update.arrival?.time?.low,
-            departureTime: update.departure?.time?.low
-          });
-        });
+  if (!req.get('Authorization')) {
+    res.status(401).json({ error: 'Authorization: Bearer <subscription secret> required' });
+    return null;
+  }
 
-        if (routeId === '117N') {
-          debugData.nLineTrips.push(tripData);
-        } else if (routeId === 'FREE' || routeId === 'MALL') {
-          debugData.busTrips.push(tripData);
-        }
-      }
+  const result = await pool.query('SELECT * FROM arrival_subscriptions WHERE id = $1', [req.params.id]);
+  if (result.rows.length === 0 || !hasSubscriptionSecret(req, result.rows[0])) {
+    res.status(404).json({ error: 'Subscription not found' });
+    return null;
+  }
+
+  return result.rows[0];
+}
+
+// One subscription with its most recent deliveries
+app.get('/api/rtd/subscriptions/:id', async (req, res) => {
+  try {
+    const subscription = await findOwnedSubscription(req, res);
+    if (!subscription) return;
+
+    const deliveries = await pool.query(
+      `SELECT id, service_date, trip_id, status, attempts, last_error, created_at, delivered_at
+       FROM subscription_deliveries WHERE subscription_id = $1
+       ORDER BY created_at DESC LIMIT 20`,
+      [req.params.id]
+    );
+
+    res.json({
+      subscription: formatSubscription(subscription),
+      deliveries: deliveries.rows.map(row => ({
+        id: row.id,
+        serviceDate: row.service_date,
+        tripId: row.trip_id,
+        status: row.status,
+        attempts: row.attempts,
+        lastError: row.last_error,
+        createdAt: row.created_at,
+        deliveredAt: row.delivered_at
+      }))
     });
 
-    debugData.allRoutes = Array.from(debugData.allRoutes).sort();
-    debugData.allStopIds = Array.from(debugData.allStopIds).sort();
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json(debugData);
+app.delete('/api/rtd/subscriptions/:id', async (req, res) => {
+  try {
+    const subscription = await findOwnedSubscription(req, res);
+    if (!subscription) return;
+
+    await pool.query('DELETE FROM arrival_subscriptions WHERE id = $1', [subscription.id]);
+    await loadSubscriptions();
+
+    res.json({ success: true, message: 'Subscription deleted' });
 
   } catch (error) {
-    console.error('Debug error:', error);
+    console.error('Delete subscription error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -1016,23 +6221,51 @@ app.get('/health', async (req, res) => {
     }
   }
 
+  const feeds = Object.fromEntries(Object.entries(feedCache).map(([name, state]) => [name, feedHealth(state)]));
+  const degraded = Object.values(feeds).some(feed => feed.status !== 'ok') ||
+    Array.from(circuitBreakers.values()).some(breaker => breaker.state !== 'closed');
+
   res.json({
-    status: 'ok',
+    status: degraded ? 'degraded' : 'ok',
     message: 'RTD API Proxy (Trains + Buses + Vehicle Tracking) + Ultimate Planner Sync is running',
     database: dbStatus,
-    features: ['trip-updates', 'vehicle-positions', 'planner-sync']
+    features: ['trip-updates', 'vehicle-positions', 'service-alerts', 'planner-sync'],
+    feedStaleAfterSeconds: FEED_STALE_SECONDS,
+    feeds: feeds,
+    upstreams: upstreamHealth()
   });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', metricsRegistry.contentType);
+    res.send(await metricsRegistry.metrics());
+  } catch (error) {
+    console.error('Metrics error:', error);
+    res.status(500).send(`# metrics collection failed: ${error.message}\n`);
+  }
+});
+
 // Planner API health check
 app.get('/api/planner/health', (req, res) => {
   res.json({
     status: 'ok',
     message: 'Ultimate Planner API is ready',
+    auth: 'Authorization: Bearer <token>; use "me" for :token',
     endpoints: {
       register: 'POST /api/planner/register',
       login: 'POST /api/planner/login',
-      tasks: 'GET/POST /api/planner/tasks/:token',
+      rotate: 'POST /api/planner/rotate/:token',
+      tasks: 'GET/POST /api/planner/tasks/:token (GET ?since=<cursor> for changes only)',
+      push: 'POST /api/planner/tasks/:token/push',
+      trash: 'GET /api/planner/trash/:token',
+      restore: 'POST /api/planner/trash/:token/:taskId/restore',
+      history: 'GET /api/planner/tasks/:token/:taskId/history',
+      rollback: 'POST /api/planner/rollback/:token or /api/planner/tasks/:token/:taskId/rollback { at }',
+      export: 'GET /api/planner/export/:token (?gzip=true)',
+      import: 'POST /api/planner/import/:token (?mode=merge|replace&dryRun=true)',
+      account: 'DELETE /api/planner/account/:token (after an export, or confirm=DELETE)',
       settings: 'GET/POST /api/planner/settings/:token',
       stats: 'GET/POST /api/planner/stats/:token',
       sync: 'GET /api/planner/sync/:token'
@@ -1042,27 +6275,123 @@ app.get('/api/planner/health', (req, res) => {
 
 // ==================== SERVER START ====================
 
-// Start server and initialize database
-app.listen(PORT, '0.0.0.0', async () => {
-  console.log(`\n🚀 RTD API Proxy + Ultimate Planner Sync Server`);
-  console.log(`📍 Running on port ${PORT}\n`);
-  console.log(`Health checks:`);
-  console.log(`  🏥 General: http://0.0.0.0:${PORT}/health`);
-  console.log(`  📱 Planner: http://0.0.0.0:${PORT}/api/planner/health\n`);
-  console.log(`RTD Examples:`);
-  console.log(`  🚉 Train: http://0.0.0.0:${PORT}/api/rtd/arrivals/34668`);
-  console.log(`  🚌 Bus: http://0.0.0.0:${PORT}/api/rtd/bus/22367`);
-  console.log(`  🚆 Vehicles: http://0.0.0.0:${PORT}/api/rtd/vehicle-positions\n`);
-  console.log(`Planner Examples:`);
-  console.log(`  📝 Register: POST http://0.0.0.0:${PORT}/api/planner/register`);
-  console.log(`  🔐 Login: POST http://0.0.0.0:${PORT}/api/planner/login`);
-  console.log(`  📋 Tasks: GET http://0.0.0.0:${PORT}/api/planner/tasks/PLAN-ABC123\n`);
-
-  // Initialize database
-  if (process.env.DATABASE_URL) {
-    await initDatabase();
-  } else {
-    console.log('⚠️  No DATABASE_URL found - planner sync disabled');
-    console.log('   Add PostgreSQL database in Render dashboard\n');
-  }
-});
+// Start server and initialize database. Only when run directly: the tests
+// require this file for `app` and the helpers exported below.
+if (require.main === module) {
+  const server = app.listen(PORT, '0.0.0.0', async () => {
+    console.log(`\n🚀 RTD API Proxy + Ultimate Planner Sync Server`);
+    console.log(`📍 Running on port ${PORT}\n`);
+    console.log(`Health checks:`);
+    console.log(`  🏥 General: http://0.0.0.0:${PORT}/health`);
+    console.log(`  📱 Planner: http://0.0.0.0:${PORT}/api/planner/health`);
+    console.log(`  📈 Metrics: http://0.0.0.0:${PORT}/metrics\n`);
+    console.log(`RTD Examples:`);
+    console.log(`  🚉 Train: http://0.0.0.0:${PORT}/api/rtd/arrivals/34668`);
+    console.log(`  🚌 Bus: http://0.0.0.0:${PORT}/api/rtd/bus/22367`);
+    console.log(`  🚆 Vehicles: http://0.0.0.0:${PORT}/api/rtd/vehicle-positions`);
+    console.log(`  📡 Stream: http://0.0.0.0:${PORT}/api/rtd/stream/arrivals/34668\n`);
+    console.log(`Planner Examples:`);
+    console.log(`  📝 Register: POST http://0.0.0.0:${PORT}/api/planner/register`);
+    console.log(`  🔐 Login: POST http://0.0.0.0:${PORT}/api/planner/login`);
+    console.log(`  📋 Tasks: GET http://0.0.0.0:${PORT}/api/planner/tasks/me (Authorization: Bearer <token>)\n`);
+    if (PLANNER_PATH_TOKENS_ENABLED) {
+      console.log('⚠️  PLANNER_PATH_TOKENS_ENABLED is on - tokens in URL paths are deprecated and get logged\n');
+    }
+
+    // Load the static schedule, then keep it fresh
+    await loadGtfsSchedule();
+    if (GTFS_STATIC_PATH || GTFS_STATIC_URL) {
+      setInterval(loadGtfsSchedule, GTFS_REFRESH_HOURS * 60 * 60 * 1000);
+    }
+
+    // Start polling the RTD feeds (or the recordings)
+    if (FEED_SOURCE_MODE === 'replay') {
+      startReplayClock();
+    } else if (FEED_SOURCE_MODE === 'record') {
+      startFeedRecorder();
+    }
+    startFeedPoller();
+
+    // Initialize database
+    if (process.env.DATABASE_URL) {
+      await initDatabase();
+
+      startTrashPurger();
+      startRevisionPruner();
+
+      // Replayed snapshots are old news: they must not land in the history and
+      // arrival tables next to live data, or trigger alerts
+      if (FEED_SOURCE_MODE !== 'replay') {
+        if (VEHICLE_HISTORY_ENABLED) {
+          startVehicleHistoryRecorder();
+        }
+
+        if (ARRIVAL_LOG_ENABLED) {
+          startArrivalRecorder();
+        }
+
+        startSubscriptionEvaluator().catch(error => {
+          console.error('❌ Subscription evaluator failed to start:', error.message);
+        });
+      }
+    } else {
+      console.log('⚠️  No DATABASE_URL found - planner sync disabled');
+      console.log('   Add PostgreSQL database in Render dashboard\n');
+    }
+  });
+
+  attachWebSocketStreams(server);
+}
+
+module.exports = {
+  app,
+  pool,
+  initDatabase,
+  generateToken,
+  hashToken,
+  createAttemptLimiter,
+  isValidTaskId,
+  purgeTrash,
+  parseRestorePoint,
+  pruneRevisions,
+  canonicalJson,
+  validatePlannerArchive,
+  upstreamFetch,
+  getRoute,
+  registryRouteIds,
+  routeDirectionName,
+  parseCsvLine,
+  buildGtfsSchedule,
+  parseGtfsTime,
+  loadGtfsSchedule,
+  getStopInfo,
+  resolveStation,
+  pruneFeedRecordings,
+  feedCache,
+  getFeed,
+  refreshFeed,
+  isFeedStale,
+  serviceDayStart,
+  adherenceStatus,
+  predictStopTime,
+  isCanceledTrip,
+  isAddedTrip,
+  tripStopPredictions,
+  vehicleFromEntity,
+  stopsAway,
+  parseTimeParam,
+  recordVehiclePositions,
+  observeTripUpdates,
+  observeVehiclePositions,
+  flushObservedArrivals,
+  toCsv,
+  percent,
+  distanceMeters,
+  parseStreamEventId,
+  attachWebSocketStreams,
+  isPublicAddress,
+  checkWebhookUrl,
+  hasSubscriptionSecret,
+  signWebhook,
+  evaluateSubscriptions
+};
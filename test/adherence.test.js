@@ -0,0 +1,125 @@
+'use strict';
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const helpers = require('./helpers');
+
+const gtfsPath = helpers.writeGtfsZip();
+const server = helpers.loadServer({
+  GTFS_STATIC_PATH: gtfsPath,
+  ADHERENCE_EARLY_SECONDS: '30',
+  ADHERENCE_LATE_SECONDS: '120',
+  ADHERENCE_VERY_LATE_SECONDS: '600'
+});
+
+let http;
+
+before(async () => {
+  await server.loadGtfsSchedule();
+  http = await helpers.listen(server.app);
+});
+
+beforeEach(() => {
+  helpers.resetUpstream();
+  helpers.resetFeeds(server.feedCache);
+});
+
+after(async () => {
+  await http.close();
+  fs.rmSync(path.dirname(gtfsPath), { recursive: true, force: true });
+});
+
+function tripUpdate(trip, stopTimeUpdate) {
+  return helpers.decodeFeed([{ id: 'e', tripUpdate: { trip, stopTimeUpdate } }]).entity[0].tripUpdate;
+}
+
+test('adherenceStatus uses the configured thresholds', () => {
+  assert.strictEqual(server.adherenceStatus(null), 'unknown');
+  assert.strictEqual(server.adherenceStatus(-31), 'early');
+  assert.strictEqual(server.adherenceStatus(-30), 'on-time');
+  assert.strictEqual(server.adherenceStatus(120), 'on-time');
+  assert.strictEqual(server.adherenceStatus(121), 'late');
+  assert.strictEqual(server.adherenceStatus(600), 'late');
+  assert.strictEqual(server.adherenceStatus(601), 'very-late');
+});
+
+test('serviceDayStart is noon minus 12 hours, across DST changes too', () => {
+  assert.strictEqual(server.serviceDayStart('20261019'), Date.UTC(2026, 9, 19, 6) / 1000);
+  // Clocks fall back on 1 Nov 2026, so the service day starts at 01:00 MST
+  assert.strictEqual(server.serviceDayStart('20261101'), Date.UTC(2026, 10, 1, 7) / 1000);
+});
+
+test('the feed delay wins over the static schedule', () => {
+  const time = helpers.nowSeconds() + 600;
+  const update = tripUpdate(
+    { tripId: 'N-OUT-1', routeId: '117N', startDate: '20261019' },
+    [{ stopId: '35247', stopSequence: 2, arrival: { time, delay: 400 } }]
+  );
+
+  const prediction = server.predictStopTime(update, update.stopTimeUpdate[0]);
+
+  assert.deepStrictEqual(prediction, {
+    arrivalTime: time,
+    scheduledTime: time - 400,
+    delaySeconds: 400,
+    status: 'late'
+  });
+});
+
+test('without a delay, arrivals are compared with static stop_times', () => {
+  const scheduled = server.serviceDayStart('20261019') + 8 * 3600 + 7 * 60;
+  const update = tripUpdate(
+    { tripId: 'N-OUT-1', routeId: '117N', startDate: '20261019' },
+    [{ stopId: '35247', stopSequence: 2, arrival: { time: scheduled + 45 } }]
+  );
+
+  const prediction = server.predictStopTime(update, update.stopTimeUpdate[0]);
+
+  assert.strictEqual(prediction.scheduledTime, scheduled);
+  assert.strictEqual(prediction.delaySeconds, 45);
+  assert.strictEqual(prediction.status, 'on-time');
+});
+
+test('a reported delay with no time is applied to the schedule', () => {
+  const update = tripUpdate(
+    { tripId: 'N-OUT-1', routeId: '117N', startDate: '20261019' },
+    [{ stopId: '35249', stopSequence: 3, arrival: { delay: -60 } }]
+  );
+
+  const prediction = server.predictStopTime(update, update.stopTimeUpdate[0]);
+  const scheduled = server.serviceDayStart('20261019') + 8 * 3600 + 12 * 60;
+
+  assert.strictEqual(prediction.scheduledTime, scheduled);
+  assert.strictEqual(prediction.arrivalTime, scheduled - 60);
+  assert.strictEqual(prediction.status, 'early');
+});
+
+test('train and bus arrivals report the same delay model', async () => {
+  const now = helpers.nowSeconds();
+  helpers.serveRtdFeeds({
+    tripUpdates: [
+      { id: 'n', tripUpdate: { trip: { tripId: 'N-OUT-9', routeId: '117N', directionId: 1 }, stopTimeUpdate: [
+        { stopId: '35247', stopSequence: 2, arrival: { time: now + 900, delay: 700 } }
+      ] } },
+      { id: 'm', tripUpdate: { trip: { tripId: 'MALL-9', routeId: 'MALL', directionId: 0 }, stopTimeUpdate: [
+        { stopId: '22367', arrival: { time: now + 300, delay: 0 } }
+      ] } }
+    ]
+  });
+
+  const train = await helpers.request(`${http.url}/api/rtd/arrivals/35247`);
+  const bus = await helpers.request(`${http.url}/api/rtd/bus/22367`);
+
+  assert.strictEqual(train.status, 200);
+  assert.deepStrictEqual(
+    [train.body.arrivals[0].scheduledTime, train.body.arrivals[0].delaySeconds, train.body.arrivals[0].status],
+    [now + 200, 700, 'very-late']
+  );
+  assert.strictEqual(bus.status, 200);
+  assert.deepStrictEqual(
+    [bus.body.arrivals[0].scheduledTime, bus.body.arrivals[0].delaySeconds, bus.body.arrivals[0].status],
+    [now + 300, 0, 'on-time']
+  );
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+const server = helpers.loadServer();
+
+const now = helpers.nowSeconds();
+const ALERTS = [
+  { id: 'n-delay', alert: {
+    informedEntity: [{ routeId: '117N' }],
+    cause: 3,
+    effect: 3,
+    activePeriod: [{ start: now - 600, end: now + 600 }],
+    headerText: { translation: [{ text: 'Retrasos', language: 'es' }, { text: 'N Line delays', language: 'en' }] },
+    descriptionText: { translation: [{ text: 'Signal problem at 38th & Blake' }] }
+  } },
+  { id: 'stout-moved', alert: {
+    informedEntity: [{ stopId: '22367' }],
+    effect: 9,
+    headerText: { translation: [{ text: 'Stop moved' }] }
+  } },
+  { id: 'n-future', alert: {
+    informedEntity: [{ routeId: '117N' }],
+    activePeriod: [{ start: now + 86400 }],
+    headerText: { translation: [{ text: 'Weekend closure' }] }
+  } },
+  { id: 'elsewhere', alert: {
+    informedEntity: [{ routeId: '15' }],
+    headerText: { translation: [{ text: 'Colfax detour' }] }
+  } }
+];
+
+let http;
+
+before(async () => {
+  http = await helpers.listen(server.app);
+});
+
+beforeEach(() => {
+  helpers.resetUpstream();
+  helpers.resetFeeds(server.feedCache);
+});
+
+after(() => http.close());
+
+test('/api/rtd/alerts returns only alerts for known routes and stops', async () => {
+  helpers.serveRtdFeeds({ alerts: ALERTS });
+
+  const res = await helpers.request(`${http.url}/api/rtd/alerts`);
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.alerts.map(alert => alert.id), ['n-delay', 'stout-moved', 'n-future']);
+  assert.deepStrictEqual(res.body.alerts[0], {
+    id: 'n-delay',
+    header: 'N Line delays',
+    description: 'Signal problem at 38th & Blake',
+    url: null,
+    cause: 'TECHNICAL_PROBLEM',
+    effect: 'SIGNIFICANT_DELAYS',
+    active: true,
+    activePeriods: [{ start: now - 600, end: now + 600 }],
+    informedEntities: [{ routeId: '117N', stopId: null, tripId: null, directionId: null }]
+  });
+  assert.strictEqual(res.body.alerts[1].cause, 'UNKNOWN_CAUSE');
+  assert.strictEqual(res.body.alerts[1].effect, 'STOP_MOVED');
+  assert.strictEqual(res.body.alerts[2].active, false);
+});
+
+test('/api/rtd/alerts filters by route, stop and activity', async () => {
+  helpers.serveRtdFeeds({ alerts: ALERTS });
+
+  const byRoute = await helpers.request(`${http.url}/api/rtd/alerts?route=117N&active=true`);
+  const byStop = await helpers.request(`${http.url}/api/rtd/alerts?stop=22367`);
+
+  assert.deepStrictEqual(byRoute.body.alerts.map(alert => alert.id), ['n-delay']);
+  assert.deepStrictEqual(byStop.body.alerts.map(alert => alert.id), ['stout-moved']);
+});
+
+test('stop arrivals carry the active alerts for that stop', async () => {
+  helpers.serveRtdFeeds({ alerts: ALERTS });
+
+  const nLine = await helpers.request(`${http.url}/api/rtd/arrivals/35247`);
+  const mall = await helpers.request(`${http.url}/api/rtd/arrivals/22367`);
+
+  assert.deepStrictEqual(nLine.body.alerts.map(alert => alert.id), ['n-delay']);
+  assert.deepStrictEqual(mall.body.alerts.map(alert => alert.id), ['stout-moved']);
+});
+
+test('stop arrivals still answer when the alerts feed is down', async () => {
+  helpers.serveRtdFeeds();
+  helpers.mockUpstream('Alerts.pb', () => helpers.response('<html>down</html>', 502, { 'content-type': 'text/html' }));
+
+  const res = await helpers.request(`${http.url}/api/rtd/arrivals/35247`);
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.alerts, []);
+});
+
+test('trip-scoped and bus route alerts reach their route and stops without a schedule', async () => {
+  helpers.serveRtdFeeds({ alerts: [
+    { id: 'n-trip', alert: {
+      informedEntity: [{ trip: { tripId: 'N-7', routeId: '117N' } }],
+      headerText: { translation: [{ text: 'Train 7 canceled' }] }
+    } },
+    { id: 'mall-detour', alert: {
+      informedEntity: [{ routeId: 'MALL' }],
+      headerText: { translation: [{ text: 'Mall shuttle detour' }] }
+    } }
+  ] });
+
+  const byRoute = await helpers.request(`${http.url}/api/rtd/alerts?route=117N`);
+  assert.deepStrictEqual(byRoute.body.alerts.map(alert => alert.id), ['n-trip']);
+  assert.deepStrictEqual(byRoute.body.alerts[0].informedEntities, [
+    { routeId: '117N', stopId: null, tripId: 'N-7', directionId: null }
+  ]);
+
+  const byStop = await helpers.request(`${http.url}/api/rtd/alerts?stop=22367`);
+  assert.deepStrictEqual(byStop.body.alerts.map(alert => alert.id), ['mall-detour']);
+
+  const nLine = await helpers.request(`${http.url}/api/rtd/arrivals/35247`);
+  const mall = await helpers.request(`${http.url}/api/rtd/arrivals/22367`);
+  assert.deepStrictEqual(nLine.body.alerts.map(alert => alert.id), ['n-trip']);
+  assert.deepStrictEqual(mall.body.alerts.map(alert => alert.id), ['mall-detour']);
+});
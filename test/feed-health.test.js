@@ -0,0 +1,150 @@
+'use strict';
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const helpers = require('./helpers');
+
+// The schedule has a northbound trip at 38th & Blake half an hour from now
+const inHalfAnHour = new Date((helpers.nowSeconds() + 1800) * 1000)
+  .toLocaleTimeString('en-GB', { timeZone: 'America/Denver', hour12: false });
+const gtfsPath = helpers.writeGtfsZip({
+  ...helpers.SAMPLE_GTFS,
+  'stop_times.txt': [
+    ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence'],
+    ['N-OUT-1', inHalfAnHour, inHalfAnHour, '35247', '2']
+  ]
+});
+const server = helpers.loadServer({ GTFS_STATIC_PATH: gtfsPath, RTD_FEED_STALE_SECONDS: '300' });
+
+let http;
+
+const PREDICTION = { id: 'nb', tripUpdate: {
+  trip: { tripId: 'NB1', routeId: '117N', directionId: 1 },
+  stopTimeUpdate: [{ stopId: '35247', stopSequence: 2, arrival: { time: helpers.nowSeconds() + 600, delay: 60 } }]
+} };
+
+// Serve the trip updates feed with a header this many seconds old
+function serveTripUpdates(ageSeconds) {
+  helpers.serveRtdFeeds();
+  helpers.mockUpstream('TripUpdate.pb', () => helpers.response(
+    helpers.encodeFeed([PREDICTION], helpers.nowSeconds() - ageSeconds)
+  ));
+}
+
+beforeEach(async () => {
+  if (!http) http = await helpers.listen(server.app);
+  helpers.resetUpstream();
+  helpers.resetFeeds(server.feedCache);
+});
+
+after(async () => {
+  await http.close();
+  fs.rmSync(path.dirname(gtfsPath), { recursive: true, force: true });
+});
+
+test('a feed is stale when it is missing, or its header or last fetch is too old', () => {
+  const now = Date.now();
+  const state = { feed: {}, headerTimestamp: Math.floor(now / 1000) - 60, checkedAt: now - 10000 };
+
+  assert.strictEqual(server.isFeedStale(null), true);
+  assert.strictEqual(server.isFeedStale({ feed: null }), true);
+  assert.strictEqual(server.isFeedStale(state), false);
+  assert.strictEqual(server.isFeedStale({ ...state, headerTimestamp: Math.floor(now / 1000) - 301 }), true);
+  assert.strictEqual(server.isFeedStale({ ...state, checkedAt: now - 301000 }), true);
+});
+
+test('/health reports each feed with its age, entity count and errors', async () => {
+  serveTripUpdates(20);
+  await server.refreshFeed('tripUpdates');
+  await server.refreshFeed('vehiclePositions');
+  await server.refreshFeed('alerts');
+
+  const res = await helpers.request(`${http.url}/health`);
+  const tripUpdates = res.body.feeds.tripUpdates;
+
+  assert.strictEqual(res.body.status, 'ok');
+  assert.strictEqual(res.body.feedStaleAfterSeconds, 300);
+  assert.strictEqual(tripUpdates.status, 'ok');
+  assert.strictEqual(tripUpdates.entityCount, 1);
+  assert.ok(tripUpdates.feedAgeSeconds >= 20 && tripUpdates.feedAgeSeconds < 30);
+  assert.strictEqual(tripUpdates.fetchErrors, 0);
+  assert.strictEqual(tripUpdates.decodeErrors, 0);
+  assert.ok(tripUpdates.lastSuccessfulFetch);
+});
+
+test('/health is degraded by a frozen feed and counts decode errors', async () => {
+  serveTripUpdates(1000);
+  await server.refreshFeed('tripUpdates');
+  await server.refreshFeed('vehiclePositions');
+  await server.refreshFeed('alerts');
+
+  helpers.mockUpstream('VehiclePosition.pb', () => helpers.response(Buffer.from('not protobuf')));
+  await assert.rejects(server.refreshFeed('vehiclePositions'));
+
+  const res = await helpers.request(`${http.url}/health`);
+
+  assert.strictEqual(res.body.status, 'degraded');
+  assert.strictEqual(res.body.feeds.tripUpdates.status, 'stale');
+  // The last snapshot that decoded is still served
+  assert.strictEqual(res.body.feeds.vehiclePositions.status, 'ok');
+  assert.strictEqual(res.body.feeds.vehiclePositions.decodeErrors, 1);
+  assert.match(res.body.feeds.vehiclePositions.lastError, /could not be decoded/);
+});
+
+test('stop arrivals from a stale feed are flagged when there is no schedule', async () => {
+  serveTripUpdates(1000);
+
+  const res = await helpers.request(`${http.url}/api/rtd/arrivals/35247`);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.realtime, false);
+  assert.strictEqual(res.body.degraded, true);
+  assert.strictEqual(res.body.arrivalSource, 'realtime');
+  assert.strictEqual(res.body.arrivals.length, 1);
+  assert.strictEqual(res.body.arrivals[0].tripId, 'NB1');
+  assert.strictEqual(res.body.arrivals[0].realtime, false);
+});
+
+test('stop arrivals from a fresh feed are real-time', async () => {
+  await server.loadGtfsSchedule();
+  serveTripUpdates(20);
+
+  const res = await helpers.request(`${http.url}/api/rtd/arrivals/35247`);
+
+  assert.strictEqual(res.body.realtime, true);
+  assert.strictEqual(res.body.degraded, false);
+  assert.strictEqual(res.body.arrivalSource, 'realtime');
+  assert.deepStrictEqual(res.body.arrivals.map(arrival => arrival.tripId), ['NB1']);
+  assert.strictEqual(res.body.arrivals[0].realtime, true);
+});
+
+test('stop arrivals fall back to the schedule when the feed is stale', async () => {
+  serveTripUpdates(1000);
+
+  const res = await helpers.request(`${http.url}/api/rtd/arrivals/35247`);
+
+  assert.strictEqual(res.body.realtime, false);
+  assert.strictEqual(res.body.degraded, true);
+  assert.strictEqual(res.body.arrivalSource, 'schedule');
+  assert.strictEqual(res.body.arrivals.length, 1);
+
+  const arrival = res.body.arrivals[0];
+  assert.strictEqual(arrival.tripId, 'N-OUT-1');
+  assert.strictEqual(arrival.status, 'scheduled');
+  assert.strictEqual(arrival.delaySeconds, null);
+  assert.strictEqual(arrival.realtime, false);
+  assert.ok(Math.abs(arrival.minutesUntil - 30) <= 1);
+});
+
+test('stop arrivals fall back to the schedule when RTD is down', async () => {
+  helpers.mockUpstream('TripUpdate.pb', () => helpers.response('<html>down</html>', 502, { 'content-type': 'text/html' }));
+
+  const res = await helpers.request(`${http.url}/api/rtd/arrivals/35247`);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.arrivalSource, 'schedule');
+  assert.strictEqual(res.body.snapshotAgeSeconds, null);
+  assert.deepStrictEqual(res.body.arrivals.map(arrival => arrival.tripId), ['N-OUT-1']);
+});
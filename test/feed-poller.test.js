@@ -0,0 +1,91 @@
+'use strict';
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+const server = helpers.loadServer();
+const { feedCache, getFeed, refreshFeed } = server;
+
+const TRIP = {
+  id: 'a',
+  tripUpdate: {
+    trip: { tripId: 'T1', routeId: '117N', directionId: 1 },
+    stopTimeUpdate: [{ stopId: '34668', stopSequence: 1, arrival: { time: helpers.nowSeconds() + 300 } }]
+  }
+};
+
+let http;
+
+beforeEach(() => {
+  helpers.resetUpstream();
+  helpers.resetFeeds(feedCache);
+});
+
+after(async () => {
+  if (http) await http.close();
+});
+
+test('concurrent readers share one upstream fetch and one decode', async () => {
+  helpers.serveRtdFeeds({ tripUpdates: [TRIP] });
+
+  const [first, second] = await Promise.all([getFeed('tripUpdates'), getFeed('tripUpdates')]);
+
+  assert.strictEqual(first, second);
+  assert.strictEqual(first.feed.entity.length, 1);
+  assert.strictEqual(helpers.upstreamRequests.length, 1);
+});
+
+test('reads within the max age come from the cached snapshot', async () => {
+  helpers.serveRtdFeeds({ tripUpdates: [TRIP] });
+
+  await getFeed('tripUpdates');
+  await getFeed('tripUpdates');
+
+  assert.strictEqual(helpers.upstreamRequests.length, 1);
+});
+
+test('refreshes send the validators and keep the snapshot on a 304', async () => {
+  helpers.mockUpstream('TripUpdate.pb', (url, options) => {
+    if (options.headers['If-None-Match'] === '"v1"') return helpers.response(null, 304);
+    return helpers.response(helpers.encodeFeed([TRIP]), 200, {
+      etag: '"v1"',
+      'last-modified': 'Mon, 19 Oct 2026 12:00:00 GMT'
+    });
+  });
+
+  const state = await refreshFeed('tripUpdates');
+  const decoded = state.feed;
+  await refreshFeed('tripUpdates');
+
+  assert.deepStrictEqual(helpers.upstreamRequests[1].headers, {
+    'If-None-Match': '"v1"',
+    'If-Modified-Since': 'Mon, 19 Oct 2026 12:00:00 GMT'
+  });
+  assert.strictEqual(state.feed, decoded);
+  assert.strictEqual(state.lastError, null);
+});
+
+test('an undecodable snapshot leaves the last good one in place', async () => {
+  helpers.serveRtdFeeds({ tripUpdates: [TRIP] });
+  const state = await refreshFeed('tripUpdates');
+  const decoded = state.feed;
+
+  helpers.mockUpstream('TripUpdate.pb', () => helpers.response(Buffer.from([0xff, 0xff, 0xff])));
+  await assert.rejects(refreshFeed('tripUpdates'), { code: 'DECODE_ERROR' });
+
+  assert.strictEqual(state.feed, decoded);
+  assert.strictEqual(state.decodeErrors, 1);
+  assert.strictEqual(await getFeed('tripUpdates'), state);
+});
+
+test('arrival responses report the snapshot age', async () => {
+  helpers.serveRtdFeeds({ tripUpdates: [TRIP] });
+  http = await helpers.listen(server.app);
+
+  const res = await helpers.request(`${http.url}/api/rtd/arrivals`);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.snapshotAgeSeconds, 0);
+  assert.strictEqual(res.body.arrivals.length, 1);
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const helpers = require('./helpers');
+
+const recordDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rtd-recordings-'));
+const server = helpers.loadServer({
+  RTD_FEED_MODE: 'replay',
+  RTD_FEED_RECORD_DIR: recordDir,
+  RTD_FEED_RECORD_RETENTION_HOURS: '72',
+  RTD_FEED_RECORD_MAX_FILES: '3'
+});
+
+// Two recorded mornings' worth of snapshots, an hour apart
+const first = (helpers.nowSeconds() - 7200) * 1000;
+const second = first + 3600 * 1000;
+
+let http;
+
+function record(name, fetchedAtMs, entities) {
+  fs.mkdirSync(path.join(recordDir, name), { recursive: true });
+  fs.writeFileSync(path.join(recordDir, name, `${fetchedAtMs}.pb`), helpers.encodeFeed(entities, fetchedAtMs / 1000 - 10));
+}
+
+function arrivingIn(tripId, fetchedAtMs, minutes) {
+  return [{ id: tripId, tripUpdate: {
+    trip: { tripId, routeId: '117N', directionId: 1 },
+    stopTimeUpdate: [{ stopId: '35247', stopSequence: 2, arrival: { time: fetchedAtMs / 1000 + minutes * 60, delay: 0 } }]
+  } }];
+}
+
+function seek(at) {
+  return helpers.request(`${http.url}/api/rtd/replay?at=${at}`, { method: 'POST' });
+}
+
+before(async () => {
+  record('tripUpdates', first, arrivingIn('EARLY', first, 10));
+  record('tripUpdates', second, arrivingIn('LATER', second, 20));
+  record('vehiclePositions', first, []);
+  record('alerts', first, []);
+
+  // Replay never calls RTD
+  helpers.mockUpstream('rtd-denver.com', () => {
+    throw new Error('replay mode fetched from RTD');
+  });
+  http = await helpers.listen(server.app);
+});
+
+after(async () => {
+  await http.close();
+  fs.rmSync(recordDir, { recursive: true, force: true });
+});
+
+test('seeking shifts "now" and serves the snapshot recorded at that time', async () => {
+  const res = await seek(new Date(first + 60 * 1000).toISOString());
+  assert.strictEqual(res.status, 200);
+  assert.ok(Math.abs(Date.parse(res.body.now) - (first + 60 * 1000)) < 5000);
+
+  const arrivals = await helpers.request(`${http.url}/api/rtd/arrivals/35247`);
+  assert.strictEqual(arrivals.status, 200);
+  assert.strictEqual(arrivals.body.realtime, true);
+  assert.ok(Math.abs(arrivals.body.timestamp - (first + 60 * 1000)) < 5000);
+  assert.deepStrictEqual(arrivals.body.arrivals.map(arrival => arrival.tripId), ['EARLY']);
+  assert.strictEqual(arrivals.body.arrivals[0].minutesUntil, 9);
+
+  assert.strictEqual(helpers.upstreamRequests.length, 0);
+});
+
+test('a later seek moves on to the next recording', async () => {
+  await seek(Math.floor(second / 1000) + 120);
+
+  const arrivals = await helpers.request(`${http.url}/api/rtd/arrivals/35247`);
+  assert.deepStrictEqual(arrivals.body.arrivals.map(arrival => arrival.tripId), ['LATER']);
+  assert.strictEqual(arrivals.body.arrivals[0].minutesUntil, 18);
+});
+
+test('the replay status lists the recordings and the current one', async () => {
+  const res = await helpers.request(`${http.url}/api/rtd/replay`);
+
+  assert.strictEqual(res.body.mode, 'replay');
+  assert.strictEqual(res.body.speed, 1);
+  assert.strictEqual(res.body.recordDir, recordDir);
+  assert.deepStrictEqual(res.body.recordings.tripUpdates, {
+    count: 2,
+    first: new Date(first).toISOString(),
+    last: new Date(second).toISOString(),
+    current: new Date(second).toISOString()
+  });
+  assert.strictEqual(res.body.recordings.vehiclePositions.current, new Date(first).toISOString());
+});
+
+test('seeking needs a time', async () => {
+  const res = await seek('whenever');
+  assert.strictEqual(res.status, 400);
+});
+
+test('pruning drops recordings past the retention window, then the oldest over the cap', async () => {
+  const hour = 3600 * 1000;
+  const expired = Date.now() - 100 * hour;
+  [expired, first - 3 * hour, first - 2 * hour, first - hour].forEach(time => record('alerts', time, []));
+
+  await server.pruneFeedRecordings();
+
+  const remaining = name => fs.readdirSync(path.join(recordDir, name)).map(file => parseInt(file)).sort((a, b) => a - b);
+  assert.deepStrictEqual(remaining('alerts'), [first - 2 * hour, first - hour, first]);
+  assert.deepStrictEqual(remaining('tripUpdates'), [first, second]);
+});
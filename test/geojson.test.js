@@ -0,0 +1,91 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const helpers = require('./helpers');
+
+const gtfsPath = helpers.writeGtfsZip();
+const server = helpers.loadServer({ GTFS_STATIC_PATH: gtfsPath });
+
+const now = helpers.nowSeconds();
+
+let http;
+
+before(async () => {
+  helpers.serveRtdFeeds({
+    vehiclePositions: [
+      { id: '1', vehicle: { trip: { tripId: 'T1', routeId: '117N', directionId: 1 }, vehicle: { id: '4012', label: '4012' },
+        position: { latitude: 39.77, longitude: -104.98, bearing: 10, speed: 20 }, currentStatus: 1, timestamp: now - 15,
+        occupancyStatus: 2 } },
+      { id: '2', vehicle: { trip: { tripId: 'G1', routeId: '113G' }, vehicle: { id: '500' },
+        position: { latitude: 39.8, longitude: -105.05 }, timestamp: now - 5 } },
+      { id: '3', vehicle: { trip: { tripId: 'B1', routeId: '113B' }, vehicle: { id: 'no-fix' }, timestamp: now } }
+    ]
+  });
+  http = await helpers.listen(server.app);
+});
+
+after(async () => {
+  await http.close();
+  fs.rmSync(path.dirname(gtfsPath), { recursive: true, force: true });
+});
+
+test('vehicle positions come back as a FeatureCollection of points', async () => {
+  const res = await helpers.request(`${http.url}/api/rtd/vehicle-positions.geojson`);
+
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^application\/geo\+json/);
+
+  const collection = res.body;
+  assert.strictEqual(collection.type, 'FeatureCollection');
+  assert.deepStrictEqual(collection.features.map(feature => feature.id), ['500', '4012']);
+
+  const train = collection.features[1];
+  assert.deepStrictEqual(train.geometry.type, 'Point');
+  assert.deepStrictEqual(train.geometry.coordinates.map(value => value.toFixed(2)), ['-104.98', '39.77']);
+  assert.strictEqual(train.properties.route, 'N Line');
+  assert.strictEqual(train.properties.bearing, 10);
+  assert.strictEqual(train.properties.currentStatus, 'STOPPED_AT');
+  assert.strictEqual(train.properties.occupancyStatus, 'FEW_SEATS_AVAILABLE');
+  assert.strictEqual(collection.metadata.vehicleCount, 2);
+});
+
+test('unset occupancy is null in GeoJSON and in the JSON payload', async () => {
+  const geojson = (await helpers.request(`${http.url}/api/rtd/vehicle-positions?format=geojson`)).body;
+  const json = await helpers.request(`${http.url}/api/rtd/vehicle-positions`);
+
+  assert.strictEqual(geojson.features[0].properties.occupancyStatus, null);
+  assert.strictEqual(json.body.vehicles.find(vehicle => vehicle.id === '500').occupancyStatus, null);
+  assert.strictEqual(json.body.vehicles.find(vehicle => vehicle.id === '500').congestionLevel, null);
+});
+
+test('route shapes need the static schedule', async () => {
+  const res = await helpers.request(`${http.url}/api/rtd/routes.geojson`);
+  assert.strictEqual(res.status, 503);
+});
+
+test('stops and route shapes come from the static schedule', async () => {
+  await server.loadGtfsSchedule();
+
+  const stops = (await helpers.request(`${http.url}/api/rtd/stops.geojson?routes=117N`)).body;
+  assert.deepStrictEqual(stops.features.map(feature => feature.id).sort(), ['34668', '35246', '35247', '35249']);
+  assert.deepStrictEqual(stops.features.find(feature => feature.id === '35247').geometry.coordinates, [-104.98, 39.768]);
+  assert.strictEqual(stops.features.find(feature => feature.id === '34668').properties.parentStation, 'S-UNION');
+
+  const routes = (await helpers.request(`${http.url}/api/rtd/routes.geojson`)).body;
+  assert.deepStrictEqual(routes.features, [{
+    type: 'Feature',
+    id: '117N:SHP-OUT',
+    geometry: { type: 'LineString', coordinates: [[-105.0003, 39.7531], [-104.98, 39.768]] },
+    properties: {
+      routeId: '117N',
+      shapeId: 'SHP-OUT',
+      name: 'N Line',
+      color: '#9F26B5',
+      directionId: 1,
+      direction: 'Northbound'
+    }
+  }]);
+});
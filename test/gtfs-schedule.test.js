@@ -0,0 +1,75 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const helpers = require('./helpers');
+
+const gtfsPath = helpers.writeGtfsZip();
+const server = helpers.loadServer({ GTFS_STATIC_PATH: gtfsPath });
+
+after(() => fs.rmSync(path.dirname(gtfsPath), { recursive: true, force: true }));
+
+test('parseCsvLine handles quoted commas and doubled quotes', () => {
+  assert.deepStrictEqual(
+    server.parseCsvLine('a,"b, c","say ""hi""",'),
+    ['a', 'b, c', 'say "hi"', '']
+  );
+});
+
+test('parseGtfsTime allows times past midnight', () => {
+  assert.strictEqual(server.parseGtfsTime('08:07:30'), 29250);
+  assert.strictEqual(server.parseGtfsTime('25:10:00'), 90600);
+  assert.strictEqual(server.parseGtfsTime(''), null);
+});
+
+test('buildGtfsSchedule reads stops, routes, trips, stop times and shapes', async () => {
+  const schedule = await server.buildGtfsSchedule(new AdmZip(helpers.gtfsZip()));
+
+  assert.strictEqual(schedule.stops.get('35247').name, '38th & Blake Northbound');
+  assert.strictEqual(schedule.stops.get('35247').latitude, 39.768);
+  assert.deepStrictEqual(schedule.stops.get('S-UNION').platforms, ['34668']);
+  assert.strictEqual(schedule.routes.get('117N').longName, 'Union Station, Eastlake');
+  assert.strictEqual(schedule.routes.get('117N').color, '#9F26B5');
+
+  assert.deepStrictEqual(
+    schedule.stopTimes.get('N-OUT-1').map(time => time.stopId),
+    ['34668', '35247', '35249']
+  );
+  assert.deepStrictEqual(Array.from(schedule.stops.get('34668').routes), ['117N']);
+  assert.deepStrictEqual(schedule.shapes.get('SHP-OUT'), [[-105.0003, 39.7531], [-104.98, 39.768]]);
+});
+
+test('buildGtfsSchedule copes with CRLF line endings, a BOM and stored entries', async () => {
+  const schedule = await server.buildGtfsSchedule(new AdmZip(helpers.gtfsZip(undefined, {
+    crlf: true,
+    bom: true,
+    stored: true
+  })));
+
+  assert.strictEqual(schedule.stops.get('34668').name, 'Union Station Track 1');
+  assert.strictEqual(schedule.stops.get('34668').parentStation, 'S-UNION');
+  assert.strictEqual(schedule.trips.get('N-IN-1').headsign, 'Union Station');
+});
+
+test('buildGtfsSchedule rejects a zip without the required files', async () => {
+  const files = { ...helpers.SAMPLE_GTFS };
+  delete files['stop_times.txt'];
+
+  await assert.rejects(
+    server.buildGtfsSchedule(new AdmZip(helpers.gtfsZip(files))),
+    /missing stop_times.txt/
+  );
+});
+
+test('a loaded schedule replaces the built-in stop tables', async () => {
+  assert.strictEqual(server.getStopInfo('35247').name, '38th & Blake');
+
+  await server.loadGtfsSchedule();
+
+  assert.deepStrictEqual(server.getStopInfo('35247'), { name: '38th & Blake Northbound', direction: 'northbound' });
+  assert.strictEqual(server.getStopInfo('22367').name, '16th St Mall & Stout');
+  assert.strictEqual(server.getStopInfo('99999'), null);
+});
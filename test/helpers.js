@@ -0,0 +1,238 @@
+'use strict';
+
+// Shared setup for the test files. Requiring this swaps node-fetch for a fake
+// that answers RTD and TransitLand requests from handlers registered with
+// mockUpstream(), so it has to be required before ../server.js.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const AdmZip = require('adm-zip');
+const realFetch = require('node-fetch');
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+// URL substring -> handler(url, options) returning a Response
+const upstreamHandlers = new Map();
+// Every request a handler answered, oldest first
+const upstreamRequests = [];
+
+function fakeFetch(url, options = {}) {
+  const target = String(url);
+
+  for (const [match, handler] of upstreamHandlers) {
+    if (target.includes(match)) {
+      upstreamRequests.push({ url: target, headers: options.headers || {} });
+      return Promise.resolve().then(() => handler(target, options));
+    }
+  }
+
+  return realFetch(url, options);
+}
+
+Object.assign(fakeFetch, realFetch);
+require.cache[require.resolve('node-fetch')].exports = fakeFetch;
+
+// The server logs every request to stdout, which the test runner also uses to
+// report results; keep it quiet unless asked (stderr is left alone)
+if (!process.env.TEST_SERVER_LOGS) {
+  console.log = () => {};
+}
+
+function mockUpstream(match, handler) {
+  upstreamHandlers.set(match, handler);
+}
+
+function resetUpstream() {
+  upstreamHandlers.clear();
+  upstreamRequests.length = 0;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Encoded FeedMessage with the given entities (plain objects, as fromObject takes them)
+function encodeFeed(entities, timestamp = nowSeconds()) {
+  return Buffer.from(FeedMessage.encode(FeedMessage.fromObject({
+    header: { gtfsRealtimeVersion: '2.0', timestamp: timestamp },
+    entity: entities
+  })).finish());
+}
+
+// Decoded FeedMessage, as the server holds it after a poll
+function decodeFeed(entities, timestamp) {
+  return FeedMessage.decode(encodeFeed(entities, timestamp));
+}
+
+function response(body, status = 200, headers = {}) {
+  return new realFetch.Response(body, { status, headers });
+}
+
+function jsonResponse(value, status = 200) {
+  return response(JSON.stringify(value), status, { 'content-type': 'application/json' });
+}
+
+// Serve RTD's three GTFS-RT feeds. Each value is an entity array, or a
+// function returning one so a test can change the feed between polls.
+function serveRtdFeeds({ tripUpdates = [], vehiclePositions = [], alerts = [] } = {}) {
+  const serve = entities => () => response(encodeFeed(typeof entities === 'function' ? entities() : entities));
+  mockUpstream('TripUpdate.pb', serve(tripUpdates));
+  mockUpstream('VehiclePosition.pb', serve(vehiclePositions));
+  mockUpstream('Alerts.pb', serve(alerts));
+}
+
+// Forget every decoded snapshot so the next read fetches again
+function resetFeeds(feedCache) {
+  Object.values(feedCache).forEach(state => {
+    Object.assign(state, {
+      feed: null, raw: null, fetchedAt: null, checkedAt: null, etag: null, lastModified: null,
+      lastError: null, lastErrorAt: null, headerTimestamp: null, entityCount: 0
+    });
+  });
+}
+
+// A small N Line / Mall schedule: Union Station has a parent station, 38th &
+// Blake has one platform per direction, and the inbound trip runs past midnight
+const SAMPLE_GTFS = {
+  'stops.txt': [
+    ['stop_id', 'stop_name', 'stop_lat', 'stop_lon', 'location_type', 'parent_station'],
+    ['S-UNION', 'Union Station', '39.7530', '-105.0002', '1', ''],
+    ['34668', 'Union Station Track 1', '39.7531', '-105.0003', '0', 'S-UNION'],
+    ['35247', '38th & Blake Northbound', '39.7680', '-104.9800', '0', ''],
+    ['35246', '38th & Blake Southbound', '39.7681', '-104.9801', '0', ''],
+    ['35249', '40th & Colorado Northbound', '39.7760', '-104.9420', '0', ''],
+    ['22367', '16th St Mall & Stout', '39.7460', '-104.9920', '0', '']
+  ],
+  'routes.txt': [
+    ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type', 'route_color'],
+    ['117N', 'RTD', 'N', 'Union Station, Eastlake', '2', '9F26B5'],
+    ['MALL', 'RTD', 'MALL', '16th Street Mall', '3', '']
+  ],
+  'trips.txt': [
+    ['route_id', 'service_id', 'trip_id', 'direction_id', 'trip_headsign', 'shape_id'],
+    ['117N', 'DAILY', 'N-OUT-1', '1', 'Eastlake', 'SHP-OUT'],
+    ['117N', 'DAILY', 'N-IN-1', '0', 'Union Station', ''],
+    ['MALL', 'DAILY', 'MALL-1', '0', 'Civic Center', '']
+  ],
+  'stop_times.txt': [
+    ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence'],
+    ['N-OUT-1', '08:12:00', '08:12:00', '35249', '3'],
+    ['N-OUT-1', '08:00:00', '08:00:00', '34668', '1'],
+    ['N-OUT-1', '08:07:00', '08:07:30', '35247', '2'],
+    ['N-IN-1', '24:50:00', '24:50:00', '35246', '1'],
+    ['N-IN-1', '25:10:00', '25:10:00', '34668', '2'],
+    ['MALL-1', '08:00:00', '08:00:00', '22367', '1']
+  ],
+  'calendar.txt': [
+    ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date'],
+    ['DAILY', '1', '1', '1', '1', '1', '1', '1', '20200101', '20991231']
+  ],
+  'shapes.txt': [
+    ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence'],
+    ['SHP-OUT', '39.7680', '-104.9800', '2'],
+    ['SHP-OUT', '39.7531', '-105.0003', '1']
+  ]
+};
+
+function csvField(value) {
+  return /[",]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// Zip of GTFS files given as row arrays. `crlf` and `bom` mimic files saved
+// on Windows; `stored` skips compression.
+function gtfsZip(files = SAMPLE_GTFS, { crlf = false, bom = false, stored = false } = {}) {
+  const zip = new AdmZip();
+
+  Object.entries(files).forEach(([name, rows]) => {
+    const text = rows.map(row => row.map(csvField).join(',')).join(crlf ? '\r\n' : '\n');
+    zip.addFile(name, Buffer.from((bom ? '\uFEFF' : '') + text + (crlf ? '\r\n' : '\n')));
+    if (stored) zip.getEntry(name).header.method = 0;
+  });
+
+  return zip.toBuffer();
+}
+
+// Write a GTFS zip to a temp file for GTFS_STATIC_PATH
+function writeGtfsZip(files, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rtd-gtfs-'));
+  const file = path.join(dir, 'gtfs.zip');
+  fs.writeFileSync(file, gtfsZip(files, options));
+  return file;
+}
+
+// Apply env overrides, then load the server module (once per test file)
+function loadServer(env = {}) {
+  Object.assign(process.env, { UPSTREAM_MAX_RETRIES: '0' }, env);
+  return require('../server');
+}
+
+// Listen on a free port; resolves to { url, server, close }
+async function listen(app) {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  return {
+    server: server,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Call the test server; `body` is parsed JSON when the response is JSON
+async function request(url, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  let body = options.body;
+
+  if (body !== undefined && typeof body !== 'string' && !Buffer.isBuffer(body)) {
+    body = JSON.stringify(body);
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const res = await realFetch(url, { method: options.method || 'GET', headers, body });
+  const text = await res.text();
+  let parsed = text;
+  if ((res.headers.get('content-type') || '').includes('json')) {
+    parsed = text ? JSON.parse(text) : null;
+  }
+
+  return { status: res.status, headers: res.headers, body: parsed };
+}
+
+// Register a planner account on the test server. `call(method, path, body)`
+// sends a request under /api/planner with the token as a bearer header.
+async function plannerAccount(url) {
+  const res = await request(`${url}/api/planner/register`, { method: 'POST', body: {} });
+  const token = res.body.token;
+
+  return {
+    token: token,
+    call: (method, path, body, headers = {}) => request(`${url}/api/planner${path}`, {
+      method: method,
+      headers: { Authorization: `Bearer ${token}`, ...headers },
+      body: body
+    })
+  };
+}
+
+module.exports = {
+  upstreamRequests,
+  mockUpstream,
+  resetUpstream,
+  nowSeconds,
+  encodeFeed,
+  decodeFeed,
+  response,
+  jsonResponse,
+  serveRtdFeeds,
+  resetFeeds,
+  SAMPLE_GTFS,
+  gtfsZip,
+  writeGtfsZip,
+  loadServer,
+  listen,
+  request,
+  plannerAccount
+};
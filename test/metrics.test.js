@@ -0,0 +1,133 @@
+'use strict';
+
+// The planner sync counters need a scratch Postgres database in DATABASE_URL;
+// that test is skipped without one.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+const server = helpers.loadServer();
+const hasDatabase = Boolean(process.env.DATABASE_URL);
+
+const now = helpers.nowSeconds();
+const VEHICLES = [
+  { id: 'v1', vehicle: { trip: { tripId: 'NB1', routeId: '117N', directionId: 1 }, vehicle: { id: '4012' },
+    position: { latitude: 39.75, longitude: -104.98 }, timestamp: now - 5 } },
+  { id: 'v2', vehicle: { trip: { tripId: 'SB1', routeId: '117N', directionId: 0 }, vehicle: { id: '4020' },
+    position: { latitude: 39.5, longitude: -104.98 }, timestamp: now - 5 } },
+  { id: 'v3', vehicle: { trip: { tripId: 'G1', routeId: '113G' }, vehicle: { id: '500' },
+    position: { latitude: 39.75, longitude: -105.05 }, timestamp: now - 5 } }
+];
+
+let http;
+let plannerToken = null;
+
+// Samples from the Prometheus text format as { name, labels, value }
+function parseMetrics(text) {
+  return text.split('\n').filter(line => line && !line.startsWith('#')).map(line => {
+    const [, name, labelText = '', value] = /^(\w+)(?:\{(.*)\})? (\S+)$/.exec(line);
+    const labels = {};
+    labelText.replace(/(\w+)="((?:[^"\\]|\\.)*)"/g, (match, key, labelValue) => {
+      labels[key] = labelValue;
+    });
+    return { name, labels, value: Number(value) };
+  });
+}
+
+async function scrape() {
+  const res = await helpers.request(`${http.url}/metrics`);
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain/);
+  return parseMetrics(res.body);
+}
+
+// Value of the one sample with this name whose labels include `labels`
+function sample(samples, name, labels = {}) {
+  const matches = samples.filter(entry => entry.name === name &&
+    Object.entries(labels).every(([key, value]) => entry.labels[key] === value));
+  assert.strictEqual(matches.length, 1, `one ${name} sample for ${JSON.stringify(labels)}`);
+  return matches[0].value;
+}
+
+before(async () => {
+  helpers.serveRtdFeeds({ vehiclePositions: VEHICLES });
+  http = await helpers.listen(server.app);
+  if (hasDatabase) await server.initDatabase();
+});
+
+after(async () => {
+  await http.close();
+  if (hasDatabase) {
+    if (plannerToken) {
+      await server.pool.query('DELETE FROM planner_users WHERE token_hash = $1', [server.hashToken(plannerToken)]);
+    }
+    await server.pool.end();
+  }
+});
+
+test('request counts and latency are labelled with the route pattern', async () => {
+  await helpers.request(`${http.url}/api/rtd/arrivals/34668`);
+  await helpers.request(`${http.url}/api/rtd/arrivals/35247`);
+  await helpers.request(`${http.url}/no/such/path`);
+
+  const samples = await scrape();
+
+  assert.strictEqual(sample(samples, 'http_requests_total',
+    { method: 'GET', route: '/api/rtd/arrivals/:stopId', status: '200' }), 2);
+  assert.strictEqual(sample(samples, 'http_requests_total',
+    { method: 'GET', route: 'unmatched', status: '404' }), 1);
+  assert.strictEqual(sample(samples, 'http_request_duration_seconds_count',
+    { method: 'GET', route: '/api/rtd/arrivals/:stopId' }), 2);
+  assert.ok(!samples.some(entry => entry.labels.route === '/api/rtd/arrivals/34668'));
+});
+
+test('feed entities, active vehicles per route and the pool are reported', async () => {
+  await server.refreshFeed('vehiclePositions');
+
+  const samples = await scrape();
+
+  assert.strictEqual(sample(samples, 'gtfs_rt_feed_entities', { feed: 'vehiclePositions' }), 3);
+  assert.strictEqual(sample(samples, 'gtfs_rt_feed_stale', { feed: 'vehiclePositions' }), 0);
+  assert.ok(sample(samples, 'gtfs_rt_feed_age_seconds', { feed: 'vehiclePositions' }) < 30);
+  assert.strictEqual(sample(samples, 'rtd_active_vehicles', { route: '117N' }), 2);
+  assert.strictEqual(sample(samples, 'rtd_active_vehicles', { route: '113G' }), 1);
+  assert.ok(sample(samples, 'pg_pool_clients', { state: 'total' }) >= 0);
+  assert.ok(sample(samples, 'upstream_request_duration_seconds_count',
+    { upstream: 'rtd', target: 'vehiclePositions' }) >= 1);
+});
+
+test('upstream and feed failures are counted', async () => {
+  helpers.mockUpstream('Alerts.pb', () => helpers.response('error', 500));
+  await assert.rejects(server.refreshFeed('alerts'));
+
+  helpers.mockUpstream('Alerts.pb', () => helpers.response(Buffer.from('not protobuf')));
+  await assert.rejects(server.refreshFeed('alerts'));
+
+  const samples = await scrape();
+
+  assert.strictEqual(sample(samples, 'upstream_request_failures_total',
+    { upstream: 'rtd', target: 'alerts', code: 'HTTP_STATUS' }), 1);
+  assert.strictEqual(sample(samples, 'gtfs_rt_feed_errors_total', { feed: 'alerts', type: 'fetch' }), 1);
+  assert.strictEqual(sample(samples, 'gtfs_rt_feed_errors_total', { feed: 'alerts', type: 'decode' }), 1);
+  // The last good snapshot from the arrivals requests is still served
+  assert.strictEqual(sample(samples, 'gtfs_rt_feed_stale', { feed: 'alerts' }), 0);
+  assert.strictEqual(sample(samples, 'upstream_circuit_open', { upstream: 'rtd' }), 0);
+});
+
+test('planner syncs count requests and tasks written', { skip: !hasDatabase }, async () => {
+  const register = await helpers.request(`${http.url}/api/planner/register`, { method: 'POST', body: {} });
+  plannerToken = register.body.token;
+  const auth = { Authorization: `Bearer ${plannerToken}` };
+
+  await helpers.request(`${http.url}/api/planner/tasks/me`, {
+    method: 'POST',
+    headers: auth,
+    body: { tasks: [{ id: 1, title: 'Ride the N Line' }, { id: 2, title: 'Buy a pass' }] }
+  });
+
+  const samples = await scrape();
+
+  assert.strictEqual(sample(samples, 'planner_sync_writes_total', { kind: 'tasks' }), 1);
+  assert.strictEqual(sample(samples, 'planner_tasks_written_total'), 2);
+});
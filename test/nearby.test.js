@@ -0,0 +1,93 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const helpers = require('./helpers');
+
+const gtfsPath = helpers.writeGtfsZip();
+const server = helpers.loadServer({ GTFS_STATIC_PATH: gtfsPath });
+
+const now = helpers.nowSeconds();
+
+let http;
+
+before(async () => {
+  helpers.serveRtdFeeds({
+    tripUpdates: [
+      { id: 'nb', tripUpdate: { trip: { tripId: 'NB1', routeId: '117N', directionId: 1 }, stopTimeUpdate: [
+        { stopId: '35247', stopSequence: 2, arrival: { time: now + 600 } }
+      ] } },
+      { id: 'sb', tripUpdate: { trip: { tripId: 'SB1', routeId: '117N', directionId: 0 }, stopTimeUpdate: [
+        { stopId: '35246', stopSequence: 1, arrival: { time: now + 300 } }
+      ] } }
+    ]
+  });
+  http = await helpers.listen(server.app);
+});
+
+after(async () => {
+  await http.close();
+  fs.rmSync(path.dirname(gtfsPath), { recursive: true, force: true });
+});
+
+function nearby(query) {
+  return helpers.request(`${http.url}/api/rtd/nearby?${query}`);
+}
+
+test('distanceMeters is the great-circle distance', () => {
+  assert.strictEqual(Math.round(server.distanceMeters(39.768, -104.98, 39.768, -104.98)), 0);
+  // 38th & Blake to Union Station is a little over 2 km
+  assert.strictEqual(Math.round(server.distanceMeters(39.768, -104.98, 39.7531, -105.0003) / 100), 24);
+});
+
+test('nearby search needs the static schedule for coordinates', async () => {
+  const res = await nearby('lat=39.768&lon=-104.98');
+
+  assert.strictEqual(res.status, 503);
+  assert.match(res.body.error, /GTFS_STATIC_URL or GTFS_STATIC_PATH/);
+});
+
+test('stations are merged across platforms and sorted by distance', async () => {
+  await server.loadGtfsSchedule();
+
+  const res = await nearby('lat=39.768&lon=-104.98&radius=3000');
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.stops.map(station => [station.name, station.stopIds.sort()]), [
+    ['38th & Blake', ['35246', '35247']],
+    ['Union Station', ['34668']],
+    ['16th St Mall & Stout', ['22367']]
+  ]);
+  assert.deepStrictEqual(res.body.stops[0].routes, ['117N']);
+  assert.deepStrictEqual(res.body.stops[0].modes, ['rail']);
+  assert.strictEqual(res.body.stops[0].distanceMeters, 0);
+});
+
+test('radius and limit narrow the results, and limit is at least one', async () => {
+  assert.strictEqual((await nearby('lat=39.768&lon=-104.98&radius=500')).body.count, 1);
+  assert.strictEqual((await nearby('lat=39.768&lon=-104.98&radius=3000&limit=2')).body.count, 2);
+  assert.strictEqual((await nearby('lat=39.768&lon=-104.98&radius=3000&limit=-1')).body.count, 1);
+  // A negative radius is clamped to one meter, not passed through
+  const negative = await nearby('lat=39.768&lon=-104.98&radius=-5');
+  assert.strictEqual(negative.status, 200);
+  assert.strictEqual(negative.body.radiusMeters, 1);
+});
+
+test('arrivals=N adds the next arrivals across the station platforms', async () => {
+  const res = await nearby('lat=39.768&lon=-104.98&radius=500&arrivals=5');
+
+  assert.deepStrictEqual(res.body.stops[0].arrivals.map(arrival => [arrival.stopId, arrival.tripId]), [
+    ['35246', 'SB1'],
+    ['35247', 'NB1']
+  ]);
+
+  const none = await nearby('lat=39.768&lon=-104.98&radius=500&arrivals=-2');
+  assert.strictEqual(none.body.stops[0].arrivals, undefined);
+});
+
+test('lat and lon are required', async () => {
+  assert.strictEqual((await nearby('lat=39.7')).status, 400);
+  assert.strictEqual((await nearby('lat=91&lon=0')).status, 400);
+});
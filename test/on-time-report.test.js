@@ -0,0 +1,174 @@
+'use strict';
+
+// The recorder and report tests need a scratch Postgres database in
+// DATABASE_URL and are skipped without one.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+// A route of our own keeps the test rows apart from anything else in the table
+const routeId = `T${process.pid}`;
+const server = helpers.loadServer({ ARRIVAL_LOG_ROUTE_IDS: routeId });
+const hasDatabase = Boolean(process.env.DATABASE_URL);
+
+// 08:00 in Denver (MDT) on 2026-10-19; the recorder tests write two hours later,
+// outside the report window
+const morning = Date.UTC(2026, 9, 19, 14) / 1000;
+const later = morning + 7200;
+
+let http;
+
+function arrival(tripId, stopId, actualArrival, delaySeconds) {
+  return server.pool.query(
+    `INSERT INTO observed_arrivals
+       (service_date, trip_id, route_id, direction_id, stop_id, actual_arrival, actual_departure, delay_seconds, source)
+     VALUES ('20261019', $1, $2, 1, $3, $4, $4, $5, 'vehicle')`,
+    [tripId, routeId, stopId, actualArrival, delaySeconds]
+  );
+}
+
+function report(query) {
+  return helpers.request(`${http.url}/api/rtd/reports/on-time?route=${routeId}&from=${morning - 60}&to=${morning + 3600}${query || ''}`);
+}
+
+before(async () => {
+  http = await helpers.listen(server.app);
+
+  if (hasDatabase) {
+    await server.initDatabase();
+    await arrival('R1', '35247', morning, 30);
+    await arrival('R2', '35247', morning + 900, 400);
+    await arrival('R3', '35247', morning + 1800, -10);
+    await arrival('R1', 'X-UNKNOWN', morning + 60, null);
+  }
+});
+
+after(async () => {
+  await http.close();
+  if (hasDatabase) {
+    await server.pool.query('DELETE FROM observed_arrivals WHERE route_id = $1', [routeId]);
+    await server.pool.end();
+  }
+});
+
+test('toCsv quotes commas, quotes and newlines and ends rows with CRLF', () => {
+  const csv = server.toCsv(['stopId', 'stopName', 'hour'], [
+    { stopId: '35247', stopName: '38th & Blake', hour: 8 },
+    { stopId: 'X', stopName: 'Main, "North"\nside', hour: null }
+  ]);
+
+  assert.strictEqual(csv,
+    'stopId,stopName,hour\r\n' +
+    '35247,38th & Blake,8\r\n' +
+    'X,"Main, ""North""\nside",\r\n');
+});
+
+test('percent rounds to one decimal and is null without a whole', () => {
+  assert.strictEqual(server.percent(2, 3), 66.7);
+  assert.strictEqual(server.percent(0, 4), 0);
+  assert.strictEqual(server.percent(0, 0), null);
+});
+
+test('on-time reports need a database', { skip: hasDatabase }, async () => {
+  const res = await report();
+  assert.strictEqual(res.status, 503);
+});
+
+test('a vehicle that stood at a stop and moved on is written as observed', { skip: !hasDatabase }, async () => {
+  const tripId = `VEH-${process.pid}`;
+  const vehicleId = `veh-${process.pid}`;
+  const position = (time, currentStatus) => ({
+    feed: helpers.decodeFeed([{ id: 'v', vehicle: {
+      trip: { tripId, routeId, directionId: 1, startDate: '20261019' },
+      vehicle: { id: vehicleId },
+      position: { latitude: 39.75, longitude: -104.98 },
+      stopId: '35247',
+      currentStopSequence: 2,
+      currentStatus,
+      timestamp: time
+    } }], time)
+  });
+
+  server.observeVehiclePositions(position(later + 100, 1));
+  server.observeVehiclePositions(position(later + 130, 1));
+  await server.flushObservedArrivals(later + 130);
+
+  // Still standing there: nothing is written yet
+  let rows = await server.pool.query('SELECT * FROM observed_arrivals WHERE trip_id = $1', [tripId]);
+  assert.strictEqual(rows.rows.length, 0);
+
+  server.observeVehiclePositions(position(later + 160, 2));
+  await server.flushObservedArrivals(later + 160);
+
+  rows = await server.pool.query('SELECT * FROM observed_arrivals WHERE trip_id = $1', [tripId]);
+  assert.strictEqual(rows.rows.length, 1);
+  assert.strictEqual(rows.rows[0].stop_id, '35247');
+  assert.strictEqual(rows.rows[0].source, 'vehicle');
+  assert.strictEqual(Number(rows.rows[0].actual_arrival), later + 100);
+  assert.strictEqual(Number(rows.rows[0].actual_departure), later + 130);
+});
+
+test('a prediction that has passed is written as the actual time', { skip: !hasDatabase }, async () => {
+  const tripId = `PRED-${process.pid}`;
+  const now = later + 600;
+
+  server.observeTripUpdates({ feed: helpers.decodeFeed([{ id: 't', tripUpdate: {
+    trip: { tripId, routeId, directionId: 1, startDate: '20261019' },
+    stopTimeUpdate: [
+      { stopId: '34668', stopSequence: 1, departure: { time: now - 120, delay: 60 } },
+      { stopId: '35247', stopSequence: 2, arrival: { time: now + 300, delay: 60 } }
+    ]
+  } }], now) });
+  await server.flushObservedArrivals(now);
+
+  const rows = await server.pool.query('SELECT * FROM observed_arrivals WHERE trip_id = $1', [tripId]);
+  assert.strictEqual(rows.rows.length, 1);
+  assert.strictEqual(rows.rows[0].stop_id, '34668');
+  assert.strictEqual(rows.rows[0].source, 'prediction');
+  assert.strictEqual(Number(rows.rows[0].actual_arrival), now - 120);
+});
+
+test('the report groups by stop and hour with on-time share, delay and headways', { skip: !hasDatabase }, async () => {
+  const res = await report('&stop=35247,X-UNKNOWN');
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.route, routeId);
+  assert.deepStrictEqual(res.body.stops, ['35247', 'X-UNKNOWN']);
+
+  const blake = res.body.byStop.find(stop => stop.stopId === '35247');
+  assert.strictEqual(blake.stopName, '38th & Blake');
+  assert.deepStrictEqual(blake.hours, [{
+    hour: 8,
+    observations: 3,
+    onTimePercent: 66.7,
+    averageDelaySeconds: 140,
+    averageHeadwaySeconds: 900,
+    minHeadwaySeconds: 900,
+    maxHeadwaySeconds: 900
+  }]);
+
+  // Stops missing from the stop tables fall back to their id; no schedule means no on-time share
+  const unknown = res.body.byStop.find(stop => stop.stopId === 'X-UNKNOWN');
+  assert.strictEqual(unknown.stopName, 'X-UNKNOWN');
+  assert.strictEqual(unknown.hours[0].onTimePercent, null);
+  assert.strictEqual(unknown.hours[0].averageDelaySeconds, null);
+
+  assert.deepStrictEqual(res.body.summary, { observations: 4, onTimePercent: 66.7, averageDelaySeconds: 140 });
+});
+
+test('the report is available as CSV', { skip: !hasDatabase }, async () => {
+  const res = await helpers.request(`${http.url}/api/rtd/reports/on-time.csv?route=${routeId}&stop=35247&from=${morning - 60}&to=${morning + 3600}`);
+
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/csv/);
+  assert.strictEqual(res.headers.get('content-disposition'), `attachment; filename="on-time-${routeId}.csv"`);
+  assert.strictEqual(res.body,
+    'stopId,stopName,hour,observations,onTimePercent,averageDelaySeconds,averageHeadwaySeconds,minHeadwaySeconds,maxHeadwaySeconds\r\n' +
+    '35247,38th & Blake,8,3,66.7,140,900,900,900\r\n');
+});
+
+test('the report rejects a range that ends before it starts', { skip: !hasDatabase }, async () => {
+  const res = await helpers.request(`${http.url}/api/rtd/reports/on-time?route=${routeId}&from=${morning}&to=${morning - 60}`);
+  assert.strictEqual(res.status, 400);
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fetch = require('node-fetch');
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const helpers = require('./helpers');
+
+const server = helpers.loadServer();
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+const now = helpers.nowSeconds();
+const headerTime = now - 20;
+
+const TRIPS = [
+  { id: 'nb', tripUpdate: { trip: { tripId: 'NB1', routeId: '117N', directionId: 1 }, vehicle: { id: '4012' }, stopTimeUpdate: [
+    { stopId: '34668', stopSequence: 1, departure: { time: now + 120, delay: 0, uncertainty: 30 } },
+    { stopId: '35247', stopSequence: 2, arrival: { time: now + 720, delay: 60 } }
+  ] } },
+  { id: 'sb', tripUpdate: { trip: { tripId: 'SB1', routeId: '117N', directionId: 0 }, stopTimeUpdate: [
+    { stopId: '35246', stopSequence: 6, arrival: { time: now + 300 } }
+  ] } },
+  { id: 'mall', tripUpdate: { trip: { tripId: 'MALL1', routeId: 'MALL' }, stopTimeUpdate: [
+    { stopId: '22367', arrival: { time: now + 200 } }
+  ] } },
+  { id: 'other', tripUpdate: { trip: { tripId: 'X1', routeId: 'X99' }, stopTimeUpdate: [
+    { stopId: '34668', arrival: { time: now + 200 } }
+  ] } }
+];
+
+const VEHICLES = [
+  { id: 'v-nb', vehicle: { trip: { tripId: 'NB1', routeId: '117N', directionId: 1 }, vehicle: { id: '4012', label: 'N 4012' },
+    position: { latitude: 39.75, longitude: -104.98 }, stopId: '34668', currentStatus: 2, timestamp: now - 10, occupancyStatus: 1 } },
+  { id: 'v-sb', vehicle: { trip: { tripId: 'SB1', routeId: '117N', directionId: 0 }, vehicle: { id: '4020' },
+    position: { latitude: 39.5, longitude: -104.98 }, stopId: '35246', currentStatus: 1, timestamp: now - 10 } },
+  { id: 'v-mall', vehicle: { trip: { tripId: 'MALL1', routeId: 'MALL' }, vehicle: { id: 'bus9' },
+    position: { latitude: 39.75, longitude: -104.99 }, stopId: '22367', timestamp: now - 10 } },
+  { id: 'v-other', vehicle: { trip: { tripId: 'X1', routeId: 'X99' }, vehicle: { id: '77' },
+    position: { latitude: 39.75, longitude: -104.99 }, timestamp: now - 10 } }
+];
+
+let http;
+
+async function protobuf(path) {
+  const res = await fetch(`${http.url}${path}`);
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^application\/x-protobuf/);
+  return FeedMessage.decode(await res.buffer());
+}
+
+before(async () => {
+  helpers.mockUpstream('TripUpdate.pb', () => helpers.response(helpers.encodeFeed(TRIPS, headerTime)));
+  helpers.mockUpstream('VehiclePosition.pb', () => helpers.response(helpers.encodeFeed(VEHICLES, headerTime)));
+  http = await helpers.listen(server.app);
+});
+
+after(async () => {
+  await http.close();
+});
+
+test('the protobuf feed keeps registry routes and the upstream header', async () => {
+  const feed = await protobuf('/api/rtd/feeds/trip-updates.pb');
+
+  assert.deepStrictEqual(feed.entity.map(entity => entity.id), ['nb', 'sb', 'mall']);
+  assert.strictEqual(Number(feed.header.timestamp), headerTime);
+  assert.strictEqual(feed.header.gtfsRealtimeVersion, '2.0');
+});
+
+test('trip updates can be narrowed to routes and stops', async () => {
+  const byRoute = await protobuf('/api/rtd/feeds/trip-updates.pb?routes=MALL,X99');
+  assert.deepStrictEqual(byRoute.entity.map(entity => entity.id), ['mall', 'other']);
+
+  const byStop = await protobuf('/api/rtd/feeds/trip-updates.pb?routes=117N&stops=35247');
+  assert.deepStrictEqual(byStop.entity.map(entity => entity.id), ['nb']);
+  // Entities are passed through untouched, every stop update included
+  assert.strictEqual(byStop.entity[0].tripUpdate.stopTimeUpdate.length, 2);
+  assert.strictEqual(byStop.entity[0].tripUpdate.stopTimeUpdate[0].departure.uncertainty, 30);
+});
+
+test('vehicles match a stop they are at or a trip that calls there', async () => {
+  const feed = await protobuf('/api/rtd/feeds/vehicle-positions.pb?stops=35247,22367');
+
+  // NB1 calls at 35247 later on; the Mall bus is at 22367
+  assert.deepStrictEqual(feed.entity.map(entity => entity.id), ['v-nb', 'v-mall']);
+});
+
+test('the JSON form is protobuf JSON', async () => {
+  const res = await helpers.request(`${http.url}/api/rtd/feeds/vehicle-positions.json?routes=117N`);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('last-modified'), new Date(headerTime * 1000).toUTCString());
+  assert.ok(Number(res.headers.get('x-feed-age-seconds')) >= 20);
+
+  assert.strictEqual(res.body.header.timestamp, String(headerTime));
+  assert.deepStrictEqual(res.body.entity.map(entity => entity.id), ['v-nb', 'v-sb']);
+  assert.deepStrictEqual(res.body.entity[0].vehicle, {
+    trip: { tripId: 'NB1', routeId: '117N', directionId: 1 },
+    vehicle: { id: '4012', label: 'N 4012' },
+    position: { latitude: 39.75, longitude: -104.98000335693359 },
+    stopId: '34668',
+    currentStatus: 'IN_TRANSIT_TO',
+    timestamp: String(now - 10),
+    occupancyStatus: 'MANY_SEATS_AVAILABLE'
+  });
+});
+
+test('unknown feeds and formats are a 404 listing the feeds', async () => {
+  for (const path of ['/api/rtd/feeds/alerts.pb', '/api/rtd/feeds/trip-updates.xml']) {
+    const res = await helpers.request(`${http.url}${path}`);
+    assert.strictEqual(res.status, 404);
+    assert.deepStrictEqual(res.body.feeds, [
+      'trip-updates.pb', 'trip-updates.json', 'vehicle-positions.pb', 'vehicle-positions.json'
+    ]);
+  }
+});
+
+// Field 1000 varint 7: a stand-in for an agency extension protobufjs doesn't know
+const EXTENSION = Buffer.from([0xc0, 0x3e, 0x07]);
+
+function lengthDelimited(fieldNumber, bytes) {
+  return Buffer.concat([Buffer.from([(fieldNumber << 3) | 2, bytes.length]), bytes]);
+}
+
+test('the protobuf feed keeps unknown fields and extensions byte for byte', async () => {
+  const { FeedEntity } = GtfsRealtimeBindings.transit_realtime;
+  const entity = Buffer.concat([Buffer.from(FeedEntity.encode(FeedEntity.fromObject(TRIPS[0])).finish()), EXTENSION]);
+  const dropped = Buffer.from(FeedEntity.encode(FeedEntity.fromObject(TRIPS[3])).finish());
+  const raw = Buffer.concat([helpers.encodeFeed([], headerTime), lengthDelimited(2, entity), lengthDelimited(2, dropped), EXTENSION]);
+
+  helpers.resetFeeds(server.feedCache);
+  helpers.mockUpstream('TripUpdate.pb', () => helpers.response(raw));
+
+  const res = await fetch(`${http.url}/api/rtd/feeds/trip-updates.pb`);
+  const body = await res.buffer();
+
+  assert.deepStrictEqual(body, Buffer.concat([helpers.encodeFeed([], headerTime), lengthDelimited(2, entity), EXTENSION]));
+  assert.deepStrictEqual(FeedMessage.decode(body).entity.map(entity => entity.id), ['nb']);
+});
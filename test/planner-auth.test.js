@@ -0,0 +1,201 @@
+'use strict';
+
+// The account tests need a scratch Postgres database in DATABASE_URL and are
+// skipped without one.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const helpers = require('./helpers');
+
+const server = helpers.loadServer({
+  TRUST_PROXY_HOPS: '1',
+  PLANNER_LOGIN_IP_MAX_FAILURES: '4',
+  PLANNER_LOGIN_TOKEN_MAX_FAILURES: '2'
+});
+const hasDatabase = Boolean(process.env.DATABASE_URL);
+
+let http;
+// Every token that may own an account row, for cleanup
+const tokens = [];
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Each test gets its own client address through X-Forwarded-For
+function from(ip, headers = {}) {
+  return { 'X-Forwarded-For': ip, ...headers };
+}
+
+function login(ip, token) {
+  return helpers.request(`${http.url}/api/planner/login`, {
+    method: 'POST',
+    headers: from(ip, token ? { Authorization: `Bearer ${token}` } : {}),
+    body: {}
+  });
+}
+
+async function register() {
+  const res = await helpers.request(`${http.url}/api/planner/register`, { method: 'POST', headers: from('198.51.100.1'), body: {} });
+  assert.strictEqual(res.status, 200);
+  tokens.push(res.body.token);
+  return res.body.token;
+}
+
+before(async () => {
+  http = await helpers.listen(server.app);
+  if (hasDatabase) await server.initDatabase();
+});
+
+after(async () => {
+  await http.close();
+  if (hasDatabase) {
+    await server.pool.query('DELETE FROM planner_users WHERE token_hash = ANY($1)', [tokens.map(server.hashToken)]);
+    await server.pool.end();
+  }
+});
+
+test('tokens are 256-bit random secrets', () => {
+  const token = server.generateToken();
+
+  assert.match(token, /^plan_[A-Za-z0-9_-]{43}$/);
+  assert.notStrictEqual(server.generateToken(), token);
+});
+
+test('tokens are stored as SHA-256 digests, legacy ones case-insensitively', () => {
+  const digest = value => crypto.createHash('sha256').update(value).digest('hex');
+
+  assert.strictEqual(server.hashToken('plan_abc'), digest('plan_abc'));
+  assert.notStrictEqual(server.hashToken('PLAN_ABC'), server.hashToken('plan_abc'));
+  assert.strictEqual(server.hashToken('plan-ab12cd'), digest('PLAN-AB12CD'));
+});
+
+test('the attempt limiter locks a key out after too many hits', async () => {
+  const limiter = server.createAttemptLimiter(3, 50, 200);
+
+  limiter.hit('a');
+  limiter.hit('a');
+  assert.strictEqual(limiter.lockedFor('a'), 0);
+
+  limiter.hit('a');
+  assert.ok(limiter.lockedFor('a') > 150);
+  assert.strictEqual(limiter.lockedFor('b'), 0);
+
+  // The window has passed but the lockout has not
+  await wait(60);
+  limiter.hit('a');
+  assert.ok(limiter.lockedFor('a') > 0);
+
+  limiter.reset('a');
+  assert.strictEqual(limiter.lockedFor('a'), 0);
+});
+
+test('the attempt limiter starts a new window once the old one has passed', async () => {
+  const limiter = server.createAttemptLimiter(2, 50, 200);
+
+  limiter.hit('a');
+  await wait(60);
+  limiter.hit('a');
+  assert.strictEqual(limiter.lockedFor('a'), 0);
+
+  limiter.hit('a');
+  assert.ok(limiter.lockedFor('a') > 0);
+});
+
+test('registering stores only the token digest', { skip: !hasDatabase }, async () => {
+  const token = await register();
+
+  assert.match(token, /^plan_/);
+  const rows = await server.pool.query(
+    'SELECT token, token_hash, legacy_token FROM planner_users WHERE token_hash = $1',
+    [server.hashToken(token)]
+  );
+  assert.strictEqual(rows.rows.length, 1);
+  assert.match(rows.rows[0].token, /^ACCT-/);
+  assert.strictEqual(rows.rows[0].legacy_token, false);
+});
+
+test('planner routes take the token as a bearer header, not in the path', { skip: !hasDatabase }, async () => {
+  const token = await register();
+  const tasks = (path, headers = {}) => helpers.request(`${http.url}/api/planner/tasks/${path}`, { headers: from('198.51.100.2', headers) });
+
+  assert.strictEqual((await tasks('me')).status, 401);
+  assert.strictEqual((await tasks('me', { Authorization: `Bearer ${token}` })).status, 200);
+  // Path tokens are off unless PLANNER_PATH_TOKENS_ENABLED=true
+  assert.strictEqual((await tasks(token)).status, 401);
+
+  const res = await login('198.51.100.2', token);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.legacyToken, false);
+
+  const missing = await login('198.51.100.2');
+  assert.strictEqual(missing.status, 400);
+});
+
+test('repeated failures for one token lock it out from any address', { skip: !hasDatabase }, async () => {
+  const guess = server.generateToken();
+
+  assert.strictEqual((await login('198.51.100.10', guess)).status, 401);
+  assert.strictEqual((await login('198.51.100.11', guess)).status, 401);
+
+  const locked = await login('198.51.100.12', guess);
+  assert.strictEqual(locked.status, 429);
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+  assert.strictEqual(locked.body.retryAfterSeconds, Number(locked.headers.get('retry-after')));
+});
+
+test('successful logins never count towards a lockout', { skip: !hasDatabase }, async () => {
+  const token = await register();
+
+  for (let i = 0; i < 6; i++) {
+    assert.strictEqual((await login('198.51.100.20', token)).status, 200);
+  }
+});
+
+test('repeated failures from one address lock that address out', { skip: !hasDatabase }, async () => {
+  const token = await register();
+
+  for (let i = 0; i < 4; i++) {
+    assert.strictEqual((await login('198.51.100.30', server.generateToken())).status, 401);
+  }
+
+  // Even the right token is refused from there, on login and the other routes
+  assert.strictEqual((await login('198.51.100.30', token)).status, 429);
+  const tasks = await helpers.request(`${http.url}/api/planner/tasks/me`, {
+    headers: from('198.51.100.30', { Authorization: `Bearer ${token}` })
+  });
+  assert.strictEqual(tasks.status, 429);
+
+  // Other addresses are unaffected
+  assert.strictEqual((await login('198.51.100.31', token)).status, 200);
+});
+
+test('legacy PLAN- tokens are migrated, keep working and can be rotated', { skip: !hasDatabase }, async () => {
+  const legacy = 'PLAN-' + crypto.randomBytes(3).toString('hex').toUpperCase();
+  tokens.push(legacy);
+  await server.pool.query('INSERT INTO planner_users (token) VALUES ($1)', [legacy]);
+
+  await server.initDatabase();
+
+  const row = await server.pool.query('SELECT token, legacy_token FROM planner_users WHERE token_hash = $1', [server.hashToken(legacy)]);
+  assert.match(row.rows[0].token, /^ACCT-/);
+  assert.strictEqual(row.rows[0].legacy_token, true);
+
+  const res = await login('198.51.100.40', legacy.toLowerCase());
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.token, legacy);
+  assert.strictEqual(res.body.legacyToken, true);
+  assert.match(res.body.message, /Rotate it/);
+
+  const rotated = await helpers.request(`${http.url}/api/planner/rotate/me`, {
+    method: 'POST',
+    headers: from('198.51.100.40', { Authorization: `Bearer ${legacy}` }),
+    body: {}
+  });
+  assert.strictEqual(rotated.status, 200);
+  tokens.push(rotated.body.token);
+
+  assert.strictEqual((await login('198.51.100.41', legacy)).status, 401);
+  const fresh = await login('198.51.100.41', rotated.body.token);
+  assert.strictEqual(fresh.status, 200);
+  assert.strictEqual(fresh.body.legacyToken, false);
+});
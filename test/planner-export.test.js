@@ -0,0 +1,179 @@
+'use strict';
+
+// The account tests need a scratch Postgres database in DATABASE_URL and are
+// skipped without one.
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const fetch = require('node-fetch');
+const helpers = require('./helpers');
+
+const server = helpers.loadServer();
+const hasDatabase = Boolean(process.env.DATABASE_URL);
+
+let http;
+let account;
+const tokens = [];
+
+function archive(fields) {
+  return { format: 'ultimate-planner-export', version: 1, tasks: [], settings: null, stats: null, ...fields };
+}
+
+async function seed() {
+  await account.call('POST', '/tasks/me/push', { tasks: [{ id: 1, title: 'Ride the N Line', tags: ['rail'] }, { id: 2, title: 'Buy a pass' }] });
+  await account.call('POST', '/settings/me', { settings: { theme: 'dark' } });
+  await account.call('POST', '/stats/me', { stats: { streak: 4 } });
+}
+
+async function liveTasks() {
+  const res = await account.call('GET', '/tasks/me');
+  return res.body.tasks.map(task => [task.id, task.title]).sort((a, b) => a[0] - b[0]);
+}
+
+before(async () => {
+  http = await helpers.listen(server.app);
+  if (hasDatabase) await server.initDatabase();
+});
+
+beforeEach(async () => {
+  if (!hasDatabase) return;
+  account = await helpers.plannerAccount(http.url);
+  tokens.push(account.token);
+});
+
+after(async () => {
+  await http.close();
+  if (hasDatabase) {
+    await server.pool.query('DELETE FROM planner_users WHERE token_hash = ANY($1)', [tokens.map(server.hashToken)]);
+    await server.pool.end();
+  }
+});
+
+test('canonicalJson sorts object keys at every level', () => {
+  assert.strictEqual(server.canonicalJson({ b: 1, a: { d: [2, { z: 1, y: 2 }], c: null } }), '{"a":{"c":null,"d":[2,{"y":2,"z":1}]},"b":1}');
+  assert.strictEqual(server.canonicalJson({ a: 1, b: 2 }), server.canonicalJson({ b: 2, a: 1 }));
+  assert.strictEqual(server.canonicalJson(undefined), 'null');
+});
+
+test('archives are checked for format, version and task ids', () => {
+  assert.strictEqual(server.validatePlannerArchive(archive({ tasks: [{ id: 1 }] })), null);
+  assert.match(server.validatePlannerArchive({ tasks: [] }), /Not a planner export/);
+  assert.match(server.validatePlannerArchive(null), /Not a planner export/);
+  assert.match(server.validatePlannerArchive(archive({ version: 2 })), /Unsupported export version 2/);
+  assert.match(server.validatePlannerArchive(archive({ version: '1' })), /Unsupported export version/);
+  assert.match(server.validatePlannerArchive(archive({ tasks: {} })), /integer ids/);
+  assert.match(server.validatePlannerArchive(archive({ tasks: [{ id: '1e3' }] })), /integer ids/);
+  assert.match(server.validatePlannerArchive(archive({ tasks: [{ id: 1 }, { id: '1' }] })), /duplicate ids/);
+});
+
+test('the export holds tasks, settings, stats and metadata', { skip: !hasDatabase }, async () => {
+  await seed();
+
+  const res = await account.call('GET', '/export/me');
+
+  assert.strictEqual(res.status, 200);
+  assert.match(res.headers.get('content-disposition'), /^attachment; filename="planner-export-\d{4}-\d{2}-\d{2}\.json"$/);
+  assert.strictEqual(res.body.format, 'ultimate-planner-export');
+  assert.strictEqual(res.body.version, 1);
+  assert.ok(Date.parse(res.body.exportedAt));
+  assert.strictEqual(res.body.account.taskCount, 2);
+  assert.deepStrictEqual(res.body.tasks, [{ id: 1, title: 'Ride the N Line', tags: ['rail'] }, { id: 2, title: 'Buy a pass' }]);
+  assert.deepStrictEqual(res.body.settings, { theme: 'dark' });
+  assert.deepStrictEqual(res.body.stats, { streak: 4 });
+});
+
+test('the export can be gzipped and imported back gzipped', { skip: !hasDatabase }, async () => {
+  await seed();
+
+  const res = await fetch(`${http.url}/api/planner/export/me?gzip=true`, { headers: { Authorization: `Bearer ${account.token}` } });
+  assert.strictEqual(res.headers.get('content-type'), 'application/gzip');
+  assert.match(res.headers.get('content-disposition'), /\.json\.gz"$/);
+  const compressed = await res.buffer();
+  const exported = JSON.parse(zlib.gunzipSync(compressed));
+  assert.strictEqual(exported.tasks.length, 2);
+
+  // Into a fresh account
+  const other = await helpers.plannerAccount(http.url);
+  tokens.push(other.token);
+  const imported = await other.call('POST', '/import/me', compressed, {
+    'Content-Type': 'application/json',
+    'Content-Encoding': 'gzip'
+  });
+
+  assert.strictEqual(imported.status, 200);
+  assert.deepStrictEqual(imported.body.tasks, { created: 2, updated: 0, unchanged: 0, deleted: 0 });
+  assert.strictEqual(imported.body.settings, 'replaced');
+  assert.deepStrictEqual((await other.call('GET', '/settings/me')).body.settings, { theme: 'dark' });
+});
+
+test('a dry run reports the plan without writing anything', { skip: !hasDatabase }, async () => {
+  await seed();
+
+  const res = await account.call('POST', '/import/me?mode=replace&dryRun=true', archive({
+    tasks: [{ id: 1, tags: ['rail'], title: 'Ride the N Line' }, { id: 3, title: 'New' }],
+    settings: { theme: 'light' }
+  }));
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.dryRun, true);
+  assert.deepStrictEqual(res.body.tasks, { created: 1, updated: 0, unchanged: 1, deleted: 1 });
+  assert.strictEqual(res.body.settings, 'replaced');
+  assert.strictEqual(res.body.stats, 'kept');
+
+  assert.deepStrictEqual(await liveTasks(), [[1, 'Ride the N Line'], [2, 'Buy a pass']]);
+  assert.deepStrictEqual((await account.call('GET', '/settings/me')).body.settings, { theme: 'dark' });
+});
+
+test('merge adds and overwrites tasks but keeps existing settings', { skip: !hasDatabase }, async () => {
+  await seed();
+
+  const res = await account.call('POST', '/import/me', archive({
+    tasks: [{ id: 2, title: 'Buy a monthly pass' }, { id: 3, title: 'New' }],
+    settings: { theme: 'light' }
+  }));
+
+  assert.deepStrictEqual(res.body.tasks, { created: 1, updated: 1, unchanged: 0, deleted: 0 });
+  assert.strictEqual(res.body.settings, 'kept');
+  assert.deepStrictEqual(await liveTasks(), [[1, 'Ride the N Line'], [2, 'Buy a monthly pass'], [3, 'New']]);
+  assert.deepStrictEqual((await account.call('GET', '/settings/me')).body.settings, { theme: 'dark' });
+});
+
+test('replace makes the tasks exactly the archive and trashes the rest', { skip: !hasDatabase }, async () => {
+  await seed();
+
+  const res = await account.call('POST', '/import/me?mode=replace', archive({
+    tasks: [{ id: 3, title: 'Only this' }],
+    settings: { theme: 'light' }
+  }));
+
+  assert.deepStrictEqual(res.body.tasks, { created: 1, updated: 0, unchanged: 0, deleted: 2 });
+  assert.strictEqual(res.body.settings, 'replaced');
+  assert.strictEqual(res.body.stats, 'kept');
+  assert.deepStrictEqual(await liveTasks(), [[3, 'Only this']]);
+  assert.strictEqual((await account.call('GET', '/trash/me')).body.count, 2);
+  assert.deepStrictEqual((await account.call('GET', '/settings/me')).body.settings, { theme: 'light' });
+});
+
+test('bad archives and modes are rejected', { skip: !hasDatabase }, async () => {
+  assert.strictEqual((await account.call('POST', '/import/me?mode=overwrite', archive())).status, 400);
+
+  const res = await account.call('POST', '/import/me', archive({ version: 9 }));
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.error, /Unsupported export version 9/);
+});
+
+test('deleting an account needs a recent export or the confirmation value', { skip: !hasDatabase }, async () => {
+  const refused = await account.call('DELETE', '/account/me');
+  assert.strictEqual(refused.status, 409);
+  assert.strictEqual(refused.body.lastExportAt, null);
+
+  assert.strictEqual((await account.call('DELETE', '/account/me?confirm=yes')).status, 409);
+  assert.strictEqual((await account.call('DELETE', '/account/me', { confirm: 'DELETE' })).status, 200);
+  assert.strictEqual((await account.call('GET', '/tasks/me')).status, 401);
+
+  const exported = await helpers.plannerAccount(http.url);
+  tokens.push(exported.token);
+  await exported.call('GET', '/export/me');
+  assert.strictEqual((await exported.call('DELETE', '/account/me')).status, 200);
+});
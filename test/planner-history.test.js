@@ -0,0 +1,161 @@
+'use strict';
+
+// The history tests need a scratch Postgres database in DATABASE_URL and are
+// skipped without one.
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+const server = helpers.loadServer({ PLANNER_HISTORY_RETENTION_DAYS: '30' });
+const hasDatabase = Boolean(process.env.DATABASE_URL);
+
+let http;
+let account;
+const tokens = [];
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A restore point strictly between the writes before and after it
+async function pointInTime() {
+  await wait(20);
+  const at = new Date().toISOString();
+  await wait(20);
+  return at;
+}
+
+function push(tasks, device = 'phone') {
+  return account.call('POST', '/tasks/me/push', { tasks }, { 'X-Device-Id': device });
+}
+
+async function liveTasks() {
+  const res = await account.call('GET', '/tasks/me');
+  return res.body.tasks.map(task => [task.id, task.title]).sort((a, b) => a[0] - b[0]);
+}
+
+before(async () => {
+  http = await helpers.listen(server.app);
+  if (hasDatabase) await server.initDatabase();
+});
+
+beforeEach(async () => {
+  if (!hasDatabase) return;
+  account = await helpers.plannerAccount(http.url);
+  tokens.push(account.token);
+});
+
+after(async () => {
+  await http.close();
+  if (hasDatabase) {
+    await server.pool.query('DELETE FROM planner_users WHERE token_hash = ANY($1)', [tokens.map(server.hashToken)]);
+    await server.pool.end();
+  }
+});
+
+test('parseRestorePoint takes anything Date can parse', () => {
+  assert.strictEqual(server.parseRestorePoint('2026-10-19T12:00:00Z').toISOString(), '2026-10-19T12:00:00.000Z');
+  assert.strictEqual(server.parseRestorePoint('last tuesday'), null);
+  assert.strictEqual(server.parseRestorePoint(''), null);
+  assert.strictEqual(server.parseRestorePoint(undefined), null);
+});
+
+test('every change to a task is kept, newest first, with the device that made it', { skip: !hasDatabase }, async () => {
+  await push([{ id: 1, title: 'Draft' }], 'phone');
+  await push([{ id: 1, title: 'Final', _version: 1 }], 'laptop');
+  await account.call('DELETE', '/tasks/me/1', undefined, { 'X-Device-Id': 'tablet' });
+
+  const res = await account.call('GET', '/tasks/me/1/history');
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.retentionDays, 30);
+  assert.deepStrictEqual(
+    res.body.revisions.map(revision => [revision.version, revision.task.title, revision.deleted, revision.deviceId]),
+    [[3, 'Final', true, 'tablet'], [2, 'Final', false, 'laptop'], [1, 'Draft', false, 'phone']]
+  );
+});
+
+test('history is limited by ?limit, clamped to at least one', { skip: !hasDatabase }, async () => {
+  await push([{ id: 1, title: 'a' }]);
+  await push([{ id: 1, title: 'b', _version: 1 }]);
+  await push([{ id: 1, title: 'c', _version: 2 }]);
+
+  const one = await account.call('GET', '/tasks/me/1/history?limit=1');
+  assert.deepStrictEqual(one.body.revisions.map(revision => revision.task.title), ['c']);
+
+  const negative = await account.call('GET', '/tasks/me/1/history?limit=-5');
+  assert.strictEqual(negative.body.count, 1);
+
+  const bad = await account.call('GET', '/tasks/me/abc/history');
+  assert.strictEqual(bad.status, 400);
+});
+
+test('one task can be rolled back without touching the others', { skip: !hasDatabase }, async () => {
+  await push([{ id: 1, title: 'Good' }, { id: 2, title: 'Other' }]);
+  const at = await pointInTime();
+  await push([{ id: 1, title: 'Clobbered', _version: 1 }, { id: 2, title: 'Other, edited', _version: 1 }]);
+
+  const res = await account.call('POST', '/tasks/me/1/rollback', { at });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.tasksRestored, 1);
+  assert.strictEqual(res.body.tasksDeleted, 0);
+  assert.strictEqual(res.body.restored, undefined);
+  assert.deepStrictEqual(await liveTasks(), [[1, 'Good'], [2, 'Other, edited']]);
+
+  // The rollback is a new revision that syncs out like any other change
+  const history = await account.call('GET', '/tasks/me/1/history');
+  assert.strictEqual(history.body.revisions[0].version, 3);
+  assert.strictEqual(history.body.revisions[0].task.title, 'Good');
+});
+
+test('the whole account can be rolled back, settings included', { skip: !hasDatabase }, async () => {
+  await push([{ id: 1, title: 'Keep' }, { id: 2, title: 'Deleted by mistake' }]);
+  await account.call('POST', '/settings/me', { settings: { theme: 'dark' } });
+  const at = await pointInTime();
+
+  // A stale device syncs its old list over everything
+  await account.call('POST', '/tasks/me', { tasks: [{ id: 1, title: 'Keep, but stale' }, { id: 3, title: 'Stray' }] });
+  await account.call('POST', '/settings/me', { settings: { theme: 'light' } });
+
+  const res = await account.call('POST', '/rollback/me', { at });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.tasksRestored, 2);
+  assert.strictEqual(res.body.tasksDeleted, 1);
+  assert.deepStrictEqual(res.body.restored, ['settings']);
+  assert.deepStrictEqual(await liveTasks(), [[1, 'Keep'], [2, 'Deleted by mistake']]);
+
+  const settings = await account.call('GET', '/settings/me');
+  assert.deepStrictEqual(settings.body.settings, { theme: 'dark' });
+});
+
+test('rollbacks need a time inside the retention window', { skip: !hasDatabase }, async () => {
+  const missing = await account.call('POST', '/rollback/me', {});
+  assert.strictEqual(missing.status, 400);
+
+  const tooOld = await account.call('POST', '/rollback/me', { at: new Date(Date.now() - 40 * 86400 * 1000).toISOString() });
+  assert.strictEqual(tooOld.status, 400);
+  assert.strictEqual(tooOld.body.retentionDays, 30);
+
+  const badTask = await account.call('POST', '/tasks/me/0x10/rollback', { at: new Date().toISOString() });
+  assert.strictEqual(badTask.status, 400);
+});
+
+test('pruning keeps only the newest revision of each item past the window', { skip: !hasDatabase }, async () => {
+  await push([{ id: 1, title: 'v1' }, { id: 2, title: 'only' }]);
+  await push([{ id: 1, title: 'v2', _version: 1 }]);
+  await push([{ id: 1, title: 'v3', _version: 2 }]);
+
+  await server.pool.query(
+    `UPDATE planner_revisions SET created_at = created_at - INTERVAL '40 days'
+     WHERE user_token = (SELECT token FROM planner_users WHERE token_hash = $1) AND task_id = 1 AND version < 3`,
+    [server.hashToken(account.token)]
+  );
+  await server.pruneRevisions();
+
+  const first = await account.call('GET', '/tasks/me/1/history');
+  assert.deepStrictEqual(first.body.revisions.map(revision => revision.task.title), ['v3', 'v2']);
+
+  const second = await account.call('GET', '/tasks/me/2/history');
+  assert.strictEqual(second.body.count, 1);
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+// The sync tests need a scratch Postgres database in DATABASE_URL and are
+// skipped without one.
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+const server = helpers.loadServer();
+const hasDatabase = Boolean(process.env.DATABASE_URL);
+
+let http;
+let account;
+const tokens = [];
+
+before(async () => {
+  http = await helpers.listen(server.app);
+  if (hasDatabase) await server.initDatabase();
+});
+
+beforeEach(async () => {
+  if (!hasDatabase) return;
+  account = await helpers.plannerAccount(http.url);
+  tokens.push(account.token);
+});
+
+after(async () => {
+  await http.close();
+  if (hasDatabase) {
+    await server.pool.query('DELETE FROM planner_users WHERE token_hash = ANY($1)', [tokens.map(server.hashToken)]);
+    await server.pool.end();
+  }
+});
+
+function push(tasks) {
+  return account.call('POST', '/tasks/me/push', { tasks });
+}
+
+function since(cursor) {
+  return account.call('GET', `/tasks/me${cursor === undefined ? '' : `?since=${cursor}`}`);
+}
+
+test('task ids must be plain safe integers', () => {
+  [1, -4, '17', 1792400000123].forEach(id => assert.strictEqual(server.isValidTaskId(id), true, String(id)));
+  ['1e3', '0x10', '1.5', '', 'abc', null, undefined, '9007199254740993'].forEach(id => {
+    assert.strictEqual(server.isValidTaskId(id), false, String(id));
+  });
+});
+
+test('pushed tasks get server versions and sync bookkeeping is not stored', { skip: !hasDatabase }, async () => {
+  const res = await push([{ id: 1, title: 'Ride the N Line', _syncedAt: 'x' }, { id: 2, title: 'Buy a pass' }]);
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.tasks, [{ id: 1, _version: 1 }, { id: 2, _version: 1 }]);
+  assert.match(res.body.cursor, /^\d+$/);
+
+  const all = await since();
+  assert.strictEqual(all.body.count, 2);
+  assert.strictEqual(all.body.cursor, res.body.cursor);
+  const ride = all.body.tasks.find(task => task.id === 1);
+  assert.strictEqual(ride.title, 'Ride the N Line');
+  assert.strictEqual(ride._version, 1);
+  assert.notStrictEqual(ride._syncedAt, 'x');
+});
+
+test('a delta sync returns only what changed and deleted since the cursor', { skip: !hasDatabase }, async () => {
+  await push([{ id: 1, title: 'One' }, { id: 2, title: 'Two' }, { id: 3, title: 'Three' }]);
+  const { body: { cursor } } = await since();
+
+  await push([{ id: 2, title: 'Two, edited', _version: 1 }, { id: 3, _version: 1, _deleted: true }]);
+
+  const delta = await since(cursor);
+  assert.strictEqual(delta.status, 200);
+  assert.deepStrictEqual(delta.body.tasks.map(task => [task.id, task.title, task._version]), [[2, 'Two, edited', 2]]);
+  assert.strictEqual(delta.body.deleted.length, 1);
+  assert.strictEqual(delta.body.deleted[0].id, 3);
+  assert.strictEqual(delta.body.deleted[0]._deleted, true);
+  assert.strictEqual(delta.body.deleted[0]._version, 2);
+
+  // Caught up: nothing more
+  const empty = await since(delta.body.cursor);
+  assert.deepStrictEqual([empty.body.tasks, empty.body.deleted], [[], []]);
+});
+
+test('a stale write is a 409 with the server copy, and nothing in the push is written', { skip: !hasDatabase }, async () => {
+  await push([{ id: 1, title: 'Original' }, { id: 2, title: 'Other' }]);
+  await push([{ id: 1, title: 'Edited on the phone', _version: 1 }]);
+
+  const res = await push([{ id: 2, title: 'Other, edited', _version: 1 }, { id: 1, title: 'Edited on the laptop', _version: 1 }]);
+
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(res.body.conflicts.length, 1);
+  assert.strictEqual(res.body.conflicts[0].id, 1);
+  assert.strictEqual(res.body.conflicts[0].server.title, 'Edited on the phone');
+  assert.strictEqual(res.body.conflicts[0].server._version, 2);
+
+  const all = await since();
+  assert.strictEqual(all.body.tasks.find(task => task.id === 2).title, 'Other');
+});
+
+test('creating a task that already exists is a conflict too', { skip: !hasDatabase }, async () => {
+  await push([{ id: 5, title: 'From the phone' }]);
+
+  const res = await push([{ id: 5, title: 'From the laptop' }]);
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(res.body.conflicts[0].server.title, 'From the phone');
+});
+
+test('the bulk route only writes tasks that changed and deletes the missing ones', { skip: !hasDatabase }, async () => {
+  const tasks = [{ id: 1, title: 'One' }, { id: 2, title: 'Two' }, { id: 3, title: 'Three' }];
+  const first = await account.call('POST', '/tasks/me', { tasks });
+  assert.strictEqual(first.body.written, 3);
+
+  const second = await account.call('POST', '/tasks/me', { tasks: [tasks[0], { id: 2, title: 'Two, edited' }] });
+  assert.strictEqual(second.body.written, 1);
+  assert.strictEqual(second.body.deleted, 1);
+
+  const delta = await since(first.body.cursor);
+  assert.deepStrictEqual(delta.body.tasks.map(task => task.id), [2]);
+  assert.deepStrictEqual(delta.body.deleted.map(task => task.id), [3]);
+
+  const all = await since();
+  assert.deepStrictEqual(all.body.tasks.map(task => [task.id, task._version]).sort(), [[1, 1], [2, 2]]);
+});
+
+test('deleting one task leaves a tombstone for other devices', { skip: !hasDatabase }, async () => {
+  const pushed = await push([{ id: 7, title: 'Seven' }]);
+
+  const res = await account.call('DELETE', '/tasks/me/7');
+  assert.strictEqual(res.status, 200);
+
+  const delta = await since(pushed.body.cursor);
+  assert.deepStrictEqual(delta.body.deleted.map(task => task.id), [7]);
+});
+
+test('bad cursors and task ids are rejected', { skip: !hasDatabase }, async () => {
+  const { body: { cursor } } = await since();
+
+  assert.strictEqual((await since('abc')).status, 400);
+  const ahead = await since(String(BigInt(cursor) + 10n));
+  assert.strictEqual(ahead.status, 410);
+  assert.strictEqual(ahead.body.resync, true);
+
+  assert.strictEqual((await push([{ id: '1e3', title: 'x' }])).status, 400);
+  assert.strictEqual((await push([{ id: 1 }, { id: '1' }])).status, 400);
+  assert.strictEqual((await push({ id: 1 })).status, 400);
+  assert.strictEqual((await account.call('DELETE', '/tasks/me/0x10')).status, 400);
+});
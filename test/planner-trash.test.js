@@ -0,0 +1,108 @@
+'use strict';
+
+// The trash tests need a scratch Postgres database in DATABASE_URL and are
+// skipped without one.
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+const server = helpers.loadServer({ PLANNER_TRASH_RETENTION_DAYS: '7' });
+const hasDatabase = Boolean(process.env.DATABASE_URL);
+
+let http;
+let account;
+const tokens = [];
+
+before(async () => {
+  http = await helpers.listen(server.app);
+  if (hasDatabase) await server.initDatabase();
+});
+
+beforeEach(async () => {
+  if (!hasDatabase) return;
+  account = await helpers.plannerAccount(http.url);
+  tokens.push(account.token);
+});
+
+after(async () => {
+  await http.close();
+  if (hasDatabase) {
+    await server.pool.query('DELETE FROM planner_users WHERE token_hash = ANY($1)', [tokens.map(server.hashToken)]);
+    await server.pool.end();
+  }
+});
+
+async function deleteTask(id) {
+  const res = await account.call('DELETE', `/tasks/me/${id}`);
+  assert.strictEqual(res.status, 200);
+  return res.body.cursor;
+}
+
+test('deleted tasks wait in the trash with their data', { skip: !hasDatabase }, async () => {
+  await account.call('POST', '/tasks/me/push', { tasks: [{ id: 1, title: 'Keep' }, { id: 2, title: 'Mistake' }] });
+  await deleteTask(2);
+
+  const trash = await account.call('GET', '/trash/me');
+  assert.strictEqual(trash.status, 200);
+  assert.strictEqual(trash.body.retentionDays, 7);
+  assert.strictEqual(trash.body.count, 1);
+
+  const [task] = trash.body.tasks;
+  assert.strictEqual(task.id, 2);
+  assert.strictEqual(task.title, 'Mistake');
+  assert.strictEqual(task._version, 2);
+  assert.strictEqual(Date.parse(task._purgeAt) - Date.parse(task._deletedAt), 7 * 86400 * 1000);
+
+  const live = await account.call('GET', '/tasks/me');
+  assert.deepStrictEqual(live.body.tasks.map(t => t.id), [1]);
+});
+
+test('a restored task syncs back to other devices as a change', { skip: !hasDatabase }, async () => {
+  await account.call('POST', '/tasks/me/push', { tasks: [{ id: 3, title: 'Undo me' }] });
+  const cursor = await deleteTask(3);
+
+  const res = await account.call('POST', '/trash/me/3/restore');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.task.title, 'Undo me');
+  assert.strictEqual(res.body.task._version, 3);
+
+  const delta = await account.call('GET', `/tasks/me?since=${cursor}`);
+  assert.deepStrictEqual(delta.body.tasks.map(t => [t.id, t._version]), [[3, 3]]);
+  assert.deepStrictEqual(delta.body.deleted, []);
+
+  assert.strictEqual((await account.call('GET', '/trash/me')).body.count, 0);
+});
+
+test('only trashed tasks can be restored', { skip: !hasDatabase }, async () => {
+  await account.call('POST', '/tasks/me/push', { tasks: [{ id: 4, title: 'Alive' }] });
+
+  assert.strictEqual((await account.call('POST', '/trash/me/4/restore')).status, 404);
+  assert.strictEqual((await account.call('POST', '/trash/me/99/restore')).status, 404);
+  assert.strictEqual((await account.call('POST', '/trash/me/1e3/restore')).status, 400);
+});
+
+test('tombstones past the retention window are purged and old cursors must resync', { skip: !hasDatabase }, async () => {
+  const pushed = await account.call('POST', '/tasks/me/push', { tasks: [{ id: 5, title: 'Old' }, { id: 6, title: 'Recent' }] });
+  await deleteTask(5);
+  await deleteTask(6);
+
+  await server.pool.query(
+    `UPDATE planner_tasks SET deleted_at = NOW() - INTERVAL '8 days'
+     WHERE id = 5 AND user_token = (SELECT token FROM planner_users WHERE token_hash = $1)`,
+    [server.hashToken(account.token)]
+  );
+  await server.purgeTrash();
+
+  const trash = await account.call('GET', '/trash/me');
+  assert.deepStrictEqual(trash.body.tasks.map(t => t.id), [6]);
+
+  // A device that never saw the purged delete has to start over
+  const stale = await account.call('GET', `/tasks/me?since=${pushed.body.cursor}`);
+  assert.strictEqual(stale.status, 410);
+  assert.strictEqual(stale.body.resync, true);
+
+  const current = await account.call('GET', '/tasks/me');
+  const fresh = await account.call('GET', `/tasks/me?since=${current.body.cursor}`);
+  assert.strictEqual(fresh.status, 200);
+});
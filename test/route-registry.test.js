@@ -0,0 +1,94 @@
+'use strict';
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+const server = helpers.loadServer({
+  ROUTE_REGISTRY: JSON.stringify([
+    { routeId: '117N', name: 'N Line', shortName: 'N', mode: 'rail', color: '#9F26B5',
+      directions: ['Southbound', 'Northbound'], include: ['arrivals', 'vehicles'] },
+    { routeId: 'A', name: 'A Line', mode: 'rail', directions: ['Westbound', 'Eastbound'], include: ['arrivals', 'vehicles'] },
+    { routeId: 'METRO', name: 'MetroRide', include: ['arrivals', 'bus'] },
+    { routeId: 'NO-NAME', include: ['bus'] }
+  ])
+});
+
+const now = helpers.nowSeconds();
+
+let http;
+
+before(async () => {
+  http = await helpers.listen(server.app);
+});
+
+beforeEach(() => {
+  helpers.resetUpstream();
+  helpers.resetFeeds(server.feedCache);
+});
+
+after(() => http.close());
+
+test('the registry comes from config, with defaults filled in and bad entries skipped', async () => {
+  const res = await helpers.request(`${http.url}/api/rtd/routes`);
+
+  assert.strictEqual(res.body.routeCount, 3);
+  assert.deepStrictEqual(res.body.routes.find(route => route.routeId === 'METRO'), {
+    routeId: 'METRO',
+    name: 'MetroRide',
+    shortName: null,
+    mode: 'bus',
+    color: null,
+    textColor: null,
+    directions: ['Outbound', 'Inbound'],
+    include: ['arrivals', 'bus']
+  });
+});
+
+test('lookups use exact route ids', () => {
+  assert.strictEqual(server.getRoute('A').name, 'A Line');
+  assert.strictEqual(server.getRoute('METROX'), undefined);
+  assert.deepStrictEqual(server.registryRouteIds('vehicles'), ['117N', 'A']);
+  assert.deepStrictEqual(server.registryRouteIds('arrivals', 'rail'), ['117N', 'A']);
+  assert.strictEqual(server.routeDirectionName('A', 1), 'Eastbound');
+  assert.strictEqual(server.routeDirectionName('15', 0), null);
+});
+
+test('vehicle positions follow the registry', async () => {
+  helpers.serveRtdFeeds({
+    vehiclePositions: [
+      { id: '1', vehicle: { trip: { tripId: 'A1', routeId: 'A', directionId: 1 }, vehicle: { id: 'a1' },
+        position: { latitude: 39.8, longitude: -104.8 }, timestamp: now } },
+      { id: '2', vehicle: { trip: { tripId: 'G1', routeId: '113G' }, vehicle: { id: 'g1' },
+        position: { latitude: 39.8, longitude: -105.05 }, timestamp: now } }
+    ]
+  });
+
+  const res = await helpers.request(`${http.url}/api/rtd/vehicle-positions`);
+
+  assert.deepStrictEqual(res.body.vehicles.map(vehicle => [vehicle.id, vehicle.route, vehicle.direction]), [
+    ['a1', 'A Line', 'Eastbound']
+  ]);
+  assert.deepStrictEqual(res.body.routeSummary, { '117N': 0, A: 1 });
+});
+
+test('bus arrivals match registered routes exactly, not by substring', async () => {
+  helpers.serveRtdFeeds({
+    tripUpdates: [
+      { id: '1', tripUpdate: { trip: { tripId: 'M1', routeId: 'METRO' }, stopTimeUpdate: [
+        { stopId: '22367', arrival: { time: now + 300 } }
+      ] } },
+      { id: '2', tripUpdate: { trip: { tripId: 'X1', routeId: 'METROX' }, stopTimeUpdate: [
+        { stopId: '22367', arrival: { time: now + 300 } }
+      ] } }
+    ]
+  });
+
+  const res = await helpers.request(`${http.url}/api/rtd/bus/22367`);
+
+  assert.deepStrictEqual(res.body.arrivals.map(arrival => [arrival.tripId, arrival.route]), [['M1', 'MetroRide']]);
+  assert.strictEqual(res.body.route, 'MetroRide');
+
+  const debug = await helpers.request(`${http.url}/api/rtd/debug`);
+  assert.deepStrictEqual(debug.body.busTrips.map(trip => [trip.tripId, trip.route]), [['M1', 'MetroRide']]);
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const helpers = require('./helpers');
+
+const gtfsPath = helpers.writeGtfsZip();
+const server = helpers.loadServer({ GTFS_STATIC_PATH: gtfsPath });
+
+const now = helpers.nowSeconds();
+const ENTITIES = [
+  { id: 'skip', tripUpdate: { trip: { tripId: 'T1', routeId: '117N', directionId: 1 }, stopTimeUpdate: [
+    { stopId: '34668', stopSequence: 1, departure: { time: now + 60 } },
+    { stopId: '35247', stopSequence: 2, scheduleRelationship: 1 },
+    { stopId: '35249', stopSequence: 3, arrival: { time: now + 720 } }
+  ] } },
+  { id: 'cancel', tripUpdate: { trip: { tripId: 'T2', routeId: '117N', directionId: 0, scheduleRelationship: 3 }, stopTimeUpdate: [
+    { stopId: '35246', stopSequence: 1, arrival: { time: now + 300, delay: 120 } }
+  ] } },
+  { id: 'added', tripUpdate: { trip: { tripId: 'T3', routeId: '117N', directionId: 1, scheduleRelationship: 1 }, stopTimeUpdate: [
+    { stopId: '35247', stopSequence: 2, arrival: { time: now + 400 } }
+  ] } }
+];
+
+let http;
+
+before(async () => {
+  await server.loadGtfsSchedule();
+  http = await helpers.listen(server.app);
+});
+
+after(async () => {
+  await http.close();
+  fs.rmSync(path.dirname(gtfsPath), { recursive: true, force: true });
+});
+
+function tripUpdate(id) {
+  return helpers.decodeFeed(ENTITIES).entity.find(entity => entity.id === id).tripUpdate;
+}
+
+test('skipped stops are dropped from a trip', () => {
+  const predictions = server.tripStopPredictions(tripUpdate('skip'));
+
+  assert.deepStrictEqual(predictions.map(prediction => prediction.stopId), ['34668', '35249']);
+  assert.ok(predictions.every(prediction => !prediction.canceled && !prediction.addedService));
+});
+
+test('canceled trips stay listed as canceled, with no delay', () => {
+  const [prediction] = server.tripStopPredictions(tripUpdate('cancel'));
+
+  assert.strictEqual(prediction.canceled, true);
+  assert.strictEqual(prediction.status, 'canceled');
+  assert.strictEqual(prediction.delaySeconds, null);
+  assert.strictEqual(prediction.arrivalTime, now + 300);
+  assert.strictEqual(prediction.scheduleRelationship, 'CANCELED');
+});
+
+test('canceled trips without stop updates are rebuilt from the schedule', () => {
+  const update = helpers.decodeFeed([{ id: 'c', tripUpdate: {
+    trip: { tripId: 'N-OUT-1', routeId: '117N', startDate: '20261019', scheduleRelationship: 3 }
+  } }]).entity[0].tripUpdate;
+
+  const predictions = server.tripStopPredictions(update);
+
+  assert.deepStrictEqual(predictions.map(prediction => prediction.stopId), ['34668', '35247', '35249']);
+  assert.strictEqual(predictions[0].arrivalTime, server.serviceDayStart('20261019') + 8 * 3600);
+  assert.ok(predictions.every(prediction => prediction.status === 'canceled'));
+});
+
+test('DELETED trips count as canceled even though the bindings lack the value', () => {
+  assert.strictEqual(server.isCanceledTrip({ scheduleRelationship: 7 }), true);
+  assert.strictEqual(server.isCanceledTrip({ scheduleRelationship: 0 }), false);
+});
+
+test('added, unscheduled and duplicated trips are extra service', () => {
+  assert.deepStrictEqual([0, 1, 2, 3, 6].map(value => server.isAddedTrip({ scheduleRelationship: value })),
+    [false, true, true, false, true]);
+  assert.strictEqual(server.tripStopPredictions(tripUpdate('added'))[0].addedService, true);
+});
+
+test('arrivals show canceled trips and /api/rtd/debug counts relationships', async () => {
+  helpers.serveRtdFeeds({ tripUpdates: ENTITIES });
+
+  const arrivals = await helpers.request(`${http.url}/api/rtd/arrivals/35246`);
+  assert.strictEqual(arrivals.status, 200);
+  assert.strictEqual(arrivals.body.arrivals[0].canceled, true);
+  assert.strictEqual(arrivals.body.arrivals[0].status, 'canceled');
+
+  const skipped = await helpers.request(`${http.url}/api/rtd/arrivals/35247`);
+  assert.deepStrictEqual(skipped.body.arrivals.map(arrival => arrival.tripId), ['T3']);
+
+  const debug = await helpers.request(`${http.url}/api/rtd/debug`);
+  assert.deepStrictEqual(debug.body.scheduleRelationships, {
+    trips: { SCHEDULED: 1, CANCELED: 1, ADDED: 1 },
+    stopTimeUpdates: { SCHEDULED: 4, SKIPPED: 1 }
+  });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const WebSocket = require('ws');
+const helpers = require('./helpers');
+
+const server = helpers.loadServer();
+
+let arrivalTime = helpers.nowSeconds() + 300;
+const tripUpdates = () => [{ id: 'a', tripUpdate: {
+  trip: { tripId: 'T1', routeId: '117N', directionId: 1 },
+  stopTimeUpdate: [{ stopId: '35247', stopSequence: 2, arrival: { time: arrivalTime } }]
+} }];
+
+let listening;
+let wss;
+
+before(async () => {
+  listening = await helpers.listen(server.app);
+  wss = server.attachWebSocketStreams(listening.server);
+});
+
+beforeEach(() => {
+  helpers.resetUpstream();
+  helpers.resetFeeds(server.feedCache);
+  helpers.serveRtdFeeds({ tripUpdates });
+});
+
+after(async () => {
+  wss.clients.forEach(socket => socket.terminate());
+  await new Promise(resolve => wss.close(resolve));
+  await listening.close();
+});
+
+// Open an SSE stream and collect parsed events as they arrive
+function openStream(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${listening.url}${path}`, { headers }, res => {
+      const stream = { res, req, raw: '', events: [] };
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        stream.raw += chunk;
+        const blocks = stream.raw.split('\n\n');
+        stream.raw = blocks.pop();
+        blocks.forEach(block => {
+          const event = {};
+          block.split('\n').forEach(line => {
+            const [field, ...rest] = line.split(': ');
+            if (field === 'data') event.data = JSON.parse(rest.join(': '));
+            else if (field) event[field] = rest.join(': ');
+          });
+          stream.events.push(event);
+        });
+        res.emit('events');
+      });
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+}
+
+async function nextEvent(stream, type, from = 0) {
+  for (;;) {
+    const event = stream.events.slice(from).find(candidate => candidate.event === type);
+    if (event) return event;
+    await once(stream.res, 'events');
+  }
+}
+
+function openSocket(query) {
+  const socket = new WebSocket(`${listening.url.replace('http', 'ws')}/api/rtd/stream/ws?${query}`);
+  socket.messages = [];
+  socket.on('message', message => socket.messages.push(JSON.parse(message.toString())));
+  return socket;
+}
+
+async function nextMessage(socket, type, from = 0) {
+  for (;;) {
+    const message = socket.messages.slice(from).find(candidate => candidate.type === type);
+    if (message) return message;
+    await once(socket, 'message');
+  }
+}
+
+test('event ids round-trip through parseStreamEventId', () => {
+  assert.deepStrictEqual(
+    server.parseStreamEventId('tripUpdates:1700000000000;vehiclePositions:1700000005000'),
+    { tripUpdates: 1700000000000, vehiclePositions: 1700000005000 }
+  );
+  assert.deepStrictEqual(server.parseStreamEventId(undefined), {});
+});
+
+test('SSE streams send the REST payload, then updates when the feed changes', async () => {
+  const stream = await openStream('/api/rtd/stream/arrivals/35247');
+
+  assert.strictEqual(stream.res.headers['content-type'], 'text/event-stream');
+  const first = await nextEvent(stream, 'arrivals');
+  const rest = await helpers.request(`${listening.url}/api/rtd/arrivals/35247`);
+
+  assert.match(first.id, /^tripUpdates:\d+$/);
+  assert.strictEqual(first.data.stopId, '35247');
+  assert.deepStrictEqual(Object.keys(first.data), Object.keys(rest.body));
+  assert.strictEqual(first.data.arrivals[0].arrivalTime, arrivalTime);
+
+  const seen = stream.events.length;
+  arrivalTime += 60;
+  await server.refreshFeed('tripUpdates');
+  const update = await nextEvent(stream, 'arrivals', seen);
+
+  assert.strictEqual(update.data.arrivals[0].arrivalTime, arrivalTime);
+  assert.notStrictEqual(update.id, first.id);
+  stream.req.destroy();
+});
+
+test('a reconnect with the last event id skips snapshots the client has seen', async () => {
+  const first = await openStream('/api/rtd/stream/arrivals/35247');
+  const { id } = await nextEvent(first, 'arrivals');
+  first.req.destroy();
+
+  const again = await openStream('/api/rtd/stream/arrivals/35247', { 'Last-Event-ID': id });
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.deepStrictEqual(again.events.filter(event => event.event === 'arrivals'), []);
+  again.req.destroy();
+});
+
+test('WebSocket clients get arrivals and can change their subscription', async () => {
+  const socket = openSocket('stops=35247');
+
+  const first = await nextMessage(socket, 'arrivals');
+  assert.strictEqual(first.data.stopId, '35247');
+
+  const seen = socket.messages.length;
+  socket.send(JSON.stringify({ type: 'subscribe', stops: ['34668'] }));
+  const resubscribed = await nextMessage(socket, 'arrivals', seen);
+
+  assert.strictEqual(resubscribed.data.stopId, '34668');
+  socket.close();
+});
+
+test('non-object WebSocket messages get an error instead of crashing the server', async () => {
+  const socket = openSocket('stops=35247');
+  await nextMessage(socket, 'arrivals');
+
+  for (const message of ['null', '42', '"subscribe"', 'not json']) {
+    const seen = socket.messages.length;
+    socket.send(message);
+    const reply = await nextMessage(socket, 'stream-error', seen);
+    assert.match(reply.data.error, /^Messages must be JSON/);
+  }
+
+  assert.strictEqual(socket.readyState, WebSocket.OPEN);
+  assert.strictEqual((await helpers.request(`${listening.url}/health`)).status, 200);
+  socket.close();
+});
@@ -0,0 +1,261 @@
+'use strict';
+
+// The subscription route tests need a scratch Postgres database in
+// DATABASE_URL and are skipped without one.
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const helpers = require('./helpers');
+
+const server = helpers.loadServer();
+const hasDatabase = Boolean(process.env.DATABASE_URL);
+
+// TEST-NET-3: passes the public address check, and the fake fetch answers it
+const WEBHOOK_HOST = '203.0.113.10';
+const WEBHOOK_URL = `https://${WEBHOOK_HOST}/hooks/rtd`;
+
+let http;
+const created = [];
+
+// Webhook POSTs the fake upstream received, with their headers and body
+const webhookCalls = [];
+
+function serveWebhook(status) {
+  helpers.mockUpstream(WEBHOOK_HOST, (url, options) => {
+    webhookCalls.push({ url, headers: options.headers, body: options.body });
+    return helpers.response('', status);
+  });
+}
+
+function subscribe(body) {
+  return helpers.request(`${http.url}/api/rtd/subscriptions`, { method: 'POST', body });
+}
+
+async function createSubscription(body) {
+  const res = await subscribe({ stop: '35247', route: '117N', direction: 'Northbound', leadMinutes: 10, webhookUrl: WEBHOOK_URL, ...body });
+  assert.strictEqual(res.status, 201);
+  created.push(res.body.subscription.id);
+  return res.body;
+}
+
+function getSubscription(id, secret) {
+  return helpers.request(`${http.url}/api/rtd/subscriptions/${id}`, {
+    headers: secret === undefined ? {} : { Authorization: `Bearer ${secret}` }
+  });
+}
+
+// A TripUpdates snapshot with one northbound trip reaching 38th & Blake in `minutes`
+function approaching(tripId, minutes, directionId = 1) {
+  return {
+    feed: helpers.decodeFeed([{ id: tripId, tripUpdate: {
+      trip: { tripId, routeId: '117N', directionId, startDate: '20261019' },
+      vehicle: { id: '4012' },
+      stopTimeUpdate: [{ stopId: '35247', stopSequence: 2, arrival: { time: helpers.nowSeconds() + minutes * 60, delay: 60 } }]
+    } }])
+  };
+}
+
+before(async () => {
+  http = await helpers.listen(server.app);
+  if (hasDatabase) await server.initDatabase();
+});
+
+beforeEach(() => {
+  helpers.resetUpstream();
+  webhookCalls.length = 0;
+});
+
+after(async () => {
+  await http.close();
+  if (hasDatabase) {
+    await server.pool.query('DELETE FROM arrival_subscriptions WHERE id = ANY($1)', [created]);
+    await server.pool.end();
+  }
+});
+
+test('only public addresses are accepted for webhooks', () => {
+  ['8.8.8.8', '203.0.113.10', '2606:4700::1111', '::ffff:8.8.8.8', '64:ff9b::808:808', '2002:808:808::1'].forEach(address => {
+    assert.strictEqual(server.isPublicAddress(address), true, address);
+  });
+  [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:169.254.169.254', '::ffff:7f00:1',
+    // NAT64 and 6to4 addresses reaching the metadata service and loopback
+    '64:ff9b::a9fe:a9fe', '64:ff9b::169.254.169.254', '64:ff9b:1::a00:1', '2002:7f00:1::', '2002:a9fe:a9fe::1',
+    'not-an-ip'
+  ].forEach(address => {
+    assert.strictEqual(server.isPublicAddress(address), false, address);
+  });
+});
+
+test('checkWebhookUrl rejects other schemes and hosts that resolve to internal addresses', async () => {
+  assert.strictEqual(await server.checkWebhookUrl(WEBHOOK_URL), null);
+  assert.strictEqual(await server.checkWebhookUrl('ftp://203.0.113.10/hook'), 'webhookUrl must be an http(s) URL');
+  assert.strictEqual(await server.checkWebhookUrl('not a url'), 'webhookUrl must be an http(s) URL');
+  assert.strictEqual(await server.checkWebhookUrl(undefined), 'webhookUrl must be an http(s) URL');
+
+  for (const url of [
+    'http://127.0.0.1:3000/hook',
+    'http://[::1]/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://localhost/hook'
+  ]) {
+    assert.strictEqual(await server.checkWebhookUrl(url), 'webhookUrl must resolve to a public address', url);
+  }
+});
+
+test('webhooks are signed with an HMAC of the timestamp and body', () => {
+  const expected = crypto.createHmac('sha256', 'secret').update('1792400000.{"a":1}').digest('hex');
+  assert.strictEqual(server.signWebhook('secret', 1792400000, '{"a":1}'), `sha256=${expected}`);
+});
+
+test('the subscription secret is only accepted as a bearer token', () => {
+  const subscription = { secret: 'abc123' };
+  const withAuth = value => ({ get: () => value });
+
+  assert.strictEqual(server.hasSubscriptionSecret(withAuth('Bearer abc123'), subscription), true);
+  assert.strictEqual(server.hasSubscriptionSecret(withAuth('Bearer abc1234'), subscription), false);
+  assert.strictEqual(server.hasSubscriptionSecret(withAuth('abc123'), subscription), false);
+  assert.strictEqual(server.hasSubscriptionSecret(withAuth(undefined), subscription), false);
+});
+
+test('subscriptions need a database', { skip: hasDatabase }, async () => {
+  const res = await subscribe({ stop: '35247', leadMinutes: 10, webhookUrl: WEBHOOK_URL });
+  assert.strictEqual(res.status, 503);
+  assert.strictEqual((await helpers.request(`${http.url}/api/rtd/subscriptions`)).status, 503);
+});
+
+test('creating a subscription validates the stop, direction, lead time and webhook', { skip: !hasDatabase }, async () => {
+  const valid = { stop: '35247', route: '117N', leadMinutes: 10, webhookUrl: WEBHOOK_URL };
+
+  assert.strictEqual((await subscribe({ ...valid, route: 'NOPE' })).status, 400);
+  assert.strictEqual((await subscribe({ ...valid, stop: 'Nowhere' })).status, 400);
+  assert.strictEqual((await subscribe({ ...valid, direction: 'Sideways' })).status, 400);
+  assert.strictEqual((await subscribe({ ...valid, leadMinutes: 0 })).status, 400);
+  assert.strictEqual((await subscribe({ ...valid, leadMinutes: 121 })).status, 400);
+
+  const internal = await subscribe({ ...valid, webhookUrl: 'http://169.254.169.254/latest/meta-data/' });
+  assert.strictEqual(internal.status, 400);
+  assert.strictEqual(internal.body.error, 'webhookUrl must resolve to a public address');
+});
+
+test('a subscription is created for the whole station and read back with its secret', { skip: !hasDatabase }, async () => {
+  const { subscription, secret } = await createSubscription();
+
+  assert.match(secret, /^[0-9a-f]{64}$/);
+  assert.strictEqual(subscription.stopName, '38th & Blake');
+  assert.deepStrictEqual(subscription.stopIds.slice().sort(), ['35246', '35247']);
+  assert.strictEqual(subscription.directionId, 1);
+  assert.strictEqual(subscription.direction, 'Northbound');
+  assert.strictEqual(subscription.leadMinutes, 10);
+
+  assert.strictEqual((await getSubscription(subscription.id)).status, 401);
+  // A wrong secret looks the same as an unknown id
+  assert.strictEqual((await getSubscription(subscription.id, 'wrong')).status, 404);
+  assert.strictEqual((await getSubscription('0000000000000000', secret)).status, 404);
+
+  const res = await getSubscription(subscription.id, secret);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.subscription.id, subscription.id);
+  assert.strictEqual(res.body.subscription.secret, undefined);
+  assert.deepStrictEqual(res.body.deliveries, []);
+});
+
+test('a trip inside the lead time fires one signed webhook', { skip: !hasDatabase }, async () => {
+  const { subscription, secret } = await createSubscription();
+  serveWebhook(200);
+
+  // Too far out, then the wrong direction: nothing is sent
+  await server.evaluateSubscriptions(approaching('NB-FAR', 30));
+  await server.evaluateSubscriptions(approaching('SB-1', 5, 0));
+  assert.strictEqual(webhookCalls.filter(call => JSON.parse(call.body).subscriptionId === subscription.id).length, 0);
+
+  await server.evaluateSubscriptions(approaching('NB-1', 5));
+  await server.evaluateSubscriptions(approaching('NB-1', 4));
+
+  const calls = webhookCalls.filter(call => JSON.parse(call.body).subscriptionId === subscription.id);
+  assert.strictEqual(calls.length, 1);
+
+  const { headers, body } = calls[0];
+  assert.strictEqual(headers['X-RTD-Signature'], server.signWebhook(secret, headers['X-RTD-Timestamp'], body));
+
+  const payload = JSON.parse(body);
+  assert.strictEqual(payload.event, 'arrival.approaching');
+  assert.deepStrictEqual(payload.stop, { stopId: '35247', stopName: '38th & Blake' });
+  assert.strictEqual(payload.trip.tripId, 'NB-1');
+  assert.strictEqual(payload.trip.direction, 'Northbound');
+  assert.strictEqual(payload.minutesUntil, 5);
+  assert.strictEqual(payload.leadMinutes, 10);
+
+  const res = await getSubscription(subscription.id, secret);
+  assert.strictEqual(res.body.deliveries.length, 1);
+  assert.strictEqual(res.body.deliveries[0].tripId, 'NB-1');
+  assert.strictEqual(res.body.deliveries[0].status, 'delivered');
+  assert.strictEqual(res.body.deliveries[0].attempts, 1);
+});
+
+test('a failed webhook stays pending for a retry', { skip: !hasDatabase }, async () => {
+  const { subscription, secret } = await createSubscription();
+  serveWebhook(500);
+
+  await server.evaluateSubscriptions(approaching('NB-2', 5));
+
+  const res = await getSubscription(subscription.id, secret);
+  assert.strictEqual(res.body.deliveries.length, 1);
+  assert.strictEqual(res.body.deliveries[0].status, 'pending');
+  assert.strictEqual(res.body.deliveries[0].attempts, 1);
+  assert.strictEqual(res.body.deliveries[0].lastError, 'Webhook returned HTTP 500');
+});
+
+test('only the secret holder can delete a subscription', { skip: !hasDatabase }, async () => {
+  const { subscription, secret } = await createSubscription();
+  const remove = auth => helpers.request(`${http.url}/api/rtd/subscriptions/${subscription.id}`, {
+    method: 'DELETE',
+    headers: auth ? { Authorization: `Bearer ${auth}` } : {}
+  });
+
+  assert.strictEqual((await remove()).status, 401);
+  assert.strictEqual((await remove('wrong')).status, 404);
+  assert.strictEqual((await remove(secret)).status, 200);
+  assert.strictEqual((await getSubscription(subscription.id, secret)).status, 404);
+});
+
+test('the owner key lists only the caller\'s own subscriptions', { skip: !hasDatabase }, async () => {
+  const list = auth => helpers.request(`${http.url}/api/rtd/subscriptions`, {
+    headers: auth ? { Authorization: `Bearer ${auth}` } : {}
+  });
+
+  const first = await createSubscription();
+  assert.match(first.ownerKey, /^[\w-]{43}$/);
+
+  // A second subscription made with the key joins the same list
+  const res = await helpers.request(`${http.url}/api/rtd/subscriptions`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${first.ownerKey}` },
+    body: { stop: '35247', route: '117N', leadMinutes: 5, webhookUrl: WEBHOOK_URL }
+  });
+  assert.strictEqual(res.status, 201);
+  created.push(res.body.subscription.id);
+  assert.strictEqual(res.body.ownerKey, first.ownerKey);
+
+  const other = await createSubscription();
+  assert.notStrictEqual(other.ownerKey, first.ownerKey);
+
+  assert.strictEqual((await list()).status, 401);
+  assert.deepStrictEqual((await list('not-a-key')).body.subscriptions, []);
+
+  const mine = await list(first.ownerKey);
+  assert.strictEqual(mine.status, 200);
+  assert.strictEqual(mine.body.count, 2);
+  assert.deepStrictEqual(mine.body.subscriptions.map(s => s.id).sort(), [first.subscription.id, res.body.subscription.id].sort());
+  assert.strictEqual(mine.body.subscriptions[0].secret, undefined);
+
+  // Keys the server never handed out can't be used to create subscriptions
+  const made = await helpers.request(`${http.url}/api/rtd/subscriptions`, {
+    method: 'POST',
+    headers: { Authorization: 'Bearer my-own-key' },
+    body: { stop: '35247', route: '117N', leadMinutes: 5, webhookUrl: WEBHOOK_URL }
+  });
+  assert.strictEqual(made.status, 401);
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+const API_KEY = 'tl-test-key-0123456789';
+const server = helpers.loadServer({ TRANSITLAND_API_KEY: API_KEY, TRANSITLAND_MAX_PAGES: '3' });
+
+let http;
+
+// TransitLand pages by `after`, and its meta.next carries the API key
+function serveTransitLand() {
+  helpers.mockUpstream('transit.land', url => {
+    const upstream = new URL(url);
+    const after = Number(upstream.searchParams.get('after') || 0);
+    const list = upstream.pathname.split('/').pop();
+    const next = `${upstream.origin}${upstream.pathname}?after=${after + 5}&apikey=${API_KEY}`;
+    return helpers.jsonResponse({ [list]: [{ id: after + 1 }], meta: { next } });
+  });
+}
+
+function transitLandRequests() {
+  return helpers.upstreamRequests.filter(request => request.url.includes('transit.land'));
+}
+
+function get(path) {
+  return helpers.request(`${http.url}/api/transitland${path}`);
+}
+
+before(async () => {
+  http = await helpers.listen(server.app);
+});
+
+beforeEach(() => {
+  helpers.resetUpstream();
+  serveTransitLand();
+});
+
+after(async () => {
+  await http.close();
+});
+
+test('a bare routes request still asks for the N Line in the RTD feed', async () => {
+  const res = await get('/routes');
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(transitLandRequests()[0].url,
+    'https://transit.land/api/v2/rest/routes?feed_onestop_id=f-9xj-rtd&route_short_name=N');
+});
+
+test('the API key goes in a header and never into URLs or responses', async () => {
+  const res = await get('/agencies');
+  const [request] = transitLandRequests();
+
+  assert.strictEqual(request.headers.apikey, API_KEY);
+  assert.ok(!request.url.includes(API_KEY));
+  assert.ok(!JSON.stringify(res.body).includes(API_KEY));
+  // meta.next points back at the proxy
+  assert.strictEqual(res.body.meta.next, '/api/transitland/agencies?after=5');
+});
+
+test('any filter replaces the N Line default', async () => {
+  await get('/routes?route_type=3&limit=20');
+
+  assert.strictEqual(transitLandRequests()[0].url,
+    'https://transit.land/api/v2/rest/routes?feed_onestop_id=f-9xj-rtd&limit=20&route_type=3');
+});
+
+test('query values and path keys are escaped', async () => {
+  await get('/stops?route_id=' + encodeURIComponent('r-9xj-117n&apikey=x'));
+  await get('/stops/' + encodeURIComponent('s-9xj/../admin') + '/departures?next=3600');
+
+  const [stops, departures] = transitLandRequests();
+  assert.strictEqual(stops.url,
+    'https://transit.land/api/v2/rest/stops?feed_onestop_id=f-9xj-rtd&limit=100&served_by_route_id=r-9xj-117n%26apikey%3Dx');
+  assert.strictEqual(departures.url, 'https://transit.land/api/v2/rest/stops/s-9xj%2F..%2Fadmin/departures?next=3600');
+});
+
+test('parameters outside the allowlist are rejected', async () => {
+  const res = await get('/agencies?apikey=mine');
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'Unsupported query parameter: apikey');
+  assert.ok(res.body.allowed.includes('agency_name'));
+  assert.strictEqual(transitLandRequests().length, 0);
+});
+
+test('responses are cached per upstream URL', async () => {
+  const first = await get('/routes/r-9xj-cached');
+  const second = await get('/routes/r-9xj-cached');
+
+  assert.strictEqual(first.headers.get('x-cache'), 'MISS');
+  assert.strictEqual(second.headers.get('x-cache'), 'HIT');
+  assert.deepStrictEqual(second.body, first.body);
+  assert.strictEqual(transitLandRequests().length, 1);
+});
+
+test('follow=true walks pages up to the limit and hands back the next one', async () => {
+  const res = await get('/stops?search=union&follow=true');
+
+  assert.deepStrictEqual(res.body.stops, [{ id: 1 }, { id: 6 }, { id: 11 }]);
+  assert.strictEqual(res.body.meta.pages, 3);
+  assert.strictEqual(res.body.meta.next, '/api/transitland/stops?search=union&after=15');
+  assert.strictEqual(transitLandRequests().length, 3);
+});
+
+test('TransitLand failures are a 502 that does not leak the key', async () => {
+  helpers.mockUpstream('transit.land', () => helpers.jsonResponse({ error: 'down' }, 404));
+
+  const res = await get('/agencies/o-9xj-missing');
+
+  assert.strictEqual(res.status, 502);
+  assert.strictEqual(res.body.upstream, 'transitland');
+  assert.strictEqual(res.body.details, 'transitland returned 404');
+  assert.ok(!JSON.stringify(res.body).includes(API_KEY));
+});
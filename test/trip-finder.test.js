@@ -0,0 +1,89 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+const server = helpers.loadServer();
+
+const now = helpers.nowSeconds();
+const TRIPS = [
+  { id: 'nb', tripUpdate: { trip: { tripId: 'NB1', routeId: '117N', directionId: 1 }, vehicle: { id: '4012' }, stopTimeUpdate: [
+    { stopId: '34668', stopSequence: 1, departure: { time: now + 120, delay: 0 } },
+    { stopId: '35247', stopSequence: 2, arrival: { time: now + 720, delay: 400 } },
+    { stopId: '35257', stopSequence: 7, arrival: { time: now + 2100, delay: 400 } }
+  ] } },
+  { id: 'nb2', tripUpdate: { trip: { tripId: 'NB2', routeId: '117N', directionId: 1 }, stopTimeUpdate: [
+    { stopId: '34668', stopSequence: 1, departure: { time: now + 1020, delay: 0 } },
+    { stopId: '35247', stopSequence: 2, arrival: { time: now + 1500, delay: 0 } }
+  ] } },
+  { id: 'sb', tripUpdate: { trip: { tripId: 'SB1', routeId: '117N', directionId: 0 }, stopTimeUpdate: [
+    { stopId: '35246', stopSequence: 6, departure: { time: now + 300, delay: 0 } },
+    { stopId: '34668', stopSequence: 7, arrival: { time: now + 900, delay: 0 } }
+  ] } }
+];
+
+let http;
+
+before(async () => {
+  helpers.serveRtdFeeds({ tripUpdates: TRIPS });
+  http = await helpers.listen(server.app);
+});
+
+after(() => http.close());
+
+function findTrips(query) {
+  return helpers.request(`${http.url}/api/rtd/trips?${query}`);
+}
+
+test('station names resolve to every platform of the station', () => {
+  const station = server.resolveStation('38th & blake', '117N');
+
+  assert.strictEqual(station.name, '38th & Blake');
+  assert.deepStrictEqual(station.stopIds.sort(), ['35246', '35247']);
+  assert.deepStrictEqual(server.resolveStation('35246', '117N').stopIds.sort(), ['35246', '35247']);
+  assert.strictEqual(server.resolveStation('Nowhere', '117N'), null);
+});
+
+test('trips run from the origin to the destination in order', async () => {
+  const res = await findTrips('from=Union%20Station&to=38th%20%26%20Blake');
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.trips.map(trip => trip.tripId), ['NB1', 'NB2']);
+  assert.deepStrictEqual(res.body.trips[0], {
+    ...res.body.trips[0],
+    direction: 'Northbound',
+    vehicleId: '4012',
+    fromStopId: '34668',
+    toStopId: '35247',
+    departureTime: now + 120,
+    arrivalTime: now + 720,
+    durationMinutes: 10,
+    departureDelaySeconds: 0,
+    arrivalDelaySeconds: 400,
+    status: 'late'
+  });
+});
+
+test('either platform id of a station finds trips in both directions', async () => {
+  const res = await findTrips('from=35247&to=34668');
+
+  assert.deepStrictEqual(res.body.trips.map(trip => [trip.tripId, trip.fromStopId]), [['SB1', '35246']]);
+});
+
+test('limit is clamped to at least one trip', async () => {
+  const res = await findTrips('from=34668&to=35247&limit=-1');
+
+  assert.deepStrictEqual(res.body.trips.map(trip => trip.tripId), ['NB1']);
+});
+
+test('bad queries are rejected', async () => {
+  assert.strictEqual((await findTrips('from=34668')).status, 400);
+  assert.strictEqual((await findTrips('from=34668&to=Nowhere')).status, 404);
+  assert.strictEqual((await findTrips('from=35247&to=35246')).status, 400);
+  assert.strictEqual((await findTrips('from=34668&to=35247&route=XYZ')).status, 404);
+
+  const ambiguous = await findTrips('from=34668&to=th');
+  assert.strictEqual(ambiguous.status, 400);
+  assert.ok(ambiguous.body.matches.length > 1);
+});
@@ -0,0 +1,174 @@
+'use strict';
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+const COOLDOWN_MS = 200;
+const server = helpers.loadServer({
+  UPSTREAM_MAX_RETRIES: '1',
+  UPSTREAM_TIMEOUT_MS: '100',
+  UPSTREAM_BREAKER_THRESHOLD: '3',
+  UPSTREAM_BREAKER_COOLDOWN_MS: String(COOLDOWN_MS)
+});
+
+let http;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Answer `match` with each status in turn, repeating the last one
+function serveStatuses(match, statuses) {
+  let calls = 0;
+  helpers.mockUpstream(match, () => {
+    const status = statuses[Math.min(calls++, statuses.length - 1)];
+    return helpers.response(status === 200 ? 'ok' : 'error', status);
+  });
+}
+
+function requestsTo(match) {
+  return helpers.upstreamRequests.filter(request => request.url.includes(match)).length;
+}
+
+beforeEach(async () => {
+  if (!http) http = await helpers.listen(server.app);
+  helpers.resetUpstream();
+  helpers.resetFeeds(server.feedCache);
+});
+
+after(async () => {
+  await http.close();
+});
+
+test('a 5xx is retried and the retry can succeed', async () => {
+  serveStatuses('retry.test', [503, 200]);
+
+  const result = await server.upstreamFetch('retry', 'http://retry.test/feed');
+
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(result.body.toString(), 'ok');
+  assert.strictEqual(requestsTo('retry.test'), 2);
+});
+
+test('a 4xx is not retried', async () => {
+  serveStatuses('missing.test', [404]);
+
+  await assert.rejects(server.upstreamFetch('missing', 'http://missing.test/feed'), {
+    upstream: 'missing', code: 'HTTP_STATUS', status: 404, retryable: false
+  });
+  assert.strictEqual(requestsTo('missing.test'), 1);
+});
+
+test('a request that outlasts the timeout is aborted', async () => {
+  helpers.mockUpstream('slow.test', (url, options) => new Promise((resolve, reject) => {
+    options.signal.addEventListener('abort', () => {
+      reject(Object.assign(new Error('The user aborted a request.'), { name: 'AbortError' }));
+    });
+  }));
+
+  await assert.rejects(server.upstreamFetch('slow', 'http://slow.test/feed?apikey=SECRET'), error => {
+    assert.strictEqual(error.code, 'TIMEOUT');
+    assert.strictEqual(error.message, 'slow timed out after 100ms');
+    return true;
+  });
+  assert.strictEqual(requestsTo('slow.test'), 2);
+});
+
+test('the breaker opens after repeated failures and fails fast while open', async () => {
+  serveStatuses('flaky.test', [500]);
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(server.upstreamFetch('flaky', 'http://flaky.test/feed'), { code: 'HTTP_STATUS' });
+  }
+  assert.strictEqual(requestsTo('flaky.test'), 6);
+
+  await assert.rejects(server.upstreamFetch('flaky', 'http://flaky.test/feed'), error => {
+    assert.strictEqual(error.code, 'CIRCUIT_OPEN');
+    assert.ok(error.retryAfterSeconds >= 1);
+    return true;
+  });
+  assert.strictEqual(requestsTo('flaky.test'), 6);
+
+  const health = await helpers.request(`${http.url}/health`);
+  assert.strictEqual(health.body.status, 'degraded');
+  assert.strictEqual(health.body.upstreams.flaky.circuit, 'open');
+  assert.strictEqual(health.body.upstreams.flaky.consecutiveFailures, 3);
+
+  // After the cooldown a single trial goes through; failing it re-opens at once
+  await wait(COOLDOWN_MS + 50);
+  await assert.rejects(server.upstreamFetch('flaky', 'http://flaky.test/feed'), { code: 'HTTP_STATUS' });
+  assert.strictEqual(requestsTo('flaky.test'), 7);
+  await assert.rejects(server.upstreamFetch('flaky', 'http://flaky.test/feed'), { code: 'CIRCUIT_OPEN' });
+});
+
+test('a 4xx answer to the half-open trial closes the breaker', async () => {
+  let status = 500;
+  helpers.mockUpstream('picky.test', () => helpers.response('error', status));
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(server.upstreamFetch('picky', 'http://picky.test/feed'), { status: 500 });
+  }
+  await assert.rejects(server.upstreamFetch('picky', 'http://picky.test/feed'), { code: 'CIRCUIT_OPEN' });
+
+  await wait(COOLDOWN_MS + 50);
+  status = 400;
+  await assert.rejects(server.upstreamFetch('picky', 'http://picky.test/feed'), { status: 400 });
+
+  const health = await helpers.request(`${http.url}/health`);
+  assert.strictEqual(health.body.upstreams.picky.circuit, 'closed');
+  assert.strictEqual(health.body.upstreams.picky.consecutiveFailures, 0);
+});
+
+test('routes answer 502 for upstream failures and 503 with Retry-After while the breaker is open', async () => {
+  helpers.mockUpstream('TripUpdate.pb', () => helpers.response('<html>down</html>', 502, { 'content-type': 'text/html' }));
+
+  const failed = await helpers.request(`${http.url}/api/rtd/arrivals`);
+  assert.strictEqual(failed.status, 502);
+  assert.deepStrictEqual(failed.body, {
+    error: 'Upstream request failed',
+    upstream: 'rtd',
+    code: 'HTTP_STATUS',
+    details: 'rtd returned 502',
+    retryAfterSeconds: null
+  });
+
+  await helpers.request(`${http.url}/api/rtd/arrivals`);
+  await helpers.request(`${http.url}/api/rtd/arrivals`);
+
+  const open = await helpers.request(`${http.url}/api/rtd/arrivals`);
+  assert.strictEqual(open.status, 503);
+  assert.strictEqual(open.body.code, 'CIRCUIT_OPEN');
+  assert.strictEqual(open.headers.get('retry-after'), String(open.body.retryAfterSeconds));
+});
+
+test('a snapshot served while the breaker is open is flagged degraded with the breaker state', async () => {
+  // Let the previous test's breaker cool down, then close it with a good poll
+  await wait(COOLDOWN_MS + 50);
+  helpers.serveRtdFeeds();
+
+  const live = await helpers.request(`${http.url}/api/rtd/arrivals`);
+  assert.strictEqual(live.status, 200);
+  assert.strictEqual(live.body.degraded, false);
+  assert.deepStrictEqual(live.body.upstream, { state: 'closed', retryAfterSeconds: null });
+
+  helpers.mockUpstream('TripUpdate.pb', () => helpers.response('error', 500));
+  for (let i = 0; i < 4; i++) {
+    // Make the cached snapshot due for a refresh, which fails
+    server.feedCache.tripUpdates.checkedAt = Date.now() - 60 * 1000;
+    await helpers.request(`${http.url}/api/rtd/arrivals`);
+  }
+
+  const frozen = await helpers.request(`${http.url}/api/rtd/arrivals`);
+  assert.strictEqual(frozen.status, 200);
+  assert.strictEqual(frozen.body.realtime, true);
+  assert.strictEqual(frozen.body.degraded, true);
+  assert.strictEqual(frozen.body.upstream.state, 'open');
+  assert.ok(frozen.body.upstream.retryAfterSeconds >= 1);
+
+  const vehicles = await helpers.request(`${http.url}/api/rtd/vehicle-positions`);
+  assert.strictEqual(vehicles.body.degraded, true);
+  assert.strictEqual(vehicles.body.upstream.state, 'open');
+
+  const health = await helpers.request(`${http.url}/health`);
+  assert.strictEqual(health.body.feeds.tripUpdates.status, 'degraded');
+  assert.strictEqual(health.body.feeds.tripUpdates.upstream.state, 'open');
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+// The recording tests need a scratch Postgres database in DATABASE_URL and
+// are skipped without one.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+const server = helpers.loadServer();
+const hasDatabase = Boolean(process.env.DATABASE_URL);
+
+const vehicleId = `test-${process.pid}-${Date.now()}`;
+const at = helpers.nowSeconds() - 1000;
+
+let http;
+
+function snapshot(headerTime, positionTime, latitude) {
+  return {
+    headerTimestamp: headerTime,
+    feed: helpers.decodeFeed([{ id: 'v', vehicle: {
+      trip: { tripId: 'T1', routeId: '117N', directionId: 1 },
+      vehicle: { id: vehicleId, label: '4012' },
+      position: { latitude, longitude: -104.98 },
+      timestamp: positionTime,
+      occupancyStatus: 1
+    } }], headerTime)
+  };
+}
+
+before(async () => {
+  http = await helpers.listen(server.app);
+
+  if (hasDatabase) {
+    await server.initDatabase();
+    await server.recordVehiclePositions(snapshot(at - 30, at - 40, 39.75));
+    await server.recordVehiclePositions(snapshot(at + 200, at + 190, 39.5));
+    // An unchanged report is not stored twice
+    await server.recordVehiclePositions(snapshot(at + 215, at + 190, 39.5));
+  }
+});
+
+after(async () => {
+  await http.close();
+  if (hasDatabase) {
+    await server.pool.query('DELETE FROM vehicle_positions WHERE vehicle_id = $1', [vehicleId]);
+    await server.pool.end();
+  }
+});
+
+test('parseTimeParam takes epoch seconds, epoch milliseconds and ISO dates', () => {
+  assert.strictEqual(server.parseTimeParam('1792400000'), 1792400000);
+  assert.strictEqual(server.parseTimeParam('1792400000123'), 1792400000);
+  assert.strictEqual(server.parseTimeParam('2026-10-19T12:00:00Z'), Date.UTC(2026, 9, 19, 12) / 1000);
+  assert.strictEqual(server.parseTimeParam('yesterday'), null);
+  assert.strictEqual(server.parseTimeParam(undefined), null);
+});
+
+test('history and replay need a database', { skip: hasDatabase }, async () => {
+  const res = await helpers.request(`${http.url}/api/rtd/vehicles/replay?at=${at}`);
+  assert.strictEqual(res.status, 503);
+});
+
+test('history returns positions in order with age measured from now', { skip: !hasDatabase }, async () => {
+  const res = await helpers.request(`${http.url}/api/rtd/vehicles/${vehicleId}/history?from=${at - 100}&to=${at + 300}`);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.count, 2);
+  assert.deepStrictEqual(res.body.positions.map(position => position.latitude), [39.75, 39.5]);
+  assert.strictEqual(res.body.positions[0].feedTimestamp, (at - 30) * 1000);
+  assert.ok(res.body.positions[0].age >= 1040);
+  assert.strictEqual(res.body.positions[0].occupancyStatus, 1);
+  assert.strictEqual(res.body.positions[0].congestionLevel, null);
+});
+
+test('history rejects a window that ends before it starts', { skip: !hasDatabase }, async () => {
+  const res = await helpers.request(`${http.url}/api/rtd/vehicles/${vehicleId}/history?from=${at}&to=${at - 10}`);
+  assert.strictEqual(res.status, 400);
+});
+
+test('replay returns the nearest state in the live payload shape', { skip: !hasDatabase }, async () => {
+  helpers.serveRtdFeeds({ vehiclePositions: [{ id: 'live', vehicle: {
+    trip: { tripId: 'T9', routeId: '117N' },
+    vehicle: { id: 'live-4013' },
+    position: { latitude: 39.77, longitude: -104.98 },
+    timestamp: helpers.nowSeconds()
+  } }] });
+  const live = await helpers.request(`${http.url}/api/rtd/vehicle-positions`);
+  const res = await helpers.request(`${http.url}/api/rtd/vehicles/replay?at=${at}`);
+
+  assert.strictEqual(res.status, 200);
+  Object.keys(live.body).forEach(key => assert.ok(key in res.body, `replay is missing ${key}`));
+  assert.strictEqual(res.body.timestamp, at * 1000);
+  assert.strictEqual(res.body.feedTimestamp, (at - 30) * 1000);
+  assert.strictEqual(res.body.feedAgeSeconds, 30);
+
+  const vehicle = res.body.vehicles.find(candidate => candidate.id === vehicleId);
+  assert.strictEqual(vehicle.latitude, 39.75);
+  assert.strictEqual(vehicle.age, 40);
+  assert.deepStrictEqual(Object.keys(vehicle), Object.keys(live.body.vehicles[0]));
+});
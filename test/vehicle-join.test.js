@@ -0,0 +1,106 @@
+'use strict';
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+const server = helpers.loadServer();
+
+const now = helpers.nowSeconds();
+const TRIPS = [
+  { id: 'by-vehicle', tripUpdate: { trip: { tripId: 'T1', routeId: '117N', directionId: 1 }, vehicle: { id: '4012' }, stopTimeUpdate: [
+    { stopId: '35247', stopSequence: 2, arrival: { time: now + 60 } },
+    { stopId: '35249', stopSequence: 3, arrival: { time: now + 300 } },
+    { stopId: '35253', stopSequence: 5, arrival: { time: now + 900 } }
+  ] } },
+  { id: 'by-trip', tripUpdate: { trip: { tripId: 'T2', routeId: '117N', directionId: 1 }, stopTimeUpdate: [
+    { stopId: '35253', stopSequence: 5, arrival: { time: now + 1500 } }
+  ] } },
+  { id: 'unmatched', tripUpdate: { trip: { tripId: 'T3', routeId: '117N', directionId: 1 }, stopTimeUpdate: [
+    { stopId: '35253', stopSequence: 5, arrival: { time: now + 2000 } }
+  ] } }
+];
+const VEHICLES = [
+  { id: 'v1', vehicle: { trip: { tripId: 'T1', routeId: '117N', directionId: 1 }, vehicle: { id: '4012', label: '4012' },
+    position: { latitude: 39.77, longitude: -104.98 }, currentStopSequence: 2, stopId: '35247', currentStatus: 1,
+    timestamp: now - 20, occupancyStatus: 1, congestionLevel: 0 } },
+  { id: 'v2', vehicle: { trip: { tripId: 'T2', routeId: '117N', directionId: 1 }, vehicle: { id: '4020' },
+    position: { latitude: 39.75, longitude: -105 }, currentStopSequence: 1, currentStatus: 2, timestamp: now - 5 } }
+];
+
+let http;
+
+before(async () => {
+  http = await helpers.listen(server.app);
+});
+
+beforeEach(() => {
+  helpers.resetUpstream();
+  helpers.resetFeeds(server.feedCache);
+});
+
+after(() => http.close());
+
+function tripUpdate(id) {
+  return helpers.decodeFeed(TRIPS).entity.find(entity => entity.id === id).tripUpdate;
+}
+
+test('vehicleFromEntity reports unset crowding fields as null, not 0', () => {
+  const [set, unset] = helpers.decodeFeed(VEHICLES).entity.map(server.vehicleFromEntity);
+
+  assert.strictEqual(set.occupancyStatus, 1);
+  assert.strictEqual(set.congestionLevel, 0);
+  assert.strictEqual(unset.occupancyStatus, null);
+  assert.strictEqual(unset.congestionLevel, null);
+});
+
+test('stopsAway counts the stops left before the target', () => {
+  const trip = tripUpdate('by-vehicle');
+  const moving = { currentStopSequence: 2, currentStatus: 2 };
+  const stopped = { currentStopSequence: 2, currentStatus: 1 };
+
+  assert.strictEqual(server.stopsAway(trip, moving, 5), 3);
+  assert.strictEqual(server.stopsAway(trip, stopped, 5), 2);
+  assert.strictEqual(server.stopsAway(trip, stopped, 2), 0);
+  assert.strictEqual(server.stopsAway(trip, { currentStopSequence: 6, currentStatus: 2 }, 5), null);
+  assert.strictEqual(server.stopsAway(trip, moving, null), null);
+});
+
+test('arrivals carry the matched vehicle, by vehicle id or trip id', async () => {
+  helpers.serveRtdFeeds({ tripUpdates: TRIPS, vehiclePositions: VEHICLES });
+
+  const res = await helpers.request(`${http.url}/api/rtd/arrivals/35253`);
+  const [first, second, third] = res.body.arrivals;
+
+  assert.deepStrictEqual(first.vehicle, {
+    id: '4012',
+    label: '4012',
+    latitude: first.vehicle.latitude,
+    longitude: first.vehicle.longitude,
+    bearing: 0,
+    speed: 0,
+    currentStopId: '35247',
+    currentStatus: 'STOPPED_AT',
+    stopsAway: 2,
+    occupancyStatus: 'MANY_SEATS_AVAILABLE',
+    congestionLevel: 'UNKNOWN_CONGESTION_LEVEL',
+    positionAgeSeconds: first.vehicle.positionAgeSeconds
+  });
+  // The fix is 20s older than `now`, which was taken when the file loaded
+  assert.ok(first.vehicle.positionAgeSeconds >= 20);
+  assert.ok(first.vehicle.positionAgeSeconds <= helpers.nowSeconds() - now + 20);
+  assert.strictEqual(second.vehicle.id, '4020');
+  assert.strictEqual(second.vehicle.occupancyStatus, null);
+  assert.strictEqual(third.vehicle, null);
+});
+
+test('arrivals still answer without the vehicle positions feed', async () => {
+  helpers.serveRtdFeeds({ tripUpdates: TRIPS });
+  helpers.mockUpstream('VehiclePosition.pb', () => helpers.response('down', 503));
+
+  const res = await helpers.request(`${http.url}/api/rtd/arrivals/35253`);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.arrivals.length, 3);
+  assert.ok(res.body.arrivals.every(arrival => arrival.vehicle === null));
+});